@@ -0,0 +1,52 @@
+/**
+ * ฟังก์ชันย่อภาพที่ใช้ร่วมกันระหว่างหน้าหลัก (canvas ใน DOM) และ image-worker.js (OffscreenCanvas)
+ * ไม่พึ่ง DOM หรือ SillyTavern เพื่อให้ import ใน worker และหน้าทดสอบความเร็วได้
+ */
+
+/**
+ * ย่อภาพแบบหลายขั้น: ลดครั้งละครึ่งจนเหลือไม่เกินสองเท่าของขนาดปลายทาง แล้ววาดขั้นสุดท้าย
+ * การย่อทีเดียวหลายเท่าทำให้เส้นบางหายและขอบแตก เพราะการกรองของเบราว์เซอร์ใช้พิกเซลต้นฉบับแค่บางส่วน
+ * createCanvas(width, height) สร้าง canvas ชนิดที่ต้องการ (DOM หรือ OffscreenCanvas)
+ */
+export function stepDownscale(source, width, height, createCanvas) {
+  const targetWidth = Math.max(1, Math.round(width));
+  const targetHeight = Math.max(1, Math.round(height));
+  let current = source;
+  let currentWidth = source.naturalWidth || source.width;
+  let currentHeight = source.naturalHeight || source.height;
+
+  do {
+    const nextWidth = Math.max(targetWidth, Math.ceil(currentWidth / 2));
+    const nextHeight = Math.max(targetHeight, Math.ceil(currentHeight / 2));
+    const last = nextWidth === targetWidth && nextHeight === targetHeight;
+    const canvas = last ? createCanvas(targetWidth, targetHeight) : createCanvas(nextWidth, nextHeight);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(current, 0, 0, canvas.width, canvas.height);
+
+    // คืนหน่วยความจำของขั้นกลางทันที ภาพต้นทางเป็นของผู้เรียก
+    if (current !== source) {
+      current.width = 0;
+      current.height = 0;
+    }
+    current = canvas;
+    currentWidth = canvas.width;
+    currentHeight = canvas.height;
+  } while (currentWidth !== targetWidth || currentHeight !== targetHeight);
+
+  return current;
+}
+
+/**
+ * ตรวจว่ามีพิกเซลโปร่งใสบน canvas หรือไม่
+ */
+export function hasTransparency(ctx, width, height) {
+  const { data } = ctx.getImageData(0, 0, width, height);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) {
+      return true;
+    }
+  }
+  return false;
+}
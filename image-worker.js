@@ -0,0 +1,85 @@
+import { hasTransparency, stepDownscale } from './image-resample.js';
+
+/**
+ * Web Worker สำหรับประมวลผลภาพนอกเธรดหลัก (เรียกผ่าน ImageWorkerPool ใน index.js)
+ * ถอดรหัสด้วย createImageBitmap ย่อด้วย OffscreenCanvas และเข้ารหัสด้วย convertToBlob
+ * ภาพของแต่ละงาน (job) อยู่ใน worker ตัวเดียวจนกว่าจะสั่ง release เพื่อเข้ารหัสซ้ำได้โดยไม่ส่งพิกเซลข้ามเธรด
+ */
+const jobs = new Map();
+
+const createCanvas = (width, height) => new OffscreenCanvas(width, height);
+
+function getJob(job) {
+  const state = jobs.get(job);
+  if (!state) {
+    throw new Error(`ไม่พบงานภาพ ${job}`);
+  }
+  return state;
+}
+
+const handlers = {
+  /**
+   * ถอดรหัสไฟล์ (หมุนตาม EXIF โดยเบราว์เซอร์) คืนขนาดภาพ
+   */
+  async decode({ job, file }) {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    jobs.set(job, { bitmap, canvas: null });
+    return { width: bitmap.width, height: bitmap.height };
+  },
+
+  /**
+   * ย่อเป็นขนาด width x height แล้วปิด bitmap ต้นฉบับ checkAlpha = ตรวจพิกเซลโปร่งใสด้วย
+   */
+  resize({ job, width, height, checkAlpha }) {
+    const state = getJob(job);
+    state.canvas = stepDownscale(state.bitmap, width, height, createCanvas);
+    state.bitmap.close();
+    state.bitmap = null;
+    const { canvas } = state;
+    const hasAlpha = checkAlpha && hasTransparency(canvas.getContext('2d'), canvas.width, canvas.height);
+    return { width: canvas.width, height: canvas.height, hasAlpha };
+  },
+
+  /**
+   * เติมพื้นขาวด้านหลังก่อนเข้ารหัสเป็น JPEG
+   */
+  flatten({ job }) {
+    const { canvas } = getJob(job);
+    const ctx = canvas.getContext('2d');
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.globalCompositeOperation = 'source-over';
+    return {};
+  },
+
+  /**
+   * เข้ารหัสที่สัดส่วน scale (ย่อจากภาพที่ resize แล้ว) และคุณภาพ quality (0-1)
+   */
+  async encode({ job, format, quality, scale }) {
+    const { canvas } = getJob(job);
+    const target =
+      scale < 1 ? stepDownscale(canvas, canvas.width * scale, canvas.height * scale, createCanvas) : canvas;
+    const blob = await target.convertToBlob({ type: format, quality });
+    return { buffer: await blob.arrayBuffer(), format: blob.type, width: target.width, height: target.height };
+  },
+
+  release({ job }) {
+    jobs.get(job)?.bitmap?.close();
+    jobs.delete(job);
+    return {};
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type, ...payload } = data;
+  try {
+    if (!handlers[type]) {
+      throw new Error(`ไม่รู้จักคำสั่ง ${type}`);
+    }
+    const result = await handlers[type](payload);
+    self.postMessage({ id, result }, result.buffer ? [result.buffer] : []);
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+};
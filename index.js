@@ -5,13 +5,66 @@
  * เวอร์ชัน: 1.0.0 (TH Edition)
  */
 
-import { saveSettingsDebounced } from '../../../../script.js';
+import { getCharacters, getRequestHeaders, saveSettingsDebounced } from '../../../../script.js';
 import { getContext } from '../../../extensions.js';
-import { getStringHash, saveBase64AsFile } from '../../../utils.js';
+import { callGenericPopup, POPUP_RESULT, POPUP_TYPE } from '../../../popup.js';
+import { copyText, escapeHtml, isTrueBoolean, saveBase64AsFile } from '../../../utils.js';
+import { hasTransparency, stepDownscale } from './image-resample.js';
 
 const PLUGIN_ID = 'smart-media-assistant';
 const MODULE_NAME = 'smart-media-assistant';
 
+/**
+ * แม่แบบข้อความที่ส่งเอกสารเข้าแชท (แก้ไขได้ในหน้าตั้งค่า)
+ * macro: {{fileName}} {{ext}} {{content}} {{text}} {{language}} {{icon}} {{part}} {{partIndex}} {{partCount}}
+ * {{rowCount}} {{sheetCount}} {{title}} {{char}} {{user}}
+ */
+const DEFAULT_PROMPT_TEMPLATE = '{{icon}} **เนื้อหาเอกสาร** ({{fileName}}){{part}}\n\n{{content}}';
+
+const TABLE_PROMPT_TEMPLATE =
+  '{{icon}} **ข้อมูลตาราง** ({{fileName}}, {{rowCount}} แถว){{part}}\n\n' +
+  'ช่วยวิเคราะห์ข้อมูลนี้ สรุปภาพรวม แนวโน้ม ค่าผิดปกติ และข้อสังเกตสำคัญ\n\n{{content}}';
+
+const CODE_PROMPT_TEMPLATE =
+  '{{icon}} **โค้ด** ({{fileName}}){{part}}\n\n' +
+  'ช่วยรีวิวโค้ดนี้ ชี้จุดที่อาจเป็นบั๊ก ปัญหาความปลอดภัย และสิ่งที่ควรปรับปรุง\n\n{{content}}';
+
+const STORY_PROMPT_TEMPLATE =
+  '{{icon}} **เนื้อเรื่อง** ({{fileName}}){{part}}\n\n' +
+  'ช่วยอ่านเนื้อเรื่องนี้แล้วจดบันทึกความต่อเนื่องสำหรับ {{char}}: ตัวละคร ความสัมพันธ์ เหตุการณ์ ลำดับเวลา ' +
+  'และสถานที่\n\n{{content}}';
+
+// docx / odt / rtf เป็นได้ทั้งเนื้อเรื่อง รายงาน และสัญญา จึงใช้แม่แบบเริ่มต้นที่เป็นกลาง
+// แม่แบบเนื้อเรื่องเลือกใช้เองได้จากแม่แบบสำเร็จรูปในหน้าตั้งค่า
+const DEFAULT_PROMPT_TEMPLATE_OVERRIDES = {
+  csv: TABLE_PROMPT_TEMPLATE,
+  tsv: TABLE_PROMPT_TEMPLATE,
+  xlsx: TABLE_PROMPT_TEMPLATE,
+  ods: TABLE_PROMPT_TEMPLATE,
+  js: CODE_PROMPT_TEMPLATE,
+  css: CODE_PROMPT_TEMPLATE,
+};
+
+// แม่แบบสำเร็จรูปที่ใส่ลงช่องแก้ไขแม่แบบได้ในหน้าตั้งค่า
+const PROMPT_TEMPLATE_PRESETS = {
+  document: DEFAULT_PROMPT_TEMPLATE,
+  table: TABLE_PROMPT_TEMPLATE,
+  code: CODE_PROMPT_TEMPLATE,
+  story: STORY_PROMPT_TEMPLATE,
+};
+
+/**
+ * คำสั่งบรรยายภาพสำเร็จรูป (เลือกได้ในหน้าตั้งค่า) ใช้ macro {{fileName}} {{char}} {{user}} ได้
+ */
+const CAPTION_PROMPT_PRESETS = {
+  brief: 'อธิบายภาพนี้สั้น ๆ ในหนึ่งถึงสองประโยค',
+  detailed: 'อธิบายภาพนี้อย่างละเอียด: สิ่งที่เห็น ผู้คน สี บรรยากาศ และข้อความที่ปรากฏในภาพ',
+  text: 'ถอดข้อความทั้งหมดที่ปรากฏในภาพตามตัวอักษร ถ้าไม่มีข้อความให้ตอบว่า "ไม่มีข้อความ"',
+  roleplay: '{{user}} ส่งภาพนี้ให้ {{char}} ช่วยอธิบายสิ่งที่อยู่ในภาพให้ {{char}} เข้าใจและตอบสนองได้',
+};
+
+const DEFAULT_CAPTION_PROMPT = CAPTION_PROMPT_PRESETS.brief;
+
 const DEFAULT_CONFIG = {
   enableImageProcessing: true,
   enableDocumentProcessing: true,
@@ -19,8 +72,38 @@ const DEFAULT_CONFIG = {
   maxImageDimension: 2048,
   maxFileSize: 20,
   enableAIReading: true,
+  enableChatAttachments: true,
+  enableLibrary: true,
+  enableImageEditor: false,
+  useImageWorkers: true,
+  compressionMode: 'quality',
+  targetSizeKB: 300,
+  targetVisionTokens: 800,
+  visionTokenModel: 'openai',
+  enableCaptioning: false,
+  captionSource: 'auto',
+  captionEndpoint: '',
+  captionPrompt: DEFAULT_CAPTION_PROMPT,
+  libraryKeepOriginals: true,
   showProcessingInfo: false,
   enableLogging: false,
+  imageOutputFormat: 'auto',
+  maxAnimatedSize: 8,
+  stripImageMetadata: true,
+  batchConcurrency: 3,
+  documentDelivery: 'sequential',
+  chunkBudgetPercent: 40,
+  structuredView: 'auto',
+  allowDocumentMacros: false,
+  enableRedaction: true,
+  redactionPreview: true,
+  redactionDetectors: ['apiKey', 'envSecret', 'thaiId', 'email', 'phone', 'ip'],
+  redactionRules: [],
+  archiveMaxEntries: 200,
+  archiveMaxDepth: 2,
+  archiveExclude: ['__MACOSX/**', '.DS_Store', 'Thumbs.db', 'desktop.ini'],
+  promptTemplate: DEFAULT_PROMPT_TEMPLATE,
+  promptTemplateOverrides: DEFAULT_PROMPT_TEMPLATE_OVERRIDES,
 
   supportedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'],
   supportedImageExtensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'],
@@ -29,6 +112,7 @@ const DEFAULT_CONFIG = {
     'application/json',
     'text/markdown',
     'text/csv',
+    'text/tab-separated-values',
     'text/html',
     'text/xml',
     'application/xml',
@@ -36,12 +120,17 @@ const DEFAULT_CONFIG = {
     'application/javascript',
     'text/css',
     'application/rtf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.oasis.opendocument.text',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.oasis.opendocument.spreadsheet',
   ],
   supportedDocumentExtensions: [
     'txt',
     'json',
     'md',
     'csv',
+    'tsv',
     'html',
     'xml',
     'js',
@@ -53,6 +142,10 @@ const DEFAULT_CONFIG = {
     'ini',
     'yaml',
     'yml',
+    'docx',
+    'odt',
+    'xlsx',
+    'ods',
   ],
 };
 
@@ -62,6 +155,15 @@ function initConfig() {
   const context = getContext();
   const extensionSettings = context.extensionSettings[MODULE_NAME] || {};
   pluginConfig = { ...DEFAULT_CONFIG, ...extensionSettings };
+  // รวมชนิดไฟล์ที่รองรับจากค่าเริ่มต้นเสมอ ไม่ให้การตั้งค่าที่บันทึกไว้จากรุ่นก่อนบังรูปแบบที่เพิ่มเข้ามาภายหลัง
+  for (const key of [
+    'supportedImageTypes',
+    'supportedImageExtensions',
+    'supportedDocumentTypes',
+    'supportedDocumentExtensions',
+  ]) {
+    pluginConfig[key] = [...new Set([...DEFAULT_CONFIG[key], ...(extensionSettings[key] || [])])];
+  }
   context.extensionSettings[MODULE_NAME] = pluginConfig;
 
   if (pluginConfig.enableLogging) {
@@ -69,6 +171,163 @@ function initConfig() {
   }
 }
 
+/**
+ * เขียน localStorage โดยไม่ให้พื้นที่เต็ม (QuotaExceededError) หลุดเป็นข้อผิดพลาดของงานที่เรียก
+ * คืนค่า false และเตือนผู้ใช้เมื่อเขียนไม่สำเร็จ
+ */
+function writeLocalStorage(key, value, label) {
+  try {
+    localStorage.setItem(key, value);
+    return true;
+  } catch (error) {
+    console.warn(`[Smart Media Assistant] บันทึก ${label} ลง localStorage ไม่สำเร็จ:`, error);
+    toastr.warning(`บันทึก${label}ไม่สำเร็จ พื้นที่จัดเก็บของเบราว์เซอร์อาจเต็ม`, 'พื้นที่จัดเก็บ');
+    return false;
+  }
+}
+
+/**
+ * อ่าน Blob (หรือบางส่วนของไฟล์) เป็น ArrayBuffer
+ */
+function readBlobAsArrayBuffer(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('ไม่สามารถอ่านไฟล์ได้'));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * คลายการบีบอัดข้อมูล (deflate = zlib, deflate-raw = zip) ด้วย DecompressionStream ของเบราว์เซอร์
+ * maxBytes: ขนาดสูงสุดหลังคลาย นับระหว่างอ่านและหยุดทันทีที่เกิน
+ * เพื่อไม่ให้ข้อมูลที่บีบอัดไว้มหาศาล (zip bomb) ถูกคลายจนเต็มหน่วยความจำก่อนจะตรวจขนาดได้
+ */
+async function inflateBytes(bytes, format = 'deflate', maxBytes = Infinity) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('เบราว์เซอร์นี้ไม่รองรับการคลายไฟล์บีบอัด');
+  }
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      await reader.cancel().catch(() => {});
+      throw new Error(`ข้อมูลหลังคลายการบีบอัดมีขนาดเกิน ${maxBytes} ไบต์`);
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+// จำนวนไบต์ส่วนต้นที่อ่านมาใช้ตรวจเนื้อหาไฟล์
+const SNIFF_BYTES = 4096;
+
+/**
+ * ลายเซ็นไฟล์ (magic bytes) ที่รู้จัก
+ * type: image = ภาพที่รองรับ, archive = ไฟล์บีบอัด zip, binary = ไฟล์ไบนารีที่ไม่รองรับ
+ */
+const MAGIC_SIGNATURES = [
+  { mime: 'image/png', type: 'image', parts: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+  { mime: 'image/jpeg', type: 'image', parts: [[0, [0xff, 0xd8, 0xff]]] },
+  { mime: 'image/gif', type: 'image', parts: [[0, 'GIF87a']] },
+  { mime: 'image/gif', type: 'image', parts: [[0, 'GIF89a']] },
+  { mime: 'image/webp', type: 'image', parts: [[0, 'RIFF'], [8, 'WEBP']] },
+  {
+    mime: 'image/bmp',
+    type: 'image',
+    parts: [[0, 'BM']],
+    // "BM" สั้นเกินไป จึงตรวจขนาด DIB header เพิ่มเพื่อไม่ให้ข้อความที่ขึ้นต้นด้วย BM ถูกมองเป็นภาพ
+    test: (bytes) => [12, 40, 52, 56, 64, 108, 124].includes(bytes[14]) && bytes[15] === 0 && bytes[16] === 0,
+  },
+  { mime: 'application/zip', type: 'archive', parts: [[0, [0x50, 0x4b, 0x03, 0x04]]] },
+  { mime: 'application/zip', type: 'archive', parts: [[0, [0x50, 0x4b, 0x05, 0x06]]] },
+  { mime: 'application/pdf', type: 'binary', parts: [[0, '%PDF-']] },
+  { mime: 'application/gzip', type: 'binary', parts: [[0, [0x1f, 0x8b]]] },
+  { mime: 'application/x-7z-compressed', type: 'binary', parts: [[0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]]] },
+  { mime: 'application/vnd.rar', type: 'binary', parts: [[0, 'Rar!']] },
+  { mime: 'application/x-executable', type: 'binary', parts: [[0, [0x7f, 0x45, 0x4c, 0x46]]] },
+];
+
+/**
+ * Byte Order Mark ของข้อความ
+ */
+const TEXT_BOMS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] },
+];
+
+/**
+ * ตรวจ UTF-16 ที่ไม่มี BOM: ไบต์สูงของอักขระในภาษาเดียวกัน (เช่น 0x00 สำหรับอังกฤษ, 0x0E สำหรับไทย)
+ * จะซ้ำกันเกือบทั้งหมดในตำแหน่งคู่หรือคี่ ขณะที่อีกฝั่งหลากหลาย
+ * ข้อความจีน/ญี่ปุ่นที่ปน ASCII ไบต์สูงหลากหลายเกินไป จึงดูตำแหน่งของไบต์ 0x00 แทน (คี่ = LE, คู่ = BE)
+ */
+function detectUtf16Pattern(bytes) {
+  if (bytes.length < 8) return null;
+
+  const byRatio = detectUtf16ByteRatio(bytes);
+  const encoding = byRatio || detectUtf16NullParity(bytes);
+  if (!encoding) return null;
+
+  try {
+    const text = new TextDecoder(encoding, { fatal: true }).decode(bytes, { stream: true });
+    // ไฟล์ไบนารีที่มีตัวเลข 16 บิตเรียงกันก็มี 0x00 อยู่ฝั่งเดียวได้ จึงต้องถอดออกมาเป็นข้อความที่แทบไม่มีอักขระควบคุม
+    if (!byRatio && (text.match(/[\u0000-\u0008\u000e-\u001f]/g) || []).length > text.length * 0.02) {
+      return null;
+    }
+    return encoding;
+  } catch (error) {
+    return null;
+  }
+}
+
+function detectUtf16ByteRatio(bytes) {
+  const topTwoRatio = (parity) => {
+    const counts = new Map();
+    let total = 0;
+    for (let i = parity; i < bytes.length; i += 2) {
+      counts.set(bytes[i], (counts.get(bytes[i]) || 0) + 1);
+      total++;
+    }
+    const [first = 0, second = 0] = [...counts.values()].sort((a, b) => b - a);
+    return (first + second) / total;
+  };
+
+  const even = topTwoRatio(0);
+  const odd = topTwoRatio(1);
+  return odd >= 0.8 && even < 0.5 ? 'utf-16le' : even >= 0.8 && odd < 0.5 ? 'utf-16be' : null;
+}
+
+function detectUtf16NullParity(bytes) {
+  const zeros = [0, 0];
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === 0) zeros[i % 2]++;
+  }
+  // อย่างน้อย 5% ของตำแหน่งฝั่งนั้นเป็น 0x00 และอีกฝั่งมีน้อยกว่ามาก (ไบต์ต่ำของอักษรอย่าง U+4E00 ก็เป็น 0x00 ได้)
+  const [even, odd] = zeros;
+  const minimum = (bytes.length / 2) * 0.05;
+  if (odd >= minimum && even <= odd * 0.25) return 'utf-16le';
+  if (even >= minimum && odd <= even * 0.25) return 'utf-16be';
+  return null;
+}
+
+function matchesBytes(bytes, offset, expected) {
+  const list = typeof expected === 'string' ? Array.from(expected, (ch) => ch.charCodeAt(0)) : expected;
+  if (bytes.length < offset + list.length) return false;
+  return list.every((value, i) => bytes[offset + i] === value);
+}
+
 /**
  * ตัวตรวจจับประเภทไฟล์
  */
@@ -130,13 +389,167 @@ class FileTypeDetector {
 
     return result;
   }
+
+  /**
+   * ตรวจเนื้อหาไฟล์จากไบต์ส่วนต้น (ลายเซ็น, BOM, โทเคนแรกของข้อความ, สัดส่วนอักขระควบคุม)
+   * คืนค่า type เป็น image / document / archive / binary / unknown พร้อม confidence 0-1
+   */
+  static async sniffContent(file) {
+    const empty = { type: 'unknown', mime: '', confidence: 0, encoding: null, reason: 'empty' };
+    if (!file || typeof file.slice !== 'function' || !file.size) {
+      return empty;
+    }
+
+    let bytes;
+    try {
+      bytes = new Uint8Array(await readBlobAsArrayBuffer(file.slice(0, SNIFF_BYTES)));
+    } catch (error) {
+      return { ...empty, reason: 'unreadable' };
+    }
+
+    for (const signature of MAGIC_SIGNATURES) {
+      const matched = signature.parts.every(([offset, expected]) => matchesBytes(bytes, offset, expected));
+      if (matched && (!signature.test || signature.test(bytes))) {
+        return {
+          type: signature.type,
+          mime: signature.mime,
+          confidence: signature.test ? 0.9 : 0.99,
+          encoding: null,
+          reason: 'signature',
+        };
+      }
+    }
+
+    const bom = TEXT_BOMS.find((entry) => matchesBytes(bytes, 0, entry.bytes));
+    if (bom) {
+      const text = new TextDecoder(bom.encoding).decode(bytes.subarray(bom.bytes.length));
+      return {
+        ...FileTypeDetector.sniffTextMime(text),
+        type: 'document',
+        confidence: 0.95,
+        encoding: bom.encoding,
+        reason: 'bom',
+      };
+    }
+
+    const utf16 = detectUtf16Pattern(bytes);
+    if (utf16) {
+      const text = new TextDecoder(utf16).decode(bytes);
+      return {
+        ...FileTypeDetector.sniffTextMime(text),
+        type: 'document',
+        confidence: 0.8,
+        encoding: utf16,
+        reason: 'utf16-pattern',
+      };
+    }
+
+    let zeroCount = 0;
+    let controlCount = 0;
+    for (const b of bytes) {
+      if (b === 0) {
+        zeroCount++;
+      } else if (b < 0x09 || (b > 0x0d && b < 0x20 && b !== 0x1b) || b === 0x7f) {
+        controlCount++;
+      }
+    }
+
+    if (zeroCount > 0 || controlCount / bytes.length > 0.1) {
+      return {
+        type: 'binary',
+        mime: 'application/octet-stream',
+        confidence: zeroCount > 0 ? 0.9 : 0.75,
+        encoding: null,
+        reason: 'binary-heuristic',
+      };
+    }
+
+    const text = new TextDecoder('utf-8').decode(bytes);
+    const structured = FileTypeDetector.sniffTextMime(text);
+    return {
+      ...structured,
+      type: 'document',
+      confidence: structured.mime === 'text/plain' ? 0.6 : 0.8,
+      encoding: null,
+      reason: structured.mime === 'text/plain' ? 'text-heuristic' : 'leading-token',
+    };
+  }
+
+  /**
+   * เดาชนิดข้อความจากโทเคนแรก (JSON / XML / HTML / RTF)
+   */
+  static sniffTextMime(text) {
+    const head = text.replace(/^\uFEFF/, '').trimStart().slice(0, 256).toLowerCase();
+
+    if (head.startsWith('{\\rtf')) return { mime: 'application/rtf' };
+    if (head.startsWith('<!doctype html') || /^<(html|head|body)[\s>]/.test(head)) return { mime: 'text/html' };
+    if (head.startsWith('<?xml') || /^<[a-z_][\w.:-]*[\s>/]/.test(head)) return { mime: 'text/xml' };
+    if (/^[{[]\s*(["{[\]}]|-?\d|true|false|null)/.test(head)) return { mime: 'application/json' };
+
+    return { mime: 'text/plain' };
+  }
+
+  /**
+   * ตรวจประเภทไฟล์จากชื่อ/MIME แล้วยืนยันด้วยเนื้อหาจริง
+   * ผลลัพธ์เหมือน detectFileType และเพิ่ม sniffedType, sniffedMime, confidence, mismatch, encoding
+   */
+  static async detectFileTypeWithContent(file) {
+    const declared = FileTypeDetector.detectFileType(file);
+    const sniff = await FileTypeDetector.sniffContent(file);
+
+    const result = {
+      ...declared,
+      fileType: declared.fileType ?? (file?.type || ''),
+      fileName: declared.fileName ?? (file?.name || ''),
+      fileExtension: declared.fileExtension ?? '',
+      fileSize: declared.fileSize ?? file?.size,
+      declaredType: declared.type,
+      sniffedType: sniff.type,
+      sniffedMime: sniff.mime,
+      encoding: sniff.encoding,
+      confidence: sniff.confidence,
+      mismatch: false,
+    };
+
+    if (sniff.type === 'unknown') {
+      // อ่านเนื้อหาไม่ได้ (เช่น ไฟล์ว่าง) ใช้ผลจากชื่อ/MIME ตามเดิม
+      result.confidence = declared.type === 'unknown' ? 0 : 0.5;
+      return result;
+    }
+
+    const declaredMime = (file?.type || '').replace('image/jpg', 'image/jpeg');
+    // docx / odt / xlsx / ods คือไฟล์ zip ที่บรรจุเอกสาร XML ไว้ภายใน
+    const isContainerDocument =
+      sniff.type === 'archive' && declared.isDocument && CONTAINER_DOCUMENT_EXTENSIONS.includes(result.fileExtension);
+    result.mismatch =
+      declared.type !== 'unknown' &&
+      !isContainerDocument &&
+      (declared.type !== sniff.type || (sniff.type === 'image' && declaredMime !== '' && declaredMime !== sniff.mime));
+
+    if (sniff.type === 'image' && pluginConfig.supportedImageTypes.includes(sniff.mime)) {
+      Object.assign(result, { type: 'image', isImage: true, isDocument: false });
+    } else if (isContainerDocument) {
+      Object.assign(result, { type: 'document', isImage: false, isDocument: true, container: 'zip' });
+    } else if (sniff.type === 'document') {
+      Object.assign(result, { type: 'document', isImage: false, isDocument: true });
+    } else {
+      // archive ส่งต่อให้ ArchiveProcessor, binary ยังไม่มีตัวประมวลผลรองรับ
+      Object.assign(result, { type: sniff.type, isImage: false, isDocument: false });
+    }
+
+    if (pluginConfig.enableLogging) {
+      console.log('[ตัวตรวจจับไฟล์] ผลการตรวจเนื้อหา:', result);
+    }
+
+    return result;
+  }
 }
 
 /**
  * ตัวตรวจสอบไฟล์
  */
 class FileValidator {
-  static validate(file, expectedType = null) {
+  static async validate(file, expectedType = null) {
     if (!file || typeof file !== 'object') {
       throw new Error('ไฟล์ไม่ถูกต้อง');
     }
@@ -146,7 +559,11 @@ class FileValidator {
       throw new Error(`ไฟล์มีขนาดใหญ่เกินไป (จำกัดที่ ${pluginConfig.maxFileSize}MB)`);
     }
 
-    const detection = FileTypeDetector.detectFileType(file);
+    const detection = await FileTypeDetector.detectFileTypeWithContent(file);
+
+    if (detection.type === 'binary' && (expectedType === 'document' || detection.declaredType === 'document')) {
+      throw new Error(`ไฟล์นี้ไม่ใช่เอกสารข้อความ ตรวจพบข้อมูลไบนารี (${detection.sniffedMime}) (${file.name})`);
+    }
 
     if (expectedType === 'image' && !detection.isImage) {
       throw new Error(`ไม่รองรับประเภทภาพนี้: ${detection.fileType || 'ไม่ทราบ'} (${file.name})`);
@@ -165,361 +582,7498 @@ class FileValidator {
 }
 
 /**
- * ตัวจัดการภาพ
+ * นามสกุลไฟล์ที่ใช้บันทึกตามรูปแบบภาพ
  */
-class ImageProcessor {
-  static async processImage(file, options = {}) {
-    if (!pluginConfig.enableImageProcessing) {
-      throw new Error('ฟังก์ชันประมวลผลภาพถูกปิดอยู่');
-    }
+const IMAGE_FORMAT_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+};
 
-    const validation = FileValidator.validate(file, 'image');
+/**
+ * นโยบายรูปแบบไฟล์ภาพที่บันทึก
+ * auto = JPEG สำหรับภาพทึบ / PNG เมื่อมีพื้นโปร่งใส, keep = คงรูปแบบเดิม, webp / jpeg = บังคับรูปแบบ
+ */
+const IMAGE_OUTPUT_FORMATS = ['auto', 'keep', 'webp', 'jpeg'];
 
-    if (pluginConfig.showProcessingInfo) {
-      toastr.info('กำลังประมวลผลภาพ...', 'อัปโหลดภาพ');
-    }
+/**
+ * โหมดบีบอัด: quality = คุณภาพคงที่ (imageQuality), bytes = ไม่เกินขนาดไฟล์เป้าหมาย,
+ * tokens = ไม่เกินจำนวนโทเคนภาพเป้าหมาย
+ */
+const COMPRESSION_MODES = ['quality', 'bytes', 'tokens'];
 
-    try {
-      const img = new Image();
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
+// ช่วงคุณภาพที่ใช้ค้นหาในโหมดขนาดเป้าหมาย และคุณภาพขณะค้นหาสัดส่วนย่อภาพ
+const TARGET_QUALITY_MIN = 0.4;
+const TARGET_QUALITY_MAX = 0.95;
+const TARGET_SCALE_QUALITY = 0.75;
+const TARGET_MIN_SCALE = 0.1;
+const TARGET_SEARCH_STEPS = 6;
 
-      return new Promise((resolve, reject) => {
-        img.onload = async () => {
-          try {
-            let { width, height } = img;
-            const maxDim = pluginConfig.maxImageDimension;
+/**
+ * ประมาณจำนวนโทเคนที่โมเดล vision ใช้กับภาพขนาด width x height
+ * openai: ย่อให้อยู่ใน 2048 แล้วด้านสั้นไม่เกิน 768 คิด 170 ต่อช่อง 512 px บวก 85
+ * claude: (กว้าง x สูง) / 750
+ * gemini: ภาพไม่เกิน 384 px คิด 258 ไม่เช่นนั้นคิด 258 ต่อช่อง 768 px
+ */
+const VISION_TOKEN_MODELS = {
+  openai: (width, height) => {
+    let { width: w, height: h } = ImageProcessor.fitWithin(width, height, 2048);
+    const shortSide = Math.min(w, h);
+    if (shortSide > 768) {
+      w = (w * 768) / shortSide;
+      h = (h * 768) / shortSide;
+    }
+    return 85 + 170 * Math.ceil(w / 512) * Math.ceil(h / 512);
+  },
+  claude: (width, height) => Math.ceil((width * height) / 750),
+  gemini: (width, height) =>
+    width <= 384 && height <= 384 ? 258 : 258 * Math.ceil(width / 768) * Math.ceil(height / 768),
+};
 
-            if (width > maxDim || height > maxDim) {
-              if (width > height) {
-                height = (height * maxDim) / width;
-                width = maxDim;
-              } else {
-                width = (width * maxDim) / height;
-                height = maxDim;
-              }
-            }
-
-            canvas.width = width;
-            canvas.height = height;
-            ctx.drawImage(img, 0, 0, width, height);
-
-            const quality = pluginConfig.imageQuality / 100;
-            const imageData = canvas.toDataURL('image/jpeg', quality);
-
-            const base64Content = imageData.split(',')[1];
-            const fileExtension = 'jpg';
-            const uniqueId = `${Date.now()}_${getStringHash(file.name)}`;
-            const storagePath = 'user/images';
-
-            const savedUrl = await saveBase64AsFile(base64Content, storagePath, uniqueId, fileExtension);
-
-            const result = {
-              success: true,
-              url: savedUrl,
-              metadata: {
-                originalName: file.name,
-                processedName: `${uniqueId}.${fileExtension}`,
-                originalSize: file.size,
-                processedSize: Math.round(base64Content.length * 0.75),
-                format: file.type,
-                optimized: true,
-                timestamp: new Date().toISOString(),
-              },
-            };
-
-            if (pluginConfig.showProcessingInfo) {
-              toastr.success('ประมวลผลภาพเสร็จสิ้น', 'อัปโหลดภาพ');
-            }
-
-            resolve(result);
-          } catch (error) {
-            reject(error);
-          }
-        };
+function estimateVisionTokens(width, height, model = pluginConfig.visionTokenModel) {
+  return (VISION_TOKEN_MODELS[model] || VISION_TOKEN_MODELS.openai)(width, height);
+}
 
-        img.onerror = () => reject(new Error('ไม่สามารถโหลดภาพได้'));
-        img.src = URL.createObjectURL(file);
-      });
-    } catch (error) {
-      if (pluginConfig.showProcessingInfo) {
-        toastr.error(`ประมวลผลภาพล้มเหลว: ${error.message}`, 'อัปโหลดภาพ');
-      }
-      throw error;
-    }
+/**
+ * จำนวนไบต์จริงของข้อมูลใน data URL แบบ base64
+ */
+function dataUrlByteLength(dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor((base64.length * 3) / 4) - padding;
+}
+
+/**
+ * แปลง ArrayBuffer เป็น base64
+ */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
   }
+  return btoa(binary);
 }
 
 /**
- * ตัวจัดการเอกสาร
+ * แปลง base64 เป็น Uint8Array
  */
-class DocumentProcessor {
-  static async processDocument(file, options = {}) {
-    if (!pluginConfig.enableDocumentProcessing) {
-      throw new Error('ฟังก์ชันประมวลผลเอกสารถูกปิดอยู่');
-    }
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (ch) => ch.charCodeAt(0));
+}
 
-    const validation = FileValidator.validate(file, 'document');
+/**
+ * ตัวอ่านการ์ดตัวละคร SillyTavern ที่ฝังอยู่ใน chunk ของไฟล์ PNG (chara = V1/V2, ccv3 = V3)
+ */
+class CharacterCardParser {
+  static async extractFromPng(bytes) {
+    const entries = {};
+    for (const chunk of ImageProcessor.readPngChunks(bytes)) {
+      if (!['tEXt', 'iTXt', 'zTXt'].includes(chunk.type)) continue;
+      const data = bytes.subarray(chunk.offset, chunk.offset + chunk.length);
+      let text;
+      try {
+        text = await CharacterCardParser.readTextChunk(chunk.type, data);
+      } catch (error) {
+        // chunk ข้อความที่บีบอัดเสียหายไม่ควรทำให้อัปโหลดภาพล้มเหลว จึงข้ามเฉพาะ chunk นั้น
+        if (pluginConfig.enableLogging) {
+          console.warn(`[Character Card] ข้าม chunk ${chunk.type} ที่อ่านไม่ได้:`, error);
+        }
+        continue;
+      }
+      if (text && ['chara', 'ccv3'].includes(text.keyword.toLowerCase())) {
+        entries[text.keyword.toLowerCase()] = text.value;
+      }
+    }
 
-    if (pluginConfig.showProcessingInfo) {
-      toastr.info('กำลังประมวลผลเอกสาร...', 'อัปโหลดเอกสาร');
+    // ccv3 ใหม่กว่าและมีข้อมูลครบกว่า จึงใช้ก่อน chara
+    for (const source of ['ccv3', 'chara']) {
+      if (!entries[source]) continue;
+      try {
+        const raw = base64ToBytes(entries[source].trim());
+        const json = new TextDecoder('utf-8').decode(raw);
+        return CharacterCardParser.normalize(JSON.parse(json), source);
+      } catch (error) {
+        if (pluginConfig.enableLogging) {
+          console.warn(`[Character Card] อ่านข้อมูล ${source} ไม่สำเร็จ:`, error);
+        }
+      }
     }
+    return null;
+  }
 
-    try {
-      const content = await DocumentProcessor.readFileContent(file, validation);
-      const processedContent = DocumentProcessor.processContent(content, validation.fileExtension);
+  /**
+   * อ่าน keyword และข้อความจาก chunk tEXt / zTXt / iTXt
+   */
+  static async readTextChunk(type, data) {
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd <= 0) return null;
+    const keyword = new TextDecoder('latin1').decode(data.subarray(0, keywordEnd));
+    const maxBytes = pluginConfig.maxFileSize * 1024 * 1024;
 
-      const result = {
-        success: true,
-        content: processedContent,
-        metadata: {
-          originalName: file.name,
-          type: file.type || 'text/plain',
-          size: file.size,
-          documentType: validation.fileExtension,
-          contentLength: processedContent.length,
-          timestamp: new Date().toISOString(),
-        },
-      };
+    if (type === 'tEXt') {
+      return { keyword, value: new TextDecoder('latin1').decode(data.subarray(keywordEnd + 1)) };
+    }
 
-      if (pluginConfig.enableAIReading && options.sendToChat !== false) {
-        await DocumentProcessor.sendToChat(processedContent, file.name, validation.fileExtension);
-      }
+    if (type === 'zTXt') {
+      const inflated = await inflateBytes(data.subarray(keywordEnd + 2), 'deflate', maxBytes);
+      return { keyword, value: new TextDecoder('latin1').decode(inflated) };
+    }
 
-      if (pluginConfig.showProcessingInfo) {
-        toastr.success('ประมวลผลเอกสารเสร็จสิ้น', 'อัปโหลดเอกสาร');
-      }
+    // iTXt: keyword\0 flag method language\0 translated\0 text
+    const compressed = data[keywordEnd + 1] === 1;
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = data.indexOf(0, languageEnd + 1);
+    if (languageEnd < 0 || translatedEnd < 0) return null;
+    let textBytes = data.subarray(translatedEnd + 1);
+    if (compressed) {
+      textBytes = await inflateBytes(textBytes, 'deflate', maxBytes);
+    }
+    return { keyword, value: new TextDecoder('utf-8').decode(textBytes) };
+  }
 
-      return result;
-    } catch (error) {
-      if (pluginConfig.showProcessingInfo) {
-        toastr.error(`เกิดข้อผิดพลาด: ${error.message}`, 'อัปโหลดเอกสาร');
-      }
-      throw error;
+  /**
+   * แปลงการ์ดทุกเวอร์ชันให้อยู่ในรูปแบบเดียวกัน
+   */
+  static normalize(card, source) {
+    const data = card?.data && typeof card.data === 'object' ? card.data : card;
+    if (!data || typeof data !== 'object' || typeof data.name !== 'string') {
+      throw new Error('ข้อมูลการ์ดตัวละครไม่ถูกต้อง');
     }
+
+    return {
+      source: source,
+      spec: card.spec || 'chara_card_v1',
+      specVersion: card.spec_version || '1.0',
+      name: data.name,
+      description: data.description || '',
+      firstMessage: data.first_mes || '',
+      personality: data.personality || '',
+      scenario: data.scenario || '',
+      creator: data.creator || '',
+      tags: Array.isArray(data.tags) ? data.tags : [],
+      data: data,
+    };
   }
 
-  static readFileContent(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+  /**
+   * นำเข้าไฟล์การ์ดเป็นตัวละครใหม่ผ่าน API ของ SillyTavern
+   */
+  static async importCard(file) {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    formData.append('file_type', 'png');
 
-      reader.onload = function (e) {
-        try {
-          resolve(e.target.result);
-        } catch (error) {
-          reject(new Error(`ไม่สามารถอ่านไฟล์ได้: ${error.message}`));
-        }
-      };
+    const headers = getRequestHeaders();
+    delete headers['Content-Type'];
 
-      reader.onerror = () => reject(new Error('ไม่สามารถอ่านไฟล์ได้'));
-      reader.readAsText(file, 'UTF-8');
+    const response = await fetch('/api/characters/import', {
+      method: 'POST',
+      headers: headers,
+      body: formData,
+      cache: 'no-cache',
     });
-  }
 
-  static processContent(content, fileExtension) {
-    switch (fileExtension) {
-      case 'json':
-        try {
-          const jsonObj = JSON.parse(content);
-          return JSON.stringify(jsonObj, null, 2);
-        } catch {
-          console.warn('[Document Processor] แปลง JSON ไม่สำเร็จ คืนค่าเนื้อหาเดิม');
-          return content;
-        }
-      case 'csv':
-        const lines = content.split('\n');
-        const maxPreviewLines = 50;
-        if (lines.length > maxPreviewLines) {
-          const previewLines = lines.slice(0, maxPreviewLines);
-          return previewLines.join('\n') + `\n\n... (ไฟล์มี ${lines.length} บรรทัด แสดงเฉพาะ ${maxPreviewLines})`;
-        }
-        return content;
-      default:
-        return content;
+    if (!response.ok) {
+      throw new Error(`นำเข้าการ์ดตัวละครไม่สำเร็จ (${response.status} ${response.statusText})`);
     }
-  }
 
-  static async sendToChat(content, fileName, documentType) {
-    try {
-      const addOneMessage =
-        window.addOneMessage || parent.addOneMessage || top.addOneMessage || null;
-
-      if (addOneMessage) {
-        const maxLength = 2000;
-        const displayContent =
-          content.length > maxLength ? content.substring(0, maxLength) + '\n\n...(ตัดเนื้อหาบางส่วน)' : content;
-
-        const icons = {
-          json: '📋',
-          md: '📝',
-          html: '🌐',
-          xml: '📄',
-          csv: '📊',
-          js: '⚡',
-          css: '🎨',
-          yaml: '⚙️',
-          yml: '⚙️',
-          log: '📜',
-        };
+    const data = await response.json();
+    if (data.error) {
+      throw new Error('นำเข้าการ์ดตัวละครไม่สำเร็จ');
+    }
 
-        const icon = icons[documentType] || '📄';
-        const message = `${icon} **เนื้อหาเอกสาร** (${fileName})\n\n\`\`\`${documentType}\n${displayContent}\n\`\`\``;
-
-        await addOneMessage({
-          name: 'User',
-          is_user: true,
-          mes: message,
-          extra: {
-            type: 'document_upload',
-            file_name: fileName,
-            document_type: documentType,
-          },
-        });
+    await getCharacters();
+    return data.file_name;
+  }
 
-        if (pluginConfig.enableLogging) {
-          console.log('[Document Processor] ส่งเอกสารไปยังแชทเรียบร้อย');
-        }
-      }
-    } catch (error) {
-      console.error('[Document Processor] ส่งเอกสารล้มเหลว:', error);
-    }
+  /**
+   * ถามผู้ใช้ว่าจะนำเข้าเป็นตัวละครหรืออัปโหลดเป็นภาพธรรมดา
+   */
+  static async confirmImport(card, fileName) {
+    const html = `
+      <h3>พบการ์ดตัวละคร: ${escapeHtml(card.name)}</h3>
+      <div>ไฟล์ <b>${escapeHtml(fileName)}</b> มีข้อมูลการ์ดตัวละคร (${escapeHtml(card.spec)})</div>
+      <div>ต้องการนำเข้าเป็นตัวละครใหม่แทนการอัปโหลดเป็นภาพในแชทหรือไม่?</div>
+    `;
+    const result = await callGenericPopup(html, POPUP_TYPE.CONFIRM, '', {
+      okButton: 'นำเข้าตัวละคร',
+      cancelButton: 'อัปโหลดเป็นภาพ',
+    });
+    return result === POPUP_RESULT.AFFIRMATIVE;
   }
 }
 
-/* === ส่วนที่เหลือ (initPlugin, UI, bindEvent, saveSettings) คงเดิมได้เลย === */
-
-
 /**
- * 主要的文件处理接口
+ * ตัวอ่าน/ลบข้อมูลเมตาของภาพ (EXIF ของ JPEG, chunk ข้อมูลเมตาของ PNG/WebP)
  */
-class FileProcessor {
-  static async processFile(file, options = {}) {
-    try {
-      if (!file) {
-        throw new Error('请提供文件');
-      }
+class ImageMetadata {
+  /**
+   * อ่าน EXIF จากไฟล์ JPEG
+   * คืนค่า null เมื่อไม่ใช่ JPEG หรือไม่มี EXIF
+   */
+  static readJpegExif(bytes) {
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+      return null;
+    }
 
-      const detection = FileTypeDetector.detectFileType(file);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const result = { orientation: 1, rawWidth: 0, rawHeight: 0, app1: null, tags: {}, gps: null };
+    let offset = 2;
 
-      if (pluginConfig.enableLogging) {
-        console.log('[File Processor] 处理文件:', {
-          name: file.name,
-          type: file.type,
-          size: file.size,
-          detection: detection,
-        });
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      if (marker === 0xd9 || marker === 0xda) break; // EOI / SOS: ข้อมูลภาพเริ่มแล้ว
+      const length = view.getUint16(offset + 2);
+
+      if (marker === 0xe1 && matchesBytes(bytes, offset + 4, 'Exif\0\0') && !result.app1) {
+        result.app1 = { offset: offset, length: length + 2 };
+        ImageMetadata.readTiff(view, offset + 10, result);
+      } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        result.rawHeight = view.getUint16(offset + 5);
+        result.rawWidth = view.getUint16(offset + 7);
       }
 
-      // 根据检测结果选择处理器
-      if (detection.isImage) {
-        if (pluginConfig.enableLogging) {
-          console.log('[File Processor] 使用图片处理器');
+      offset += 2 + length;
+    }
+
+    return result.app1 || result.rawWidth ? result : null;
+  }
+
+  /**
+   * อ่านโครงสร้าง TIFF ภายใน APP1 (IFD0, Exif IFD, GPS IFD)
+   */
+  static readTiff(view, tiffStart, result) {
+    const littleEndian = view.getUint16(tiffStart) === 0x4949;
+    const u16 = (o) => view.getUint16(tiffStart + o, littleEndian);
+    const u32 = (o) => view.getUint32(tiffStart + o, littleEndian);
+    const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+    const readValue = (entry) => {
+      const type = u16(entry + 2);
+      const count = u32(entry + 4);
+      const size = (typeSizes[type] || 1) * count;
+      const valueOffset = size <= 4 ? entry + 8 : u32(entry + 8);
+      switch (type) {
+        case 2: {
+          let text = '';
+          for (let i = 0; i < count - 1; i++) {
+            text += String.fromCharCode(view.getUint8(tiffStart + valueOffset + i));
+          }
+          return text.trim();
         }
-        return await ImageProcessor.processImage(file, options);
+        case 3:
+          return count === 1 ? u16(valueOffset) : Array.from({ length: count }, (_, i) => u16(valueOffset + i * 2));
+        case 4:
+          return u32(valueOffset);
+        case 5:
+          return Array.from({ length: count }, (_, i) => {
+            const denominator = u32(valueOffset + i * 8 + 4);
+            return denominator ? u32(valueOffset + i * 8) / denominator : 0;
+          });
+        default:
+          return view.getUint8(tiffStart + valueOffset);
+      }
+    };
+
+    const readIfd = (ifdOffset, names) => {
+      const values = {};
+      const count = u16(ifdOffset);
+      for (let i = 0; i < count; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        const tag = u16(entry);
+        if (tag === 0x0112) {
+          // เก็บตำแหน่งค่าการหมุนไว้แก้เป็น 1 เมื่อต้องคง EXIF ไว้ในไฟล์ที่หมุนแล้ว
+          result.orientationOffset = tiffStart + entry + 8;
+          result.littleEndian = littleEndian;
+        }
+        if (names[tag]) {
+          values[names[tag]] = readValue(entry);
+        }
+      }
+      return values;
+    };
+
+    const ifd0 = readIfd(u32(4), {
+      0x0112: 'orientation',
+      0x010f: 'make',
+      0x0110: 'model',
+      0x0131: 'software',
+      0x0132: 'dateTime',
+      0x8769: 'exifIfd',
+      0x8825: 'gpsIfd',
+    });
+    const exifNames = { 0x9003: 'dateTimeOriginal', 0x9011: 'offsetTimeOriginal' };
+    const exif = ifd0.exifIfd ? readIfd(ifd0.exifIfd, exifNames) : {};
+    const gps = ifd0.gpsIfd ? readIfd(ifd0.gpsIfd, { 1: 'latRef', 2: 'lat', 3: 'lonRef', 4: 'lon' }) : {};
+
+    result.orientation = ifd0.orientation >= 1 && ifd0.orientation <= 8 ? ifd0.orientation : 1;
+    result.tags = { ...ifd0, ...exif };
+    delete result.tags.exifIfd;
+    delete result.tags.gpsIfd;
+
+    if (Array.isArray(gps.lat) && Array.isArray(gps.lon)) {
+      const toDegrees = ([d, m, s]) => d + m / 60 + s / 3600;
+      result.gps = {
+        latitude: toDegrees(gps.lat) * (gps.latRef === 'S' ? -1 : 1),
+        longitude: toDegrees(gps.lon) * (gps.lonRef === 'W' ? -1 : 1),
+      };
+    }
+  }
+
+  /**
+   * ข้อมูล EXIF ที่ไม่อ่อนไหว (ไม่มีพิกัดและข้อมูลอุปกรณ์) สำหรับใส่ใน result.metadata
+   */
+  static toPublicMetadata(exif) {
+    if (!exif) return null;
+    const raw = exif.tags.dateTimeOriginal || exif.tags.dateTime || '';
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(raw);
+    return {
+      orientation: exif.orientation,
+      takenAt: match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}${exif.tags.offsetTimeOriginal || ''}` : null,
+    };
+  }
+
+  /**
+   * ใส่ APP1 (EXIF) เดิมกลับเข้าไปใน JPEG ที่เข้ารหัสใหม่ และตั้งค่าการหมุนเป็น 1 เพราะหมุนพิกเซลไปแล้ว
+   */
+  static insertJpegExif(jpegBytes, sourceBytes, exif) {
+    const app1 = sourceBytes.slice(exif.app1.offset, exif.app1.offset + exif.app1.length);
+    if (exif.orientationOffset) {
+      new DataView(app1.buffer).setUint16(exif.orientationOffset - exif.app1.offset, 1, exif.littleEndian);
+    }
+    const output = new Uint8Array(jpegBytes.length + app1.length);
+    output.set(jpegBytes.subarray(0, 2));
+    output.set(app1, 2);
+    output.set(jpegBytes.subarray(2), 2 + app1.length);
+    return output;
+  }
+
+  /**
+   * ลบ chunk EXIF / XMP ออกจาก WebP
+   */
+  static stripWebp(bytes) {
+    if (!matchesBytes(bytes, 12, 'VP8X')) {
+      return bytes;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const kept = [bytes.subarray(0, 12)];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+      const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+      const size = view.getUint32(offset + 4, true);
+      const end = offset + 8 + size + (size % 2);
+      if (type !== 'EXIF' && type !== 'XMP ') {
+        kept.push(bytes.subarray(offset, end));
+      }
+      offset = end;
+    }
+
+    const output = new Uint8Array(kept.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of kept) {
+      output.set(part, position);
+      position += part.length;
+    }
+    const outView = new DataView(output.buffer);
+    outView.setUint32(4, output.length - 8, true);
+    output[20] &= ~(0x08 | 0x04); // ล้าง flag EXIF และ XMP ของ VP8X
+    return output;
+  }
+
+  /**
+   * ลบ chunk eXIf และข้อความ (tEXt / zTXt / iTXt) ออกจาก PNG
+   */
+  static stripPng(bytes) {
+    const removed = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+    const kept = [bytes.subarray(0, 8)];
+    for (const chunk of ImageProcessor.readPngChunks(bytes)) {
+      if (!removed.includes(chunk.type)) {
+        kept.push(bytes.subarray(chunk.offset - 8, chunk.offset + chunk.length + 4));
+      }
+    }
+
+    const output = new Uint8Array(kept.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of kept) {
+      output.set(part, position);
+      position += part.length;
+    }
+    return output;
+  }
+}
+
+const IMAGE_INDEX_STORAGE_KEY = 'smart-media-assistant-image-index';
+const IMAGE_STORAGE_PATH = 'user/images';
+const IMAGE_INDEX_MAX_ENTRIES = 500;
+
+/**
+ * คลังภาพแบบอ้างอิงด้วยเนื้อหา: ตั้งชื่อไฟล์จากแฮชของไบต์ที่ประมวลผลแล้ว และเก็บดัชนี แฮช → URL ไว้ใน localStorage
+ */
+class ImageStore {
+  /**
+   * แฮชของไบต์ (SHA-256 เมื่อใช้ crypto.subtle ได้ ไม่เช่นนั้นใช้ FNV-1a 64 บิต เช่น ตอนเปิดผ่าน http ในวง LAN)
+   */
+  static async hashBytes(bytes) {
+    if (globalThis.crypto?.subtle) {
+      const digest = await crypto.subtle.digest('SHA-256', bytes);
+      return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    let hash = 0xcbf29ce484222325n;
+    const prime = 0x100000001b3n;
+    for (let i = 0; i < bytes.length; i++) {
+      hash = BigInt.asUintN(64, (hash ^ BigInt(bytes[i])) * prime);
+    }
+    return `fnv${hash.toString(16).padStart(16, '0')}${bytes.length.toString(16)}`;
+  }
+
+  static loadIndex() {
+    try {
+      return JSON.parse(localStorage.getItem(IMAGE_INDEX_STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  static saveIndex(index) {
+    const hashes = Object.keys(index);
+    if (hashes.length > IMAGE_INDEX_MAX_ENTRIES) {
+      // ตัดรายการที่ไม่ได้ใช้นานที่สุดออก
+      hashes
+        .sort((a, b) => (index[a].lastUsedAt || '').localeCompare(index[b].lastUsedAt || ''))
+        .slice(0, hashes.length - IMAGE_INDEX_MAX_ENTRIES)
+        .forEach((hash) => delete index[hash]);
+    }
+    writeLocalStorage(IMAGE_INDEX_STORAGE_KEY, JSON.stringify(index), 'ดัชนีภาพ');
+  }
+
+  /**
+   * หาไฟล์ที่เคยบันทึกด้วยแฮชเดียวกัน และยืนยันว่าไฟล์ยังอยู่บนเซิร์ฟเวอร์
+   */
+  static async find(hash) {
+    const entry = ImageStore.loadIndex()[hash];
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(entry.url, { method: 'HEAD', cache: 'no-cache' });
+      if (response.ok) {
+        return entry;
+      }
+    } catch (error) {
+      // เช็กไม่ได้ ให้บันทึกใหม่เพื่อความปลอดภัย
+    }
+
+    ImageStore.forget(hash);
+    return null;
+  }
+
+  /**
+   * บันทึกภาพ หรือใช้ไฟล์เดิมเมื่อแฮชตรงกัน
+   * คืนค่า { url, hash, fileName, deduplicated, entry }
+   */
+  static async save(bytes, fileExtension, info) {
+    const hash = await ImageStore.hashBytes(bytes);
+    const existing = await ImageStore.find(hash);
+    const now = new Date().toISOString();
+
+    if (existing) {
+      const index = ImageStore.loadIndex();
+      const entry = index[hash];
+      if (!entry.originalNames.includes(info.originalName)) {
+        entry.originalNames.push(info.originalName);
+      }
+      entry.lastUsedAt = now;
+      ImageStore.saveIndex(index);
+      return { url: entry.url, hash, fileName: entry.fileName, deduplicated: true, entry };
+    }
+
+    const baseName = hash.slice(0, 32);
+    const url = await saveBase64AsFile(arrayBufferToBase64(bytes), IMAGE_STORAGE_PATH, baseName, fileExtension);
+    const entry = {
+      url: url,
+      fileName: `${baseName}.${fileExtension}`,
+      width: info.width,
+      height: info.height,
+      format: info.format,
+      size: bytes.length,
+      originalName: info.originalName,
+      originalNames: [info.originalName],
+      createdAt: now,
+      lastUsedAt: now,
+    };
+
+    const index = ImageStore.loadIndex();
+    index[hash] = entry;
+    ImageStore.saveIndex(index);
+    return { url, hash, fileName: entry.fileName, deduplicated: false, entry };
+  }
+
+  static forget(hash) {
+    const index = ImageStore.loadIndex();
+    delete index[hash];
+    ImageStore.saveIndex(index);
+  }
+}
+
+const CAPTION_SOURCES = ['auto', 'sillytavern', 'endpoint'];
+
+/**
+ * บรรยายภาพหลังบันทึกไฟล์ ผ่านโมเดล multimodal ของ SillyTavern (ส่วนขยาย Image Captioning)
+ * หรือบริการ HTTP ในเครื่องที่ตั้งไว้ใน captionEndpoint
+ *
+ * รูปแบบของบริการ HTTP (ต้องอนุญาต CORS จาก origin ของ SillyTavern):
+ *   คำขอ   POST captionEndpoint, Content-Type: application/json
+ *          { "image": "<base64 ไม่มี data: นำหน้า>", "mimeType": "image/webp", "prompt": "...", "fileName": "..." }
+ *   คำตอบ  200 { "caption": "คำบรรยายภาพ" } สถานะอื่นหรือไม่มี caption ถือว่าล้มเหลว
+ */
+class ImageCaptioner {
+  static isEnabled(options = {}) {
+    return options.caption ?? pluginConfig.enableCaptioning;
+  }
+
+  /**
+   * คำสั่งบรรยายภาพ ใช้ macro {{fileName}} {{char}} {{user}} ได้
+   */
+  static buildPrompt(fileName, options = {}) {
+    const template = options.captionPrompt || pluginConfig.captionPrompt || DEFAULT_CAPTION_PROMPT;
+    return PromptTemplates.render(template, PromptTemplates.buildValues(fileName, 'image'));
+  }
+
+  /**
+   * คืนค่า { caption, source } ตาม captionSource
+   * auto = ลองของ SillyTavern ก่อน แล้วใช้บริการ HTTP เมื่อล้มเหลวและตั้ง URL ไว้
+   */
+  static async caption(base64, mimeType, fileName, options = {}) {
+    const source = options.captionSource || pluginConfig.captionSource;
+    if (!CAPTION_SOURCES.includes(source)) {
+      throw new Error(`ไม่รู้จักแหล่งบรรยายภาพ: ${source}`);
+    }
+
+    const prompt = ImageCaptioner.buildPrompt(fileName, options);
+    if (source === 'endpoint') {
+      const caption = await ImageCaptioner.fromEndpoint(base64, mimeType, fileName, prompt, options.signal);
+      return { caption, source: 'endpoint' };
+    }
+
+    try {
+      return { caption: await ImageCaptioner.fromSillyTavern(base64, mimeType, prompt), source: 'sillytavern' };
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      if (source === 'sillytavern' || !pluginConfig.captionEndpoint) {
+        throw error;
+      }
+      console.warn('[Image Captioner] บรรยายภาพผ่าน SillyTavern ไม่สำเร็จ ใช้บริการ HTTP แทน:', error);
+      const caption = await ImageCaptioner.fromEndpoint(base64, mimeType, fileName, prompt, options.signal);
+      return { caption, source: 'endpoint' };
+    }
+  }
+
+  static async fromSillyTavern(base64, mimeType, prompt) {
+    const getMultimodalCaption = await ImageCaptioner.loadMultimodalCaption();
+    const caption = String((await getMultimodalCaption(`data:${mimeType};base64,${base64}`, prompt)) || '').trim();
+    if (!caption) {
+      throw new Error('โมเดล multimodal ไม่ได้ส่งคำบรรยายกลับมา');
+    }
+    return caption;
+  }
+
+  /**
+   * โหลด getMultimodalCaption ของ SillyTavern เมื่อใช้ครั้งแรก
+   * รุ่นที่ไม่มี extensions/shared.js ยังโหลดส่วนขยายได้ เพียงบรรยายภาพผ่าน SillyTavern ไม่ได้
+   */
+  static async loadMultimodalCaption() {
+    try {
+      const { getMultimodalCaption } = await import('../../shared.js');
+      if (typeof getMultimodalCaption === 'function') return getMultimodalCaption;
+    } catch (error) {
+      console.warn('[Image Captioner] โหลด shared.js ไม่สำเร็จ:', error);
+    }
+    throw new Error('SillyTavern รุ่นนี้ไม่รองรับการบรรยายภาพด้วยโมเดล multimodal');
+  }
+
+  static async fromEndpoint(base64, mimeType, fileName, prompt, signal) {
+    if (!pluginConfig.captionEndpoint) {
+      throw new Error('ยังไม่ได้ตั้ง URL ของบริการบรรยายภาพ');
+    }
+
+    const response = await fetch(pluginConfig.captionEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ image: base64, mimeType, prompt, fileName }),
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`บริการบรรยายภาพตอบกลับ ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (typeof data?.caption !== 'string' || !data.caption.trim()) {
+      throw new Error('คำตอบจากบริการบรรยายภาพไม่มีฟิลด์ caption');
+    }
+    return data.caption.trim();
+  }
+
+  /**
+   * บรรยายภาพแล้วเก็บใน result.metadata.caption ล้มเหลวจะเตือนและเก็บเหตุผลไว้ใน captionError โดยไม่ยกเลิกการอัปโหลด
+   */
+  static async attach(result, base64, options = {}) {
+    const { originalName, format } = result.metadata;
+    try {
+      const { caption, source } = await ImageCaptioner.caption(base64, format, originalName, options);
+      Object.assign(result.metadata, { caption, captionSource: source, captionError: null });
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error;
+      console.warn('[Image Captioner] บรรยายภาพไม่สำเร็จ:', error);
+      Object.assign(result.metadata, { caption: null, captionSource: null, captionError: error.message });
+      toastr.warning(error.message, `บรรยายภาพ ${originalName} ไม่สำเร็จ`);
+    }
+    return result.metadata.caption;
+  }
+
+  /**
+   * บรรยายภาพที่บันทึกไว้แล้ว (เช่น ภาพในถาดไฟล์รอส่ง) โดยโหลดจาก result.url
+   */
+  static async attachToSaved(result, options = {}) {
+    const response = await fetch(result.url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`โหลดภาพ ${result.metadata.originalName} ไม่สำเร็จ (${response.status} ${response.statusText})`);
+    }
+    const base64 = arrayBufferToBase64(await response.arrayBuffer());
+    return await ImageCaptioner.attach(result, base64, options);
+  }
+
+  /**
+   * บรรทัดคำบรรยายที่ต่อท้ายข้อความในแชท
+   */
+  static formatForMessage(fileName, caption) {
+    return `[ภาพ ${fileName}: ${caption}]`;
+  }
+}
+
+// สัดส่วนการครอบตัด (กว้าง/สูง) null = อิสระ
+const IMAGE_EDITOR_RATIOS = { free: null, '1:1': 1, '4:3': 4 / 3, '3:4': 3 / 4, '16:9': 16 / 9, '9:16': 9 / 16 };
+const IMAGE_EDITOR_VIEW_WIDTH = 640;
+const IMAGE_EDITOR_VIEW_HEIGHT = 420;
+const IMAGE_EDITOR_ESTIMATE_DELAY = 300;
+
+/**
+ * หน้าต่างแก้ภาพก่อนอัปโหลด: ครอบตัด (อิสระ/ตามสัดส่วน) หมุน พลิก และแปรงเบลอ/ปิดทึบ
+ * พร้อมประมาณขนาดไฟล์และขนาดภาพที่จะได้ ภาพที่แก้แล้วเข้ารหัสเป็น PNG แล้วเข้าขั้นย่อขนาดและบันทึกเดิม
+ */
+class ImageEditor {
+  static isEnabled(options = {}) {
+    return options.edit ?? pluginConfig.enableImageEditor;
+  }
+
+  static createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * สี่เหลี่ยมจากจุดเริ่มถึงจุดที่ลาก ตามสัดส่วน ratio และไม่เกินขอบภาพ
+   */
+  static constrainRect(start, end, ratio, bounds) {
+    const clamp = (value, max) => Math.max(0, Math.min(max, value));
+    const x1 = clamp(start.x, bounds.width);
+    const y1 = clamp(start.y, bounds.height);
+    const x2 = clamp(end.x, bounds.width);
+    const y2 = clamp(end.y, bounds.height);
+
+    let width = Math.abs(x2 - x1);
+    let height = Math.abs(y2 - y1);
+    if (ratio) {
+      // ขยายตามด้านที่ลากไกลกว่า แล้วหดให้พอดีพื้นที่ที่เหลือในทิศที่ลาก
+      const maxWidth = x2 >= x1 ? bounds.width - x1 : x1;
+      const maxHeight = y2 >= y1 ? bounds.height - y1 : y1;
+      width = Math.min(Math.max(width, height * ratio), maxWidth, maxHeight * ratio);
+      height = width / ratio;
+    }
+
+    return {
+      x: Math.round(x2 >= x1 ? x1 : x1 - width),
+      y: Math.round(y2 >= y1 ? y1 : y1 - height),
+      width: Math.round(width),
+      height: Math.round(height),
+    };
+  }
+
+  /**
+   * หมุน 90° (left / right) หรือพลิก (horizontal / vertical) คืนค่า canvas ใหม่
+   */
+  static transformCanvas(source, operation) {
+    const rotate = operation === 'left' || operation === 'right';
+    const canvas = ImageEditor.createCanvas(
+      rotate ? source.height : source.width,
+      rotate ? source.width : source.height,
+    );
+    const transforms = {
+      right: [0, 1, -1, 0, source.height, 0],
+      left: [0, -1, 1, 0, 0, source.width],
+      horizontal: [-1, 0, 0, 1, source.width, 0],
+      vertical: [1, 0, 0, -1, 0, source.height],
+    };
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(...transforms[operation]);
+    ctx.drawImage(source, 0, 0);
+    return canvas;
+  }
+
+  static cropCanvas(source, rect) {
+    const canvas = ImageEditor.createCanvas(rect.width, rect.height);
+    canvas.getContext('2d').drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+    return canvas;
+  }
+
+  /**
+   * ชั้นภาพที่แปรงวาดทับ: blur = ภาพย่อแล้วขยายกลับเป็นโมเสก (กู้คืนไม่ได้ ต่างจากเบลอแบบ gaussian), redact = สีดำ
+   */
+  static createBrushLayer(source, tool, radius) {
+    if (tool === 'redact') {
+      return null;
+    }
+    const block = Math.max(6, Math.round(radius / 2));
+    const small = ImageEditor.createCanvas(
+      Math.max(1, Math.ceil(source.width / block)),
+      Math.max(1, Math.ceil(source.height / block)),
+    );
+    small.getContext('2d').drawImage(source, 0, 0, small.width, small.height);
+    const layer = ImageEditor.createCanvas(source.width, source.height);
+    const ctx = layer.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(small, 0, 0, layer.width, layer.height);
+    return layer;
+  }
+
+  static paint(target, layer, from, to, radius) {
+    const ctx = target.getContext('2d');
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    const steps = Math.max(1, Math.ceil(distance / (radius / 2)));
+    for (let i = 0; i <= steps; i++) {
+      const x = from.x + ((to.x - from.x) * i) / steps;
+      const y = from.y + ((to.y - from.y) * i) / steps;
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      if (layer) {
+        ctx.clip();
+        ctx.drawImage(layer, 0, 0);
+      } else {
+        ctx.fillStyle = '#000000';
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+  }
+
+  /**
+   * ขนาดภาพ รูปแบบ และขนาดไฟล์โดยประมาณ หลังย่อขนาดและเข้ารหัสตามการตั้งค่า (ไม่รวมข้อมูลเมตา)
+   */
+  static async estimate(region, sourceFormat, options = {}) {
+    const maxDimension = options.maxDimension || pluginConfig.maxImageDimension;
+    const { width, height } = ImageProcessor.fitWithin(region.width, region.height, maxDimension);
+    const canvas = stepDownscale(region, width, height, ImageEditor.createCanvas);
+
+    const hasAlpha =
+      sourceFormat !== 'image/jpeg' && hasTransparency(canvas.getContext('2d'), canvas.width, canvas.height);
+    const policy = options.outputFormat || pluginConfig.imageOutputFormat;
+    const format = ImageProcessor.resolveOutputFormat(policy, sourceFormat, hasAlpha);
+    const surface = ImageProcessor.canvasSurface(canvas, { hasAlpha });
+    const encoded = await ImageProcessor.encodeSurface(surface, format, ImageProcessor.getCompressionTarget(options));
+    surface.release();
+    return { width: encoded.width, height: encoded.height, format: encoded.format, size: encoded.compression.size };
+  }
+
+  /**
+   * เปิดหน้าต่างแก้ภาพ คืนค่า File (PNG) ของภาพที่แก้ หรือ null เมื่อไม่ได้แก้อะไร
+   * ผู้ใช้กดยกเลิกจะโยนข้อผิดพลาดเพื่อยกเลิกการอัปโหลด
+   */
+  static async open(file, sourceFormat, options = {}) {
+    const img = await ImageProcessor.loadImage(file);
+    const state = { work: ImageEditor.createCanvas(img.naturalWidth, img.naturalHeight), crop: null, edited: false };
+    state.work.getContext('2d').drawImage(img, 0, 0);
+
+    const $editor = $(`
+      <div class="smart-media-editor">
+        <h3></h3>
+        <div class="smart-media-editor-toolbar">
+          <select class="text_pole" data-control="tool">
+            <option value="crop">ครอบตัด</option>
+            <option value="blur">แปรงเบลอ</option>
+            <option value="redact">แปรงปิดทึบ</option>
+          </select>
+          <select class="text_pole" data-control="ratio">
+            ${Object.keys(IMAGE_EDITOR_RATIOS)
+              .map((key) => `<option value="${key}">${key === 'free' ? 'อิสระ' : key}</option>`)
+              .join('')}
+          </select>
+          <input type="range" data-control="brush" min="10" max="120" step="5" value="40" title="ขนาดแปรง">
+          <div class="menu_button fa-solid fa-rotate-left" data-action="left" title="หมุนซ้าย"></div>
+          <div class="menu_button fa-solid fa-rotate-right" data-action="right" title="หมุนขวา"></div>
+          <div class="menu_button fa-solid fa-left-right" data-action="horizontal" title="พลิกแนวนอน"></div>
+          <div class="menu_button fa-solid fa-up-down" data-action="vertical" title="พลิกแนวตั้ง"></div>
+          <div class="menu_button fa-solid fa-arrow-rotate-left" data-action="reset" title="เริ่มใหม่"></div>
+        </div>
+        <canvas class="smart-media-editor-canvas"></canvas>
+        <div class="smart-media-editor-info"></div>
+      </div>
+    `);
+    $editor.find('h3').text(`แก้ภาพก่อนอัปโหลด: ${file.name}`);
+    const canvas = $editor.find('canvas')[0];
+    const view = canvas.getContext('2d');
+    const controls = { tool: 'crop', ratio: null, brush: 40 };
+    let scale = 1;
+    let estimateTimer = null;
+
+    const region = () => (state.crop ? ImageEditor.cropCanvas(state.work, state.crop) : state.work);
+    const updateEstimate = () => {
+      clearTimeout(estimateTimer);
+      estimateTimer = setTimeout(async () => {
+        const { width, height, format, size } = await ImageEditor.estimate(region(), sourceFormat, options);
+        $editor
+          .find('.smart-media-editor-info')
+          .text(`ผลลัพธ์ ${width}×${height} px · ประมาณ ${formatFileSize(size)} (${format.replace('image/', '')})`);
+      }, IMAGE_EDITOR_ESTIMATE_DELAY);
+    };
+    const draw = () => {
+      scale = Math.min(IMAGE_EDITOR_VIEW_WIDTH / state.work.width, IMAGE_EDITOR_VIEW_HEIGHT / state.work.height, 1);
+      canvas.width = Math.round(state.work.width * scale);
+      canvas.height = Math.round(state.work.height * scale);
+      view.drawImage(state.work, 0, 0, canvas.width, canvas.height);
+      if (state.crop) {
+        const { x, y, width, height } = state.crop;
+        view.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        view.beginPath();
+        view.rect(0, 0, canvas.width, canvas.height);
+        view.rect(x * scale, y * scale, width * scale, height * scale);
+        view.fill('evenodd');
+        view.strokeStyle = '#ffffff';
+        view.setLineDash([6, 4]);
+        view.strokeRect(x * scale, y * scale, width * scale, height * scale);
+        view.setLineDash([]);
+      }
+    };
+    const toImagePoint = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: ((event.clientX - rect.left) * state.work.width) / rect.width,
+        y: ((event.clientY - rect.top) * state.work.height) / rect.height,
+      };
+    };
+
+    let drag = null;
+    canvas.addEventListener('pointerdown', (event) => {
+      canvas.setPointerCapture(event.pointerId);
+      const point = toImagePoint(event);
+      const radius = controls.brush / scale / 2;
+      drag = { start: point, last: point, radius };
+      if (controls.tool === 'crop') {
+        state.crop = null;
+      } else {
+        drag.layer = ImageEditor.createBrushLayer(state.work, controls.tool, radius);
+        ImageEditor.paint(state.work, drag.layer, point, point, radius);
+        state.edited = true;
+      }
+      draw();
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      if (!drag) return;
+      const point = toImagePoint(event);
+      if (controls.tool === 'crop') {
+        state.crop = ImageEditor.constrainRect(drag.start, point, controls.ratio, state.work);
+      } else {
+        ImageEditor.paint(state.work, drag.layer, drag.last, point, drag.radius);
+      }
+      drag.last = point;
+      draw();
+    });
+    canvas.addEventListener('pointerup', () => {
+      drag = null;
+      // คลิกเฉย ๆ โดยไม่ลาก = ยกเลิกการครอบตัด
+      if (state.crop && (state.crop.width < 4 || state.crop.height < 4)) {
+        state.crop = null;
+      }
+      draw();
+      updateEstimate();
+    });
+
+    $editor.on('input change', '[data-control]', function () {
+      const control = $(this).attr('data-control');
+      if (control === 'ratio') controls.ratio = IMAGE_EDITOR_RATIOS[this.value];
+      if (control === 'brush') controls.brush = Number(this.value);
+      if (control === 'tool') controls.tool = this.value;
+      if (control === 'ratio' && state.crop && controls.ratio) {
+        const { x, y, width, height } = state.crop;
+        state.crop = ImageEditor.constrainRect({ x, y }, { x: x + width, y: y + height }, controls.ratio, state.work);
+        draw();
+        updateEstimate();
+      }
+    });
+    $editor.on('click', '[data-action]', function () {
+      const action = $(this).attr('data-action');
+      if (action === 'reset') {
+        state.work = ImageEditor.createCanvas(img.naturalWidth, img.naturalHeight);
+        state.work.getContext('2d').drawImage(img, 0, 0);
+        state.edited = false;
+      } else {
+        state.work = ImageEditor.transformCanvas(state.work, action);
+        state.edited = true;
+      }
+      state.crop = null;
+      draw();
+      updateEstimate();
+    });
+
+    draw();
+    updateEstimate();
+    const result = await callGenericPopup($editor, POPUP_TYPE.CONFIRM, '', {
+      okButton: 'ใช้ภาพนี้',
+      cancelButton: 'ยกเลิกการอัปโหลด',
+      wide: true,
+      large: true,
+    });
+    clearTimeout(estimateTimer);
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+      throw new Error(`ยกเลิกการอัปโหลด ${file.name}`);
+    }
+    if (!state.edited && !state.crop) {
+      return null;
+    }
+
+    const blob = await new Promise((resolve) => region().toBlob(resolve, 'image/png'));
+    if (!blob) {
+      throw new Error('เข้ารหัสภาพที่แก้ไม่สำเร็จ');
+    }
+    return new File([blob], file.name, { type: 'image/png' });
+  }
+}
+
+// จำนวน worker สูงสุด (ใช้ hardwareConcurrency - 1 แต่ไม่เกินค่านี้)
+const IMAGE_WORKER_LIMIT = 4;
+
+let imageWorkers = null;
+let imageWorkersFailed = false;
+let imageWorkerRequestId = 0;
+let imageWorkerJobId = 0;
+
+/**
+ * กลุ่ม Web Worker (image-worker.js) ที่ถอดรหัส ย่อ และเข้ารหัสภาพนอกเธรดหลัก เพื่อไม่ให้แชทค้างระหว่างงานกลุ่มใหญ่
+ * แต่ละงานผูกกับ worker ตัวเดียวตลอดอายุ (ภาพที่ย่อแล้วอยู่ในนั้น) และเลือกตัวที่มีงานค้างน้อยที่สุด
+ * เบราว์เซอร์ที่ไม่มี OffscreenCanvas / createImageBitmap หรือโหลด worker ไม่ได้จะใช้ canvas บนหน้าหลักแทน
+ */
+class ImageWorkerPool {
+  static isSupported() {
+    return (
+      pluginConfig.useImageWorkers &&
+      !imageWorkersFailed &&
+      typeof Worker === 'function' &&
+      typeof createImageBitmap === 'function' &&
+      typeof OffscreenCanvas === 'function' &&
+      typeof OffscreenCanvas.prototype.convertToBlob === 'function'
+    );
+  }
+
+  static size() {
+    return Math.max(1, Math.min(IMAGE_WORKER_LIMIT, (navigator.hardwareConcurrency || 2) - 1));
+  }
+
+  static start() {
+    if (imageWorkers) {
+      return imageWorkers;
+    }
+    imageWorkers = Array.from({ length: ImageWorkerPool.size() }, () => {
+      const slot = {
+        worker: new Worker(new URL('./image-worker.js', import.meta.url), { type: 'module' }),
+        pending: new Map(),
+        jobs: 0,
+      };
+      slot.worker.onmessage = ({ data }) => {
+        const request = slot.pending.get(data.id);
+        if (!request) return;
+        slot.pending.delete(data.id);
+        if (data.error) request.reject(new Error(data.error));
+        else request.resolve(data.result);
+      };
+      // โหลดสคริปต์ไม่ได้ (เช่นเบราว์เซอร์ไม่รองรับ module worker) ปิดทั้งกลุ่มแล้วใช้ canvas บนหน้าหลักต่อ
+      slot.worker.onerror = (event) => {
+        event.preventDefault?.();
+        console.warn('[Image Worker] worker ทำงานไม่ได้ เปลี่ยนไปใช้ canvas บนหน้าหลัก:', event.message || event);
+        imageWorkersFailed = true;
+        ImageWorkerPool.stop();
+      };
+      return slot;
+    });
+    return imageWorkers;
+  }
+
+  /**
+   * ปิด worker ทั้งหมด งานที่ค้างอยู่จะล้มเหลวและกลับไปใช้ canvas บนหน้าหลัก
+   */
+  static stop() {
+    const slots = imageWorkers || [];
+    imageWorkers = null;
+    for (const slot of slots) {
+      slot.worker.terminate();
+      for (const request of slot.pending.values()) {
+        request.reject(new Error('worker ประมวลผลภาพถูกปิด'));
+      }
+      slot.pending.clear();
+    }
+  }
+
+  static request(slot, type, payload = {}) {
+    return new Promise((resolve, reject) => {
+      const id = ++imageWorkerRequestId;
+      slot.pending.set(id, { resolve, reject });
+      slot.worker.postMessage({ id, type, ...payload });
+    });
+  }
+
+  /**
+   * ถอดรหัสและย่อภาพให้ด้านยาวไม่เกิน maxDimension ใน worker คืนค่า surface สำหรับ ImageProcessor.encodeSurface
+   */
+  static async open(file, { checkAlpha, maxDimension }) {
+    const slot = ImageWorkerPool.start().reduce((best, candidate) => (candidate.jobs < best.jobs ? candidate : best));
+    const job = ++imageWorkerJobId;
+    const release = () => {
+      slot.jobs--;
+      ImageWorkerPool.request(slot, 'release', { job }).catch(() => {});
+    };
+
+    slot.jobs++;
+    try {
+      const decoded = await ImageWorkerPool.request(slot, 'decode', { job, file });
+      const { width, height } = ImageProcessor.fitWithin(decoded.width, decoded.height, maxDimension);
+      const resized = await ImageWorkerPool.request(slot, 'resize', { job, width, height, checkAlpha });
+      return {
+        width: resized.width,
+        height: resized.height,
+        hasAlpha: resized.hasAlpha,
+        // worker ถอดรหัสด้วย imageOrientation: 'from-image' พิกเซลจึงหมุนตาม EXIF แล้วเสมอ
+        orientationApplied: true,
+        flatten: () => ImageWorkerPool.request(slot, 'flatten', { job }),
+        encode: async (scale, format, quality) => {
+          const encoded = await ImageWorkerPool.request(slot, 'encode', { job, scale, format, quality });
+          return {
+            base64: arrayBufferToBase64(encoded.buffer),
+            format: encoded.format,
+            width: encoded.width,
+            height: encoded.height,
+            size: encoded.buffer.byteLength,
+          };
+        },
+        release,
+      };
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+}
+
+/**
+ * ตัวจัดการภาพ
+ */
+class ImageProcessor {
+  static async processImage(file, options = {}) {
+    if (!pluginConfig.enableImageProcessing) {
+      throw new Error('ฟังก์ชันประมวลผลภาพถูกปิดอยู่');
+    }
+
+    const validation = await FileValidator.validate(file, 'image');
+
+    if (pluginConfig.showProcessingInfo) {
+      toastr.info('กำลังประมวลผลภาพ...', 'อัปโหลดภาพ');
+    }
+
+    try {
+      const sourceFormat = validation.sniffedMime || file.type;
+      const policy = options.outputFormat || pluginConfig.imageOutputFormat;
+      if (!IMAGE_OUTPUT_FORMATS.includes(policy)) {
+        throw new Error(`ไม่รู้จักรูปแบบไฟล์ภาพที่ต้องการ: ${policy}`);
+      }
+
+      const bytes = new Uint8Array(await readBlobAsArrayBuffer(file));
+      const animated = ImageProcessor.isAnimated(bytes, sourceFormat);
+      const characterCard = sourceFormat === 'image/png' ? await CharacterCardParser.extractFromPng(bytes) : null;
+      let exif = null;
+      if (sourceFormat === 'image/jpeg') {
+        try {
+          exif = ImageMetadata.readJpegExif(bytes);
+        } catch (error) {
+          // EXIF ที่เสียหายหรือถูกตัดไม่ควรทำให้อัปโหลดล้มเหลว จึงถือว่าไม่มี EXIF
+          if (pluginConfig.enableLogging) {
+            console.warn('[Image Processor] อ่าน EXIF ไม่สำเร็จ ข้าม EXIF:', error);
+          }
+        }
+      }
+
+      if (characterCard) {
+        const cardResult = await ImageProcessor.handleCharacterCard(file, characterCard, options);
+        if (cardResult) {
+          return cardResult;
+        }
+      }
+
+      const maxAnimatedBytes = pluginConfig.maxAnimatedSize * 1024 * 1024;
+      const keepAnimation = animated && file.size <= maxAnimatedBytes;
+
+      // ภาพที่แก้ในหน้าต่างแก้ภาพหมุนตาม EXIF มาแล้ว จึงไม่ใช้และไม่รายงาน EXIF เดิม (metadata.exif เป็น null)
+      let source = file;
+      let sourceExif = exif;
+      if (!keepAnimation && ImageEditor.isEnabled(options)) {
+        const edited = await ImageEditor.open(file, sourceFormat, options);
+        if (edited) {
+          source = edited;
+          sourceExif = null;
+        }
+      }
+
+      const encoded = keepAnimation
+        ? await ImageProcessor.passthrough(file, sourceFormat, bytes)
+        : await ImageProcessor.renderToFormat(source, sourceFormat, policy, {
+            bytes,
+            exif: sourceExif,
+            maxDimension: options.maxDimension,
+            compression: ImageProcessor.getCompressionTarget(options),
+          });
+
+      options.signal?.throwIfAborted();
+
+      const fileExtension = IMAGE_FORMAT_EXTENSIONS[encoded.format] || 'jpg';
+      const processedBytes = base64ToBytes(encoded.base64);
+      const stored = await ImageStore.save(processedBytes, fileExtension, {
+        originalName: file.name,
+        width: encoded.width,
+        height: encoded.height,
+        format: encoded.format,
+      });
+
+      const result = {
+        success: true,
+        url: stored.url,
+        deduplicated: stored.deduplicated,
+        metadata: {
+          originalName: file.name,
+          processedName: stored.fileName,
+          hash: stored.hash,
+          deduplicated: stored.deduplicated,
+          originalSize: file.size,
+          processedSize: processedBytes.length,
+          format: encoded.format,
+          originalFormat: sourceFormat,
+          width: encoded.width,
+          height: encoded.height,
+          hasAlpha: encoded.hasAlpha,
+          animated: animated,
+          passthrough: encoded.passthrough,
+          // ภาพเคลื่อนไหวที่ใหญ่เกินขีดจำกัดจะถูกบันทึกเป็นเฟรมแรกเท่านั้น
+          animationDropped: animated && !encoded.passthrough,
+          characterCardName: characterCard ? characterCard.name : null,
+          exif: ImageMetadata.toPublicMetadata(sourceExif),
+          orientationApplied: encoded.orientationApplied,
+          edited: source !== file,
+          metadataStripped: pluginConfig.stripImageMetadata,
+          optimized: !encoded.passthrough,
+          compression: encoded.compression ?? null,
+          timestamp: new Date().toISOString(),
+        },
+      };
+
+      if (ImageCaptioner.isEnabled(options)) {
+        await ImageCaptioner.attach(result, encoded.base64, options);
+      }
+
+      // ภาพที่แก้แล้วเก็บภาพที่แก้เป็นต้นฉบับ ส่วนที่ครอปหรือเบลอออกจึงไม่ถูกเก็บไว้
+      await AttachmentLibrary.record(source, result, options);
+
+      if (pluginConfig.showProcessingInfo) {
+        const summary = ImageProcessor.describeCompression(encoded.compression);
+        toastr.success(summary ? `ประมวลผลภาพเสร็จสิ้น: ${summary}` : 'ประมวลผลภาพเสร็จสิ้น', 'อัปโหลดภาพ');
+      }
+
+      return result;
+    } catch (error) {
+      if (pluginConfig.showProcessingInfo) {
+        toastr.error(`ประมวลผลภาพล้มเหลว: ${error.message}`, 'อัปโหลดภาพ');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * จัดการ PNG ที่มีการ์ดตัวละครตาม options.characterCardAction
+   * ask = ถามผู้ใช้, import = นำเข้าทันที, return = คืนข้อมูลการ์ดโดยไม่นำเข้า, image = อัปโหลดเป็นภาพตามปกติ
+   * คืนค่า null เมื่อควรอัปโหลดเป็นภาพต่อ
+   */
+  static async handleCharacterCard(file, card, options = {}) {
+    const action = options.characterCardAction || 'ask';
+    if (action === 'image') {
+      return null;
+    }
+
+    let shouldImport = action === 'import';
+    if (action === 'ask') {
+      shouldImport = await CharacterCardParser.confirmImport(card, file.name);
+      if (!shouldImport) {
+        return null;
+      }
+    }
+
+    const result = {
+      success: true,
+      type: 'characterCard',
+      imported: false,
+      characterCard: card,
+      metadata: {
+        originalName: file.name,
+        originalSize: file.size,
+        format: 'image/png',
+        timestamp: new Date().toISOString(),
+      },
+    };
+
+    if (shouldImport) {
+      result.metadata.importedFileName = await CharacterCardParser.importCard(file);
+      result.imported = true;
+      toastr.success(`นำเข้าตัวละคร ${card.name} เรียบร้อย`, 'การ์ดตัวละคร');
+    }
+
+    return result;
+  }
+
+  /**
+   * โหลดไฟล์ภาพเป็น HTMLImageElement แล้วคืน object URL ทันที (ภาพที่โหลดแล้วยังวาดได้)
+   */
+  static loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      const url = URL.createObjectURL(file);
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('ไม่สามารถโหลดภาพได้'));
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * บันทึกไฟล์ต้นฉบับโดยไม่เข้ารหัสใหม่ (ใช้กับภาพเคลื่อนไหว) และลบข้อมูลเมตาออกตามการตั้งค่า
+   */
+  static async passthrough(file, sourceFormat, bytes) {
+    const img = await ImageProcessor.loadImage(file);
+
+    let output = bytes;
+    if (pluginConfig.stripImageMetadata) {
+      if (sourceFormat === 'image/webp') output = ImageMetadata.stripWebp(bytes);
+      if (sourceFormat === 'image/png') output = ImageMetadata.stripPng(bytes);
+    }
+
+    return {
+      base64: arrayBufferToBase64(output),
+      format: sourceFormat,
+      width: img.naturalWidth,
+      height: img.naturalHeight,
+      hasAlpha: sourceFormat !== 'image/jpeg',
+      passthrough: true,
+      orientationApplied: false,
+    };
+  }
+
+  /**
+   * ย่อขนาดภาพแล้วเข้ารหัสตามนโยบายรูปแบบไฟล์ (ใน worker เมื่อรองรับ ไม่เช่นนั้นบน canvas หน้าหลัก)
+   * maxDimension (px) ใช้แทนค่าในการตั้งค่าเมื่อระบุ ส่วน compression มาจาก getCompressionTarget
+   */
+  static async renderToFormat(
+    file,
+    sourceFormat,
+    policy,
+    { bytes = null, exif = null, maxDimension = null, compression = ImageProcessor.getCompressionTarget() } = {},
+  ) {
+    const surface = await ImageProcessor.openSurface(file, {
+      sourceFormat,
+      exif,
+      maxDimension: maxDimension || pluginConfig.maxImageDimension,
+    });
+
+    try {
+      const targetFormat = ImageProcessor.resolveOutputFormat(policy, sourceFormat, surface.hasAlpha);
+      if (targetFormat === 'image/jpeg' && surface.hasAlpha) {
+        // JPEG ไม่มีช่อง alpha จึงเติมพื้นขาวไว้ด้านหลังแทนพื้นดำ
+        await surface.flatten();
+      }
+
+      // canvas ไม่เขียน EXIF อยู่แล้ว ถ้าผู้ใช้ปิดการลบข้อมูลเมตาจึงต้องใส่ EXIF เดิมกลับเข้าไปเอง
+      // APP1 ถูกเพิ่มหลังเข้ารหัส จึงหักขนาดออกจากเป้าหมายไบต์ก่อนค้นหา ไฟล์ที่ได้จึงไม่เกินเป้าหมาย
+      const keepExif = !pluginConfig.stripImageMetadata && targetFormat === 'image/jpeg' && exif?.app1 && bytes;
+      const budget =
+        keepExif && compression.mode === 'bytes'
+          ? { ...compression, targetBytes: Math.max(1, compression.targetBytes - exif.app1.length) }
+          : compression;
+
+      // เบราว์เซอร์ที่เข้ารหัส WebP ไม่ได้จะคืน PNG มาแทน encoded.format จึงเป็นรูปแบบที่เขียนจริง
+      const encoded = await ImageProcessor.encodeSurface(surface, targetFormat, budget);
+      let base64 = encoded.base64;
+
+      if (keepExif && encoded.format === 'image/jpeg') {
+        const output = ImageMetadata.insertJpegExif(base64ToBytes(base64), bytes, exif);
+        base64 = arrayBufferToBase64(output);
+        encoded.compression.size = output.length;
+        if (budget !== compression) {
+          encoded.compression.target = compression.targetBytes;
+        }
+      }
+
+      return {
+        base64: base64,
+        format: encoded.format,
+        width: encoded.width,
+        height: encoded.height,
+        hasAlpha: surface.hasAlpha && encoded.format !== 'image/jpeg',
+        passthrough: false,
+        orientationApplied: surface.orientationApplied,
+        compression: encoded.compression,
+      };
+    } finally {
+      surface.release();
+    }
+  }
+
+  /**
+   * ถอดรหัสและย่อภาพให้พร้อมเข้ารหัส คืนค่า surface
+   * { width, height, hasAlpha, orientationApplied, flatten(), encode(scale, format, quality), release() }
+   */
+  static async openSurface(file, { sourceFormat, exif, maxDimension }) {
+    if (ImageWorkerPool.isSupported()) {
+      try {
+        return await ImageWorkerPool.open(file, { checkAlpha: sourceFormat !== 'image/jpeg', maxDimension });
+      } catch (error) {
+        // createImageBitmap ถอดรหัสบางรูปแบบที่ <img> เปิดได้ไม่ได้ (เช่น SVG) จึงลองบนหน้าหลักอีกครั้ง
+        if (pluginConfig.enableLogging) {
+          console.warn('[Image Processor] worker ประมวลผลภาพไม่สำเร็จ ลองบน canvas หน้าหลัก:', error);
+        }
+      }
+    }
+
+    const img = await ImageProcessor.loadImage(file);
+    const orientation = exif && !ImageProcessor.browserAppliesOrientation(img, exif) ? exif.orientation : 1;
+    const { width, height } = ImageProcessor.fitWithin(img.width, img.height, maxDimension);
+    let canvas = stepDownscale(img, width, height, ImageEditor.createCanvas);
+
+    if (orientation !== 1) {
+      // ค่าการหมุน 5-8 สลับด้านกว้าง/สูง
+      const resized = canvas;
+      canvas = ImageEditor.createCanvas(
+        orientation >= 5 ? resized.height : resized.width,
+        orientation >= 5 ? resized.width : resized.height,
+      );
+      const ctx = canvas.getContext('2d');
+      ImageProcessor.applyOrientation(ctx, orientation, resized.width, resized.height);
+      ctx.drawImage(resized, 0, 0);
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      resized.width = 0;
+      resized.height = 0;
+    }
+
+    const hasAlpha =
+      sourceFormat !== 'image/jpeg' && hasTransparency(canvas.getContext('2d'), canvas.width, canvas.height);
+    return ImageProcessor.canvasSurface(canvas, { hasAlpha, orientationApplied: orientation !== 1 });
+  }
+
+  /**
+   * surface บน canvas ของหน้าหลัก (ใช้เมื่อไม่มี worker และในหน้าต่างแก้ภาพ)
+   */
+  static canvasSurface(canvas, { hasAlpha = false, orientationApplied = false } = {}) {
+    return {
+      width: canvas.width,
+      height: canvas.height,
+      hasAlpha,
+      orientationApplied,
+      flatten: async () => {
+        const ctx = canvas.getContext('2d');
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.globalCompositeOperation = 'source-over';
+      },
+      encode: async (scale, format, quality) => {
+        const target =
+          scale < 1
+            ? stepDownscale(canvas, canvas.width * scale, canvas.height * scale, ImageEditor.createCanvas)
+            : canvas;
+        const dataUrl = target.toDataURL(format, quality);
+        return {
+          base64: dataUrl.slice(dataUrl.indexOf(',') + 1),
+          format: dataUrl.slice(5, dataUrl.indexOf(';')),
+          width: target.width,
+          height: target.height,
+          size: dataUrlByteLength(dataUrl),
+        };
+      },
+      release: () => {
+        canvas.width = 0;
+        canvas.height = 0;
+      },
+    };
+  }
+
+  /**
+   * เป้าหมายการบีบอัดจาก options (compressionMode, targetBytes, targetTokens, quality เป็น %) หรือการตั้งค่า
+   */
+  static getCompressionTarget(options = {}) {
+    const mode = options.compressionMode || pluginConfig.compressionMode;
+    if (!COMPRESSION_MODES.includes(mode)) {
+      throw new Error(`ไม่รู้จักโหมดบีบอัด: ${mode}`);
+    }
+    return {
+      mode,
+      quality: (options.quality || pluginConfig.imageQuality) / 100,
+      targetBytes: options.targetBytes || pluginConfig.targetSizeKB * 1024,
+      targetTokens: options.targetTokens || pluginConfig.targetVisionTokens,
+      tokenModel: options.visionTokenModel || pluginConfig.visionTokenModel,
+    };
+  }
+
+  /**
+   * ข้อความสรุปผลการค้นหาในโหมดเป้าหมาย (โหมดคุณภาพคงที่คืนค่าว่าง)
+   */
+  static describeCompression(compression) {
+    if (!compression || compression.mode === 'quality') {
+      return '';
+    }
+    const parts = [
+      compression.quality === null ? null : `คุณภาพ ${compression.quality}%`,
+      `${compression.width}x${compression.height} px`,
+      formatFileSize(compression.size),
+      `~${compression.tokens} โทเคนภาพ`,
+      `ลอง ${compression.attempts} ครั้ง`,
+    ].filter(Boolean);
+    const note = compression.targetMet ? '' : ' (ยังเกินเป้าหมายที่สัดส่วนย่อต่ำสุด)';
+    return parts.join(', ') + note;
+  }
+
+  /**
+   * เข้ารหัส surface ตามเป้าหมายการบีบอัด คืนค่า { base64, format, width, height, compression }
+   * compression = { mode, target, quality, scale, width, height, size, tokens, attempts, targetMet }
+   */
+  static async encodeSurface(surface, format, target) {
+    let attempts = 0;
+    const encode = async (scale, quality) => {
+      attempts++;
+      return { ...(await surface.encode(scale, format, quality)), quality, scale };
+    };
+
+    let best;
+    let targetMet = true;
+    if (target.mode === 'tokens') {
+      best = await encode(ImageProcessor.searchTokenScale(surface, target, () => attempts++), target.quality);
+      targetMet = estimateVisionTokens(best.width, best.height, target.tokenModel) <= target.targetTokens;
+    } else if (target.mode === 'bytes') {
+      ({ best, targetMet } = await ImageProcessor.searchTargetBytes(encode, format, target.targetBytes));
+    } else {
+      best = await encode(1, target.quality);
+    }
+
+    // ผลลัพธ์ที่ออกมาเป็น PNG (ขอเองหรือเบราว์เซอร์แทนให้) ไม่มีค่าคุณภาพ
+    const lossless = best.format === 'image/png';
+    return {
+      base64: best.base64,
+      format: best.format,
+      width: best.width,
+      height: best.height,
+      compression: {
+        mode: target.mode,
+        target: target.mode === 'bytes' ? target.targetBytes : target.mode === 'tokens' ? target.targetTokens : null,
+        quality: lossless ? null : Math.round(best.quality * 100),
+        scale: Math.round(best.scale * 1000) / 1000,
+        width: best.width,
+        height: best.height,
+        size: best.size,
+        tokens: estimateVisionTokens(best.width, best.height, target.tokenModel),
+        attempts,
+        targetMet,
+      },
+    };
+  }
+
+  /**
+   * สัดส่วนย่อที่ใหญ่ที่สุดที่โทเคนไม่เกินเป้า (โทเคนขึ้นกับขนาดภาพเท่านั้น จึงไม่ต้องเข้ารหัสระหว่างค้นหา)
+   */
+  static searchTokenScale(surface, target, countAttempt) {
+    const fits = (scale) => {
+      countAttempt();
+      const width = Math.max(1, Math.round(surface.width * scale));
+      const height = Math.max(1, Math.round(surface.height * scale));
+      return estimateVisionTokens(width, height, target.tokenModel) <= target.targetTokens;
+    };
+    if (fits(1)) {
+      return 1;
+    }
+    let low = TARGET_MIN_SCALE;
+    let high = 1;
+    for (let step = 0; step < TARGET_SEARCH_STEPS * 2; step++) {
+      const middle = (low + high) / 2;
+      if (fits(middle)) low = middle;
+      else high = middle;
+    }
+    return low;
+  }
+
+  /**
+   * ค้นหาแบบแบ่งครึ่ง: คุณภาพสูงสุดที่ไม่เกินขนาดเป้าหมายที่ขนาดภาพเต็ม
+   * ถ้าคุณภาพต่ำสุดยังเกิน ค้นหาสัดส่วนย่อที่ TARGET_SCALE_QUALITY แล้วเพิ่มคุณภาพด้วยขนาดที่เหลือ
+   * PNG ไม่มีค่าคุณภาพจึงค้นหาเฉพาะสัดส่วนย่อ
+   */
+  static async searchTargetBytes(encode, format, targetBytes) {
+    const lossy = format !== 'image/png';
+    const searchQuality = async (scale, low, high, fallback) => {
+      let best = fallback;
+      for (let step = 0; step < TARGET_SEARCH_STEPS; step++) {
+        const attempt = await encode(scale, (low + high) / 2);
+        if (attempt.size <= targetBytes) {
+          best = attempt;
+          low = attempt.quality;
+        } else {
+          high = attempt.quality;
+        }
+      }
+      return best;
+    };
+
+    const full = await encode(1, lossy ? TARGET_QUALITY_MAX : 1);
+    if (full.size <= targetBytes) {
+      return { best: full, targetMet: true };
+    }
+    if (lossy) {
+      const lowest = await encode(1, TARGET_QUALITY_MIN);
+      if (lowest.size <= targetBytes) {
+        return { best: await searchQuality(1, TARGET_QUALITY_MIN, TARGET_QUALITY_MAX, lowest), targetMet: true };
+      }
+    }
+
+    const quality = lossy ? TARGET_SCALE_QUALITY : 1;
+    let smallest = await encode(TARGET_MIN_SCALE, quality);
+    if (smallest.size > targetBytes) {
+      return { best: smallest, targetMet: false };
+    }
+    let low = TARGET_MIN_SCALE;
+    let high = 1;
+    for (let step = 0; step < TARGET_SEARCH_STEPS; step++) {
+      const attempt = await encode((low + high) / 2, quality);
+      if (attempt.size <= targetBytes) {
+        smallest = attempt;
+        low = attempt.scale;
+      } else {
+        high = attempt.scale;
+      }
+    }
+    const best = lossy ? await searchQuality(smallest.scale, quality, TARGET_QUALITY_MAX, smallest) : smallest;
+    return { best, targetMet: true };
+  }
+
+  /**
+   * ย่อขนาดให้ด้านยาวไม่เกิน maxDim โดยคงสัดส่วน (ไม่ขยายภาพเล็ก)
+   */
+  static fitWithin(width, height, maxDim) {
+    if (width <= maxDim && height <= maxDim) {
+      return { width, height };
+    }
+    return width > height
+      ? { width: maxDim, height: (height * maxDim) / width }
+      : { width: (width * maxDim) / height, height: maxDim };
+  }
+
+  /**
+   * ตรวจว่าเบราว์เซอร์หมุนภาพตาม EXIF ให้เองแล้วหรือไม่ (เบราว์เซอร์รุ่นใหม่ทำให้อัตโนมัติ)
+   */
+  static browserAppliesOrientation(img, exif) {
+    if (exif.orientation >= 5 && exif.rawWidth && exif.rawWidth !== exif.rawHeight) {
+      return img.naturalWidth === exif.rawHeight && img.naturalHeight === exif.rawWidth;
+    }
+    return typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image') === true;
+  }
+
+  /**
+   * ตั้ง transform ของ canvas ตามค่าการหมุน EXIF (1-8) ก่อนวาดภาพขนาด width x height
+   */
+  static applyOrientation(ctx, orientation, width, height) {
+    const transforms = {
+      2: [-1, 0, 0, 1, width, 0],
+      3: [-1, 0, 0, -1, width, height],
+      4: [1, 0, 0, -1, 0, height],
+      5: [0, 1, 1, 0, 0, 0],
+      6: [0, 1, -1, 0, height, 0],
+      7: [0, -1, -1, 0, height, width],
+      8: [0, -1, 1, 0, 0, width],
+    };
+    if (transforms[orientation]) {
+      ctx.setTransform(...transforms[orientation]);
+    }
+  }
+
+  /**
+   * เลือกรูปแบบไฟล์ที่จะบันทึกตามนโยบาย
+   */
+  static resolveOutputFormat(policy, sourceFormat, hasAlpha) {
+    switch (policy) {
+      case 'jpeg':
+        return 'image/jpeg';
+      case 'webp':
+        return 'image/webp';
+      case 'keep':
+        // GIF/BMP เข้ารหัสด้วย canvas ไม่ได้ จึงบันทึกเป็น PNG ซึ่งไม่สูญเสียคุณภาพ
+        return ['image/jpeg', 'image/png', 'image/webp'].includes(sourceFormat) ? sourceFormat : 'image/png';
+      case 'auto':
+      default:
+        return hasAlpha ? 'image/png' : 'image/jpeg';
+    }
+  }
+
+  /**
+   * ตรวจว่าเป็นภาพเคลื่อนไหว (GIF หลายเฟรม, Animated WebP, APNG) หรือไม่
+   */
+  static isAnimated(bytes, format) {
+    try {
+      switch (format) {
+        case 'image/gif':
+          return ImageProcessor.countGifFrames(bytes, 2) > 1;
+        case 'image/webp':
+          // VP8X chunk: บิต 0x02 ของ flags คือ animation
+          return matchesBytes(bytes, 12, 'VP8X') && (bytes[20] & 0x02) !== 0;
+        case 'image/png':
+          return ImageProcessor.readPngChunks(bytes).some((chunk) => chunk.type === 'acTL');
+        default:
+          return false;
+      }
+    } catch (error) {
+      if (pluginConfig.enableLogging) {
+        console.warn('[Image Processor] ตรวจภาพเคลื่อนไหวไม่สำเร็จ:', error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * นับจำนวนเฟรมของ GIF (หยุดนับเมื่อถึง limit)
+   */
+  static countGifFrames(bytes, limit = Infinity) {
+    let offset = 13;
+    const packed = bytes[10];
+    if (packed & 0x80) {
+      offset += 3 * 2 ** ((packed & 0x07) + 1);
+    }
+
+    const skipSubBlocks = () => {
+      while (offset < bytes.length && bytes[offset] !== 0) {
+        offset += bytes[offset] + 1;
+      }
+      offset++;
+    };
+
+    let frames = 0;
+    while (offset < bytes.length && frames < limit) {
+      const marker = bytes[offset];
+      if (marker === 0x21) {
+        offset += 2;
+        skipSubBlocks();
+      } else if (marker === 0x2c) {
+        frames++;
+        const localPacked = bytes[offset + 9];
+        offset += 10;
+        if (localPacked & 0x80) {
+          offset += 3 * 2 ** ((localPacked & 0x07) + 1);
+        }
+        offset++; // LZW minimum code size
+        skipSubBlocks();
+      } else {
+        break; // 0x3B (trailer) หรือข้อมูลเสีย
+      }
+    }
+    return frames;
+  }
+
+  /**
+   * แยก chunk ของไฟล์ PNG เป็นรายการ { type, offset, length } (offset ชี้ไปที่ข้อมูลของ chunk)
+   */
+  static readPngChunks(bytes) {
+    const chunks = [];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      chunks.push({ type, offset: offset + 8, length });
+      if (type === 'IEND') break;
+      offset += 12 + length;
+    }
+    return chunks;
+  }
+}
+
+// จำนวนไบต์สูงสุดที่ใช้วิเคราะห์การเข้ารหัส
+const ENCODING_SAMPLE_BYTES = 65536;
+
+// การเข้ารหัสแบบเก่าที่ตรวจด้วยสถิติ เรียงตามลำดับความสำคัญเมื่อคะแนนเท่ากัน
+const LEGACY_ENCODINGS = ['windows-874', 'gbk', 'shift_jis'];
+
+/**
+ * ตัวตรวจการเข้ารหัสอักขระของไฟล์ข้อความ
+ * ลำดับ: BOM → รูปแบบ UTF-16 → ASCII / UTF-8 ที่ถูกต้อง → สถิติของ windows-874 (TIS-620) / GBK / Shift_JIS
+ */
+class TextEncodingDetector {
+  static detect(bytes) {
+    const bom = TEXT_BOMS.find((entry) => matchesBytes(bytes, 0, entry.bytes));
+    if (bom) {
+      return { encoding: bom.encoding, confidence: 1, source: 'bom' };
+    }
+
+    const sample = bytes.subarray(0, ENCODING_SAMPLE_BYTES);
+    const utf16 = detectUtf16Pattern(sample);
+    if (utf16) {
+      return { encoding: utf16, confidence: 0.9, source: 'utf16-pattern' };
+    }
+
+    if (sample.every((b) => b < 0x80)) {
+      return { encoding: 'utf-8', confidence: 1, source: 'ascii' };
+    }
+
+    try {
+      // stream: true เพื่อไม่ให้อักขระที่ถูกตัดครึ่งท้ายตัวอย่างทำให้ตรวจผิด
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+      return { encoding: 'utf-8', confidence: 0.99, source: 'utf8-valid' };
+    } catch (error) {
+      // ไม่ใช่ UTF-8 ตรวจการเข้ารหัสแบบเก่าต่อ
+    }
+
+    const candidates = LEGACY_ENCODINGS.map((encoding) => ({
+      encoding,
+      score: TextEncodingDetector.score(sample, encoding),
+    })).sort((a, b) => b.score - a.score);
+
+    const best = candidates[0];
+    return {
+      encoding: best.encoding,
+      confidence: Math.max(0, Math.min(1, Math.round(best.score * 100) / 100)),
+      source: 'statistical',
+      candidates: candidates,
+    };
+  }
+
+  /**
+   * ให้คะแนนว่าไบต์ชุดนี้น่าจะเป็นการเข้ารหัสที่ระบุแค่ไหน (ยิ่งมากยิ่งน่าจะใช่ สูงสุดประมาณ 1)
+   */
+  static score(bytes, encoding) {
+    const text = new TextDecoder(encoding).decode(bytes, { stream: true });
+    let nonAscii = 0;
+    let good = 0;
+    let bad = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code < 0x80) continue;
+      nonAscii++;
+
+      if (code === 0xfffd || code <= 0x9f || (code >= 0xe000 && code <= 0xf8ff)) {
+        bad++;
+        continue;
+      }
+
+      if (encoding === 'windows-874') {
+        if (code >= 0x0e01 && code <= 0x0e5b) {
+          good++;
+          if (!TextEncodingDetector.isValidThaiSequence(text, i)) bad++;
+        }
+      } else if (encoding === 'gbk') {
+        if ((code >= 0x4e00 && code <= 0x9fff) || (code >= 0x3000 && code <= 0x303f) || code >= 0xff01) good++;
+      } else if (encoding === 'shift_jis') {
+        if (code >= 0xff61 && code <= 0xff9f) {
+          // ครึ่งความกว้างคาตาคานะพบน้อยในข้อความจริง แต่เกิดบ่อยเมื่อถอดรหัส GBK ผิดเป็น Shift_JIS
+          bad += 0.5;
+        } else if ((code >= 0x3040 && code <= 0x30ff) || (code >= 0x4e00 && code <= 0x9fff) || code >= 0x3000) {
+          good++;
+        }
+      }
+    }
+
+    if (!nonAscii) return 0;
+    let score = (good - 3 * bad) / nonAscii;
+
+    if (encoding === 'gbk') {
+      // ข้อความจีนทั่วไปส่วนใหญ่อยู่ในช่วง GB2312 (ไบต์นำ B0-F7, ไบต์ตาม A1-FE)
+      score *= 0.5 + 0.5 * TextEncodingDetector.gb2312Ratio(bytes);
+    } else if (encoding === 'shift_jis' && !/[\u3040-\u30ff]/.test(text)) {
+      // ภาษาญี่ปุ่นแทบทุกข้อความมีฮิรางานะ/คาตาคานะ
+      score *= 0.5;
+    }
+    return score;
+  }
+
+  /**
+   * ตรวจลำดับอักษรไทย เช่น สระบน-ล่างต้องตามพยัญชนะ วรรณยุกต์ต้องตามพยัญชนะหรือสระบน-ล่าง
+   * และสระหน้า (เ แ โ ใ ไ) ต้องตามด้วยพยัญชนะ ข้อความที่ถอดรหัสผิดจะผิดกฎเหล่านี้บ่อย
+   */
+  static isValidThaiSequence(text, index) {
+    const code = text.charCodeAt(index);
+    const prev = index > 0 ? text.charCodeAt(index - 1) : 0;
+    const isConsonant = (c) => c >= 0x0e01 && c <= 0x0e2e;
+    const isVowelAboveBelow = (c) => c === 0x0e31 || (c >= 0x0e34 && c <= 0x0e3a);
+    const isToneMark = (c) => c >= 0x0e47 && c <= 0x0e4e;
+
+    if (isVowelAboveBelow(code) && !isConsonant(prev)) {
+      return false;
+    }
+    if (isToneMark(code) && !isConsonant(prev) && !isVowelAboveBelow(prev)) {
+      return false;
+    }
+    if ([0x0e30, 0x0e32, 0x0e33, 0x0e45].includes(code) && !isConsonant(prev) && !isToneMark(prev)) {
+      return false;
+    }
+    if (prev >= 0x0e40 && prev <= 0x0e44 && !isConsonant(code)) {
+      return false;
+    }
+    // สัญลักษณ์ที่แทบไม่ใช้ในข้อความปกติ
+    return ![0x0e4f, 0x0e5a, 0x0e5b].includes(code);
+  }
+
+  /**
+   * สัดส่วนคู่ไบต์ที่อยู่ในช่วงอักษรจีนที่ใช้บ่อย (GB2312)
+   */
+  static gb2312Ratio(bytes) {
+    let pairs = 0;
+    let common = 0;
+    for (let i = 0; i < bytes.length - 1; i++) {
+      const lead = bytes[i];
+      if (lead < 0x81) continue;
+      const trail = bytes[i + 1];
+      pairs++;
+      if (lead >= 0xb0 && lead <= 0xf7 && trail >= 0xa1 && trail <= 0xfe) common++;
+      i++;
+    }
+    return pairs ? common / pairs : 0;
+  }
+
+  /**
+   * ถอดรหัสไบต์เป็นข้อความ ใช้ encoding ที่ระบุ หรือตรวจอัตโนมัติเมื่อไม่ได้ระบุ
+   */
+  static decode(bytes, encoding = null) {
+    let detection;
+    if (encoding && encoding !== 'auto') {
+      detection = { encoding: encoding, confidence: 1, source: 'forced' };
+    } else {
+      detection = TextEncodingDetector.detect(bytes);
+    }
+
+    let decoder;
+    try {
+      decoder = new TextDecoder(detection.encoding);
+    } catch (error) {
+      throw new Error(`ไม่รู้จักการเข้ารหัสอักขระ: ${detection.encoding}`);
+    }
+
+    return {
+      text: decoder.decode(bytes),
+      encoding: decoder.encoding,
+      confidence: detection.confidence,
+      source: detection.source,
+    };
+  }
+}
+
+// ตัวคั่นที่ตรวจหาอัตโนมัติ เรียงตามลำดับความนิยมเมื่อคะแนนเท่ากัน
+const CSV_DELIMITERS = [',', '\t', ';'];
+const CSV_PREVIEW_ROWS = 50;
+const CSV_PREVIEW_CELL_LENGTH = 200;
+
+/**
+ * ตัวแยกข้อมูลตาราง CSV / TSV ตาม RFC 4180 (ฟิลด์ในเครื่องหมายคำพูด, "" แทน " และขึ้นบรรทัดใหม่ในฟิลด์ได้)
+ */
+class CsvParser {
+  /**
+   * แยกข้อความเป็นแถว คืนค่า { rows, offsets, delimiter } โดย offsets คือตำแหน่งเริ่มของแต่ละแถวในข้อความ
+   */
+  static parse(text, delimiter = ',', limit = Infinity) {
+    const source = String(text || '');
+    const rows = [];
+    const offsets = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    // ข้าม BOM โดยไม่ตัดออก เพื่อให้ offsets ตรงกับข้อความต้นฉบับ
+    let i = source.charCodeAt(0) === 0xfeff ? 1 : 0;
+    let rowStart = i;
+
+    const endRow = () => {
+      row.push(field);
+      // บรรทัดว่างล้วนไม่นับเป็นแถว
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+        offsets.push(rowStart);
+      }
+      row = [];
+      field = '';
+    };
+
+    while (i < source.length && rows.length < limit) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"') {
+          if (source[i + 1] === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+          quoted = false;
+        } else {
+          field += char;
+        }
+        i++;
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\r' || char === '\n') {
+        endRow();
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        rowStart = i + 1;
+      } else {
+        field += char;
+      }
+      i++;
+    }
+
+    if (rows.length < limit && (field !== '' || row.length > 0)) {
+      endRow();
+    }
+
+    return { rows, offsets, delimiter };
+  }
+
+  /**
+   * เลือกตัวคั่น (, แท็บ ;) ที่ทำให้จำนวนคอลัมน์ของแถวตัวอย่างสม่ำเสมอที่สุด
+   */
+  static detectDelimiter(text, preferred = ',') {
+    const sample = String(text || '').slice(0, 65536);
+    let best = { delimiter: preferred, score: -1 };
+
+    for (const delimiter of [preferred, ...CSV_DELIMITERS.filter((d) => d !== preferred)]) {
+      const { rows } = CsvParser.parse(sample, delimiter, 50);
+      if (rows.length === 0) continue;
+      const counts = new Map();
+      for (const row of rows) {
+        counts.set(row.length, (counts.get(row.length) || 0) + 1);
+      }
+      const [columns, frequency] = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+      if (columns < 2) continue;
+      // ความสม่ำเสมอสำคัญกว่าจำนวนคอลัมน์
+      const score = (frequency / rows.length) * 1000 + Math.min(columns, 100);
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    }
+
+    return best.delimiter;
+  }
+
+  /**
+   * แยกตารางพร้อมตรวจตัวคั่นและแถวหัวตาราง
+   * options.delimiter / options.hasHeader ใช้บังคับค่าแทนการตรวจอัตโนมัติ
+   * คืนค่า { delimiter, header, rows, columns, rowCount }
+   */
+  static parseTable(text, documentType = 'csv', options = {}) {
+    const delimiter = options.delimiter || CsvParser.detectDelimiter(text, documentType === 'tsv' ? '\t' : ',');
+    const { rows } = CsvParser.parse(text, delimiter);
+    return { delimiter, ...CsvParser.buildTable(rows, options) };
+  }
+
+  /**
+   * สร้างตารางจากแถวของข้อความ (ใช้ร่วมกับ spreadsheet) คืนค่า { hasHeader, header, rows, columns, rowCount }
+   */
+  static buildTable(rows, options = {}) {
+    const hasHeader = options.hasHeader ?? CsvParser.looksLikeHeader(rows);
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const headerRow = hasHeader ? rows[0] : [];
+    const header = Array.from({ length: width }, (_, i) => headerRow[i]?.trim() || `คอลัมน์ ${i + 1}`);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    return {
+      hasHeader,
+      header,
+      rows: dataRows,
+      columns: header.map((name, index) => CsvParser.summarizeColumn(name, dataRows, index)),
+      rowCount: dataRows.length,
+    };
+  }
+
+  /**
+   * แถวแรกเป็นหัวตารางเมื่อทุกช่องไม่ว่าง ไม่ซ้ำกัน และไม่ใช่ตัวเลขหรือวันที่
+   */
+  static looksLikeHeader(rows) {
+    if (rows.length < 2) return false;
+    const first = rows[0].map((cell) => cell.trim());
+    return (
+      first.every((cell) => cell !== '' && CsvParser.inferType(cell) === 'text') &&
+      new Set(first).size === first.length
+    );
+  }
+
+  static inferType(value) {
+    const text = value.trim();
+    if (text === '') return 'empty';
+    if (/^[+-]?\d+$/.test(text) || /^[+-]?\d{1,3}(,\d{3})+$/.test(text)) return 'integer';
+    if (/^[+-]?(\d+\.\d*|\.\d+|\d+)([eE][+-]?\d+)?$/.test(text) || /^[+-]?\d{1,3}(,\d{3})+\.\d+$/.test(text)) {
+      return 'number';
+    }
+    if (/^(true|false|yes|no)$/i.test(text)) return 'boolean';
+    if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) {
+      return Number.isNaN(Date.parse(text.replace(' ', 'T'))) ? 'text' : 'date';
+    }
+    return 'text';
+  }
+
+  /**
+   * สรุปคอลัมน์: ชนิดข้อมูลที่อนุมานได้, ค่าต่ำสุด/สูงสุด (ตัวเลขและวันที่), จำนวนค่าไม่ซ้ำ และจำนวนช่องว่าง
+   */
+  static summarizeColumn(name, rows, index) {
+    const values = rows.map((row) => (row[index] ?? '').trim());
+    const present = values.filter((value) => value !== '');
+    const types = new Set(present.map((value) => CsvParser.inferType(value)));
+    let type = 'text';
+    if (present.length === 0) type = 'empty';
+    else if (types.size === 1) type = [...types][0];
+    else if ([...types].every((t) => t === 'integer' || t === 'number')) type = 'number';
+
+    let min = null;
+    let max = null;
+    if (type === 'integer' || type === 'number') {
+      // วนหาเองแทน Math.min(...numbers) ซึ่งเกินขนาด call stack เมื่อคอลัมน์มีหลายแสนแถว
+      for (const value of present) {
+        const number = Number(value.replace(/,/g, ''));
+        if (min === null || number < min) min = number;
+        if (max === null || number > max) max = number;
+      }
+    } else if (type === 'date') {
+      const sorted = [...present].sort((a, b) => Date.parse(a.replace(' ', 'T')) - Date.parse(b.replace(' ', 'T')));
+      min = sorted[0];
+      max = sorted[sorted.length - 1];
+    }
+
+    return {
+      name,
+      type,
+      min,
+      max,
+      unique: new Set(present).size,
+      empty: values.length - present.length,
+    };
+  }
+
+  static escapeCell(value, maxLength = CSV_PREVIEW_CELL_LENGTH) {
+    const text = String(value ?? '')
+      .replace(/\r?\n/g, '<br>')
+      .replace(/\|/g, '\\|');
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+  }
+
+  /**
+   * สร้างตาราง markdown (ช่องที่ยาวเกิน maxCellLength จะถูกตัด ส่ง Infinity เพื่อคงข้อความครบ)
+   */
+  static toMarkdownTable(header, rows, maxCellLength = CSV_PREVIEW_CELL_LENGTH) {
+    const lines = [
+      `| ${header.map((cell) => CsvParser.escapeCell(cell, maxCellLength)).join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+    ];
+    for (const row of rows) {
+      lines.push(`| ${header.map((_, i) => CsvParser.escapeCell(row[i], maxCellLength)).join(' | ')} |`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * สร้างข้อความ markdown: สรุปคอลัมน์และตัวอย่างข้อมูลเป็นตาราง (options.previewRows แถวแรก)
+   */
+  static toMarkdown(table, options = {}) {
+    const previewRows = Math.max(0, options.previewRows ?? CSV_PREVIEW_ROWS);
+    const delimiterNames = { ',': 'จุลภาค (,)', '\t': 'แท็บ', ';': 'อัฒภาค (;)' };
+    const summaryRows = table.columns.map((column) => [
+      column.name,
+      column.type,
+      column.min ?? '',
+      column.max ?? '',
+      column.unique,
+      column.empty,
+    ]);
+
+    const delimiter = table.delimiter ? `, ตัวคั่น ${delimiterNames[table.delimiter] || table.delimiter}` : '';
+    const sections = [
+      `**ข้อมูลตาราง**: ${table.rowCount} แถว, ${table.header.length} คอลัมน์${delimiter}`,
+      '### คอลัมน์',
+      CsvParser.toMarkdownTable(['ชื่อ', 'ชนิด', 'ต่ำสุด', 'สูงสุด', 'ค่าไม่ซ้ำ', 'ช่องว่าง'], summaryRows),
+    ];
+
+    if (previewRows > 0 && table.rowCount > 0) {
+      const shown = table.rows.slice(0, previewRows);
+      sections.push(
+        table.rowCount > shown.length ? `### ตัวอย่างข้อมูล (${shown.length} จาก ${table.rowCount} แถว)` : '### ข้อมูล',
+        CsvParser.toMarkdownTable(table.header, shown),
+      );
+    }
+
+    return sections.join('\n\n');
+  }
+}
+
+const STRUCTURED_VIEWS = ['auto', 'raw', 'pretty', 'flat'];
+const STRUCTURED_FORMATS = { json: 'json', yaml: 'yaml', yml: 'yaml', ini: 'ini', conf: 'conf', config: 'conf' };
+// ความลึกสูงสุดที่แสดงในมุมมอง pretty/flat ชั้นที่ลึกกว่านี้แทนด้วยข้อความสั้น ๆ
+const STRUCTURED_MAX_DEPTH = 64;
+// ความลึกสูงสุดที่ตัวตรวจไวยากรณ์แบบ recursive ยอมไล่ลงไป (กัน call stack เต็ม)
+const STRUCTURED_PARSE_MAX_DEPTH = 512;
+
+/**
+ * สร้าง Error ของการแยกไฟล์ข้อมูลที่ระบุบรรทัดและคอลัมน์ (เริ่มนับที่ 1)
+ */
+function createParseError(message, line, column) {
+  const error = new Error(line ? `${message} (บรรทัด ${line} คอลัมน์ ${column})` : message);
+  error.name = 'DocumentParseError';
+  error.reason = message;
+  error.line = line ?? null;
+  error.column = column ?? null;
+  return error;
+}
+
+/**
+ * ตัวแยกไฟล์ข้อมูลและการตั้งค่า (JSON, YAML, INI, conf) เป็นออบเจ็กต์ปกติ
+ */
+class StructuredDataParser {
+  static parse(text, fileExtension) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    switch (STRUCTURED_FORMATS[fileExtension]) {
+      case 'json':
+        return StructuredDataParser.parseJson(source);
+      case 'yaml':
+        return StructuredDataParser.parseYaml(source);
+      case 'ini':
+        return StructuredDataParser.parseIni(source, { whitespaceSeparator: false });
+      case 'conf': {
+        const trimmed = source.trimStart();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[{') || trimmed.startsWith('[\n')) {
+          return StructuredDataParser.parseJson(source);
+        }
+        // .config ที่เป็น XML (เช่น web.config) ไม่ใช่รูปแบบ key/value
+        if (trimmed.startsWith('<')) return undefined;
+        return StructuredDataParser.parseIni(source, { whitespaceSeparator: true });
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * แปลงตำแหน่งตัวอักษรเป็นบรรทัด/คอลัมน์
+   */
+  static locate(text, position) {
+    const before = text.slice(0, position);
+    const line = before.split('\n').length;
+    return { line, column: position - before.lastIndexOf('\n') };
+  }
+
+  static parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // ข้อความ error ของ JSON.parse ต่างกันในแต่ละเบราว์เซอร์และบางรุ่นไม่บอกตำแหน่ง จึงตรวจซ้ำเพื่อหาบรรทัด/คอลัมน์
+      StructuredDataParser.validateJson(text);
+      throw createParseError(error.message);
+    }
+  }
+
+  /**
+   * ตรวจไวยากรณ์ JSON แบบ recursive descent แล้วโยน Error ที่ระบุบรรทัด/คอลัมน์ของจุดแรกที่ผิด
+   */
+  static validateJson(text) {
+    let i = 0;
+    const fail = (message) => {
+      const location = StructuredDataParser.locate(text, i);
+      throw createParseError(message, location.line, location.column);
+    };
+    const space = () => {
+      while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+    };
+    const string = () => {
+      i++;
+      while (i < text.length) {
+        const char = text[i];
+        if (char === '"') {
+          i++;
+          return;
+        }
+        if (char === '\\') {
+          if (!/^(["\\/bfnrt]|u[0-9a-fA-F]{4})/.test(text.slice(i + 1, i + 6))) {
+            i++;
+            fail('escape ในสตริงไม่ถูกต้อง');
+          }
+          i += text[i + 1] === 'u' ? 6 : 2;
+        } else if (char < ' ') {
+          fail('มีอักขระควบคุมในสตริง');
+        } else {
+          i++;
+        }
+      }
+      fail('ไม่พบเครื่องหมายคำพูดปิด');
+    };
+    const value = (depth) => {
+      space();
+      const char = text[i];
+      if (char === '{' || char === '[') {
+        if (depth >= STRUCTURED_PARSE_MAX_DEPTH) fail(`ซ้อนกันลึกเกิน ${STRUCTURED_PARSE_MAX_DEPTH} ชั้น`);
+        const close = char === '{' ? '}' : ']';
+        i++;
+        space();
+        if (text[i] === close) {
+          i++;
+          return;
+        }
+        for (;;) {
+          space();
+          if (close === '}') {
+            if (text[i] !== '"') fail('ต้องเป็นชื่อคีย์ในเครื่องหมายคำพูด');
+            string();
+            space();
+            if (text[i] !== ':') fail('ต้องเป็น : หลังชื่อคีย์');
+            i++;
+          }
+          value(depth + 1);
+          space();
+          if (text[i] === ',') {
+            i++;
+          } else if (text[i] === close) {
+            i++;
+            return;
+          } else {
+            fail(`ต้องเป็น , หรือ ${close}`);
+          }
+        }
+      }
+      if (char === '"') return string();
+      const literal = /^(-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i, i + 400));
+      if (literal) {
+        i += literal[0].length;
+        return;
+      }
+      fail(i >= text.length ? 'ข้อมูลจบก่อนกำหนด' : `อักขระ "${char}" ไม่ถูกต้อง`);
+    };
+
+    value(0);
+    space();
+    if (i < text.length) fail('มีข้อมูลเกินหลังจบ JSON');
+  }
+
+  /**
+   * ตัวแยก INI / conf: [section], key = value, key: value (conf รับ "key value" ด้วย)
+   * คีย์ซ้ำหรือคีย์ที่ลงท้ายด้วย [] จะรวมเป็นอาร์เรย์ ค่าตัวเลขและ true/false จะถูกแปลงชนิด
+   */
+  static parseIni(text, options = {}) {
+    // ไม่มี prototype: คีย์จากไฟล์อย่าง __proto__ หรือ constructor เป็นแค่คีย์ธรรมดา
+    const result = Object.create(null);
+    let section = result;
+    const lines = text.split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+      const lineNumber = index + 1;
+      let line = lines[index];
+      // ต่อบรรทัดที่ลงท้ายด้วย \
+      while (/\\$/.test(line) && index + 1 < lines.length) {
+        line = line.slice(0, -1) + lines[++index].trimStart();
+      }
+
+      const trimmed = line.trim();
+      if (trimmed === '' || trimmed.startsWith(';') || trimmed.startsWith('#')) continue;
+      const column = line.length - line.trimStart().length + 1;
+
+      if (trimmed.startsWith('[')) {
+        const match = /^\[([^\]]+)\]\s*([;#].*)?$/.exec(trimmed);
+        if (!match) {
+          throw createParseError('ชื่อ section ไม่ถูกต้อง ต้องอยู่ในรูป [ชื่อ]', lineNumber, column);
+        }
+        const name = match[1].trim();
+        if (Object.hasOwn(result, name) && (typeof result[name] !== 'object' || Array.isArray(result[name]))) {
+          throw createParseError(`ชื่อ section "${name}" ซ้ำกับคีย์ที่มีอยู่แล้ว`, lineNumber, column);
+        }
+        section = result[name] = Object.hasOwn(result, name) ? result[name] : Object.create(null);
+        continue;
+      }
+
+      const separator = /^([^=:]*?)\s*[=:]\s*(.*)$/.exec(trimmed) ||
+        (options.whitespaceSeparator ? /^(\S+)\s+(.*)$/.exec(trimmed) : null);
+      if (!separator || separator[1] === '') {
+        const reason = options.whitespaceSeparator
+          ? 'บรรทัดนี้ไม่ใช่ key = value'
+          : 'ไม่พบเครื่องหมาย = หรือ : ระหว่างคีย์และค่า';
+        throw createParseError(reason, lineNumber, column);
+      }
+
+      let key = separator[1].trim();
+      const value = StructuredDataParser.parseIniValue(separator[2]);
+      const forceArray = key.endsWith('[]');
+      if (forceArray) key = key.slice(0, -2);
+
+      if (forceArray || Object.hasOwn(section, key)) {
+        const existing = section[key];
+        section[key] = Object.hasOwn(section, key)
+          ? [...(Array.isArray(existing) ? existing : [existing]), value]
+          : [value];
+      } else {
+        section[key] = value;
+      }
+    }
+
+    return result;
+  }
+
+  static parseIniValue(raw) {
+    const text = raw.trim();
+    const quoted = /^(["'])(.*)\1\s*([;#].*)?$/.exec(text);
+    if (quoted) {
+      return quoted[1] === '"' ? quoted[2].replace(/\\(["\\])/g, '$1') : quoted[2];
+    }
+    // คอมเมนต์ท้ายบรรทัดต้องมีช่องว่างนำหน้า เพื่อไม่ตัด # ใน URL หรือรหัสสี
+    const value = text.replace(/\s+[;#].*$/, '');
+    if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+    if (/^[+-]?(0|[1-9]\d*)(\.\d+)?$/.test(value) && Number.isSafeInteger(Math.trunc(Number(value)))) {
+      return Number(value);
+    }
+    return value;
+  }
+
+  /**
+   * ตัวแยก YAML ส่วนที่ใช้ในไฟล์ตั้งค่าทั่วไป: mapping / sequence แบบบล็อก, flow [..] {..},
+   * สตริงในเครื่องหมายคำพูด, block scalar | >, anchor & และ alias *, หลายเอกสารด้วย ---
+   */
+  static parseYaml(text) {
+    const documents = [[]];
+    text.split(/\r?\n/).forEach((raw, index) => {
+      const lineNumber = index + 1;
+      if (/^(---|\.\.\.)(\s|$)/.test(raw)) {
+        const current = documents[documents.length - 1];
+        if (raw.startsWith('---') && (current.some((line) => line.text !== '') || documents.length > 1)) {
+          documents.push([]);
+        }
+        const rest = StructuredDataParser.stripYamlComment(raw.slice(3)).trim();
+        if (raw.startsWith('---') && rest) {
+          documents[documents.length - 1].push({ indent: 0, text: rest, raw: rest, lineNumber });
+        }
+        return;
+      }
+      if (/^%/.test(raw)) return;
+      const indentMatch = /^[ ]*/.exec(raw)[0].length;
+      if (raw[indentMatch] === '\t' && raw.trim() !== '') {
+        throw createParseError('YAML ไม่อนุญาตให้ใช้แท็บในการย่อหน้า', lineNumber, indentMatch + 1);
+      }
+      documents[documents.length - 1].push({
+        indent: indentMatch,
+        text: StructuredDataParser.stripYamlComment(raw).slice(indentMatch).trimEnd(),
+        raw,
+        lineNumber,
+      });
+    });
+
+    const results = documents.map((lines) => {
+      const state = { lines, position: 0, anchors: Object.create(null) };
+      StructuredDataParser.skipYamlBlank(state);
+      if (state.position >= lines.length) return null;
+      const value = StructuredDataParser.parseYamlBlock(state, lines[state.position].indent);
+      StructuredDataParser.skipYamlBlank(state);
+      if (state.position < lines.length) {
+        const line = lines[state.position];
+        throw createParseError('ย่อหน้าไม่ถูกต้อง', line.lineNumber, line.indent + 1);
+      }
+      return value;
+    });
+
+    return results.length === 1 ? results[0] : results;
+  }
+
+  static stripYamlComment(raw) {
+    let quote = null;
+    for (let i = 0; i < raw.length; i++) {
+      const char = raw[i];
+      if (quote) {
+        if (char === '\\' && quote === '"') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        if (i === 0 || /[\s:[{,-]/.test(raw[i - 1])) quote = char;
+      } else if (char === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+        return raw.slice(0, i);
+      }
+    }
+    return raw;
+  }
+
+  static skipYamlBlank(state) {
+    while (state.position < state.lines.length && state.lines[state.position].text === '') {
+      state.position++;
+    }
+  }
+
+  static parseYamlBlock(state, indent) {
+    const line = state.lines[state.position];
+    if (/^-(\s|$)/.test(line.text)) {
+      return StructuredDataParser.parseYamlSequence(state, indent);
+    }
+    if (StructuredDataParser.matchYamlKey(line.text)) {
+      return StructuredDataParser.parseYamlMapping(state, indent);
+    }
+    state.position++;
+    return StructuredDataParser.parseYamlInline(state, line.text, line, indent);
+  }
+
+  static parseYamlSequence(state, indent) {
+    const items = [];
+    while (state.position < state.lines.length) {
+      StructuredDataParser.skipYamlBlank(state);
+      const line = state.lines[state.position];
+      if (!line || line.indent !== indent || !/^-(\s|$)/.test(line.text)) {
+        if (line && line.indent > indent) {
+          throw createParseError('ย่อหน้าไม่ถูกต้องในรายการ', line.lineNumber, line.indent + 1);
+        }
+        break;
+      }
+
+      const rest = line.text.slice(1).trimStart();
+      if (rest === '') {
+        state.position++;
+        items.push(StructuredDataParser.parseYamlNested(state, indent, false));
+      } else {
+        // แทนบรรทัดปัจจุบันด้วยเนื้อหาหลัง "- " ที่ย่อหน้าตามตำแหน่งจริง เช่น "- name: a"
+        const offset = line.text.length - rest.length;
+        state.lines[state.position] = { ...line, indent: indent + offset, text: rest };
+        items.push(StructuredDataParser.parseYamlBlock(state, indent + offset));
+      }
+    }
+    return items;
+  }
+
+  static parseYamlMapping(state, indent) {
+    const result = Object.create(null);
+    while (state.position < state.lines.length) {
+      StructuredDataParser.skipYamlBlank(state);
+      const line = state.lines[state.position];
+      if (!line || line.indent !== indent) {
+        if (line && line.indent > indent) {
+          throw createParseError('ย่อหน้าไม่ถูกต้อง', line.lineNumber, line.indent + 1);
+        }
+        break;
+      }
+
+      const match = StructuredDataParser.matchYamlKey(line.text);
+      if (!match) {
+        if (/^-(\s|$)/.test(line.text)) break;
+        throw createParseError('ต้องเป็นคู่ key: value', line.lineNumber, line.indent + 1);
+      }
+      const key = match.key;
+      if (key === '<<') {
+        state.position++;
+        const merged = StructuredDataParser.parseYamlValue(state, match.rest, line, indent);
+        for (const source of Array.isArray(merged) ? merged : [merged]) {
+          Object.entries(source || {}).forEach(([k, v]) => Object.hasOwn(result, k) || (result[k] = v));
+        }
+        continue;
+      }
+      if (Object.hasOwn(result, key)) {
+        throw createParseError(`คีย์ "${key}" ซ้ำ`, line.lineNumber, line.indent + 1);
+      }
+      state.position++;
+      result[key] = StructuredDataParser.parseYamlValue(state, match.rest, line, indent);
+    }
+    return result;
+  }
+
+  static matchYamlKey(text) {
+    const quoted = /^(["'])((?:\\.|(?!\1).|\1\1)*)\1\s*:(?:\s+|$)(.*)$/.exec(text);
+    if (quoted) {
+      const key =
+        quoted[1] === '"' ? StructuredDataParser.unescapeYamlDouble(quoted[2]) : quoted[2].replace(/''/g, "'");
+      return { key, rest: quoted[3] };
+    }
+    const plain = /^([^\s\-?:,[\]{}#&*!|>'"%@`][^#]*?|[-?:][^\s#][^#]*?|<<)\s*:(?:\s+|$)(.*)$/.exec(text);
+    return plain ? { key: plain[1], rest: plain[2] } : null;
+  }
+
+  /**
+   * ค่าของคีย์หรือรายการ: ค่าในบรรทัดเดียวกัน หรือบล็อกที่ย่อหน้าลึกกว่าในบรรทัดถัดไป
+   */
+  static parseYamlValue(state, rest, line, indent) {
+    let text = rest.trim();
+    let anchor = null;
+    const anchorMatch = /^&(\S+)\s*/.exec(text);
+    if (anchorMatch) {
+      anchor = anchorMatch[1];
+      text = text.slice(anchorMatch[0].length);
+    }
+    let tag = null;
+    const tagMatch = /^!(!?\S*)\s*/.exec(text);
+    if (tagMatch) {
+      tag = tagMatch[1];
+      text = text.slice(tagMatch[0].length);
+    }
+
+    let value;
+    if (text === '') {
+      value = StructuredDataParser.parseYamlNested(state, indent, true);
+    } else if (/^[|>]/.test(text)) {
+      value = StructuredDataParser.parseYamlBlockScalar(state, text, line, indent);
+    } else {
+      value = StructuredDataParser.parseYamlInline(state, text, line, indent);
+    }
+
+    if (tag === '!str' && value !== null && typeof value !== 'object') value = String(value);
+    if (anchor) state.anchors[anchor] = value;
+    return value;
+  }
+
+  static parseYamlNested(state, indent, allowSameIndentSequence) {
+    StructuredDataParser.skipYamlBlank(state);
+    const next = state.lines[state.position];
+    if (!next) return null;
+    if (next.indent > indent) {
+      return StructuredDataParser.parseYamlBlock(state, next.indent);
+    }
+    // key:\n- item (รายการที่ย่อหน้าเท่ากับคีย์)
+    if (allowSameIndentSequence && next.indent === indent && /^-(\s|$)/.test(next.text)) {
+      return StructuredDataParser.parseYamlSequence(state, indent);
+    }
+    return null;
+  }
+
+  static parseYamlInline(state, text, line, indent) {
+    if (text.startsWith('*')) {
+      const name = text.slice(1).trim();
+      if (!Object.hasOwn(state.anchors, name)) {
+        throw createParseError(`ไม่พบ anchor "${name}"`, line.lineNumber, line.raw.indexOf('*') + 1);
+      }
+      return state.anchors[name];
+    }
+
+    let value = text;
+    if (value.startsWith('[') || value.startsWith('{')) {
+      // flow collection ที่เขียนต่อหลายบรรทัด
+      while (!StructuredDataParser.isFlowBalanced(value) && state.position < state.lines.length) {
+        value += ` ${state.lines[state.position++].text.trim()}`;
+      }
+      const parser = { text: value, position: 0, line };
+      const result = StructuredDataParser.parseFlowValue(parser);
+      StructuredDataParser.skipFlowSpace(parser);
+      if (parser.position < value.length) {
+        throw StructuredDataParser.flowError(parser, 'มีอักขระเกินหลังปิดวงเล็บ');
+      }
+      return result;
+    }
+
+    if (value.startsWith('"') || value.startsWith("'")) {
+      const quote = value[0];
+      // สตริงในเครื่องหมายคำพูดที่ยาวหลายบรรทัด
+      while (!StructuredDataParser.isQuoteClosed(value, quote) && state.position < state.lines.length) {
+        const next = state.lines[state.position++];
+        value += next.text.trim() === '' ? '\n' : ` ${next.raw.trim()}`;
+      }
+      if (!StructuredDataParser.isQuoteClosed(value, quote)) {
+        throw createParseError('ไม่พบเครื่องหมายคำพูดปิด', line.lineNumber, line.raw.indexOf(quote) + 1);
+      }
+      const parser = { text: value, position: 0, line };
+      return StructuredDataParser.parseFlowValue(parser);
+    }
+
+    // plain scalar หลายบรรทัด: บรรทัดที่ย่อหน้าลึกกว่าเป็นส่วนต่อของค่า
+    while (state.position < state.lines.length) {
+      const next = state.lines[state.position];
+      if (next.text !== '' && next.indent <= indent) break;
+      if (StructuredDataParser.matchYamlKey(next.text)) {
+        throw createParseError('ย่อหน้าไม่ถูกต้อง ค่านี้ไม่ใช่ mapping', next.lineNumber, next.indent + 1);
+      }
+      if (next.text === '') {
+        const following = state.lines.slice(state.position).find((l) => l.text !== '');
+        if (!following || following.indent <= indent) break;
+      }
+      value += next.text === '' ? '\n' : ` ${next.text.trim()}`;
+      state.position++;
+    }
+    return StructuredDataParser.resolveYamlScalar(value.replace(/ ?\n ?/g, '\n'));
+  }
+
+  static parseYamlBlockScalar(state, header, line, indent) {
+    const match = /^([|>])([+-]?)(\d?)([+-]?)\s*$/.exec(header);
+    if (!match) {
+      throw createParseError('ส่วนหัวของ block scalar ไม่ถูกต้อง', line.lineNumber, line.raw.indexOf(header) + 1);
+    }
+    const literal = match[1] === '|';
+    const chomping = match[2] || match[4];
+    const collected = [];
+    let blockIndent = match[3] ? indent + Number(match[3]) : null;
+
+    while (state.position < state.lines.length) {
+      const next = state.lines[state.position];
+      const blank = next.raw.trim() === '';
+      const nextIndent = next.raw.length - next.raw.trimStart().length;
+      if (!blank && blockIndent === null) blockIndent = nextIndent;
+      if (!blank && (nextIndent <= indent || nextIndent < blockIndent)) break;
+      collected.push(blank ? '' : next.raw.slice(blockIndent));
+      state.position++;
+    }
+
+    while (collected.length && collected[collected.length - 1] === '' && chomping !== '+') {
+      collected.pop();
+    }
+    let value;
+    if (literal) {
+      value = collected.join('\n');
+    } else {
+      // folded: บรรทัดติดกันรวมด้วยช่องว่าง บรรทัดว่างกลายเป็นขึ้นบรรทัดใหม่
+      value = collected
+        .map((part, i) => {
+          if (part === '') return '\n';
+          return i > 0 && collected[i - 1] !== '' && !/^\s/.test(part) ? ` ${part}` : part;
+        })
+        .join('')
+        .replace(/^ /, '');
+    }
+    return chomping === '-' || value === '' ? value : `${value}\n`;
+  }
+
+  static isQuoteClosed(value, quote) {
+    for (let i = 1; i < value.length; i++) {
+      if (quote === '"' && value[i] === '\\') {
+        i++;
+      } else if (value[i] === quote) {
+        if (quote === "'" && value[i + 1] === "'") i++;
+        else return true;
+      }
+    }
+    return false;
+  }
+
+  static isFlowBalanced(value) {
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      if (quote) {
+        if (char === '\\' && quote === '"') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") quote = char;
+      else if (char === '[' || char === '{') depth++;
+      else if (char === ']' || char === '}') depth--;
+    }
+    return depth <= 0;
+  }
+
+  static flowError(parser, message) {
+    const column = parser.line.raw.indexOf(parser.text.slice(0, 10)) + 1 + parser.position;
+    return createParseError(message, parser.line.lineNumber, Math.max(1, column));
+  }
+
+  static skipFlowSpace(parser) {
+    while (parser.position < parser.text.length && /\s/.test(parser.text[parser.position])) parser.position++;
+  }
+
+  static parseFlowValue(parser) {
+    StructuredDataParser.skipFlowSpace(parser);
+    const char = parser.text[parser.position];
+
+    if (char === '[' || char === '{') {
+      parser.depth = (parser.depth || 0) + 1;
+      if (parser.depth > STRUCTURED_PARSE_MAX_DEPTH) {
+        throw StructuredDataParser.flowError(parser, `ซ้อนกันลึกเกิน ${STRUCTURED_PARSE_MAX_DEPTH} ชั้น`);
+      }
+      const isMap = char === '{';
+      const result = isMap ? Object.create(null) : [];
+      parser.position++;
+      for (;;) {
+        StructuredDataParser.skipFlowSpace(parser);
+        if (parser.text[parser.position] === (isMap ? '}' : ']')) {
+          parser.position++;
+          parser.depth--;
+          return result;
+        }
+        if (isMap) {
+          const key = StructuredDataParser.parseFlowValue(parser);
+          StructuredDataParser.skipFlowSpace(parser);
+          let value = null;
+          if (parser.text[parser.position] === ':') {
+            parser.position++;
+            value = StructuredDataParser.parseFlowValue(parser);
+          }
+          result[String(key)] = value;
+        } else {
+          result.push(StructuredDataParser.parseFlowValue(parser));
+        }
+        StructuredDataParser.skipFlowSpace(parser);
+        const separator = parser.text[parser.position];
+        if (separator === ',') {
+          parser.position++;
+        } else if (separator !== (isMap ? '}' : ']')) {
+          throw StructuredDataParser.flowError(parser, `ต้องเป็น , หรือ ${isMap ? '}' : ']'}`);
+        }
+      }
+    }
+
+    if (char === '"' || char === "'") {
+      let end = parser.position + 1;
+      let raw = '';
+      while (end < parser.text.length) {
+        if (char === '"' && parser.text[end] === '\\') {
+          raw += parser.text.slice(end, end + 2);
+          end += 2;
+          continue;
+        }
+        if (parser.text[end] === char) {
+          if (char === "'" && parser.text[end + 1] === "'") {
+            raw += "'";
+            end += 2;
+            continue;
+          }
+          break;
+        }
+        raw += parser.text[end++];
+      }
+      if (end >= parser.text.length) {
+        throw StructuredDataParser.flowError(parser, 'ไม่พบเครื่องหมายคำพูดปิด');
+      }
+      parser.position = end + 1;
+      return char === '"' ? StructuredDataParser.unescapeYamlDouble(raw) : raw;
+    }
+
+    const match = /^[^,[\]{}]*/.exec(parser.text.slice(parser.position));
+    let plain = match[0];
+    // ในวงเล็บปีกกา ":" ตามด้วยช่องว่างคือตัวคั่น key/value
+    const colon = plain.search(/:(\s|$)/);
+    if (colon >= 0) plain = plain.slice(0, colon);
+    parser.position += plain.length;
+    if (plain.trim() === '' && char !== undefined && /[\]},]/.test(char) === false) {
+      throw StructuredDataParser.flowError(parser, 'ค่าว่างไม่ถูกต้อง');
+    }
+    return StructuredDataParser.resolveYamlScalar(plain.trim());
+  }
+
+  static unescapeYamlDouble(raw) {
+    const escapes = { n: '\n', t: '\t', r: '\r', 0: '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', e: '\x1b' };
+    return raw.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (whole, code) => {
+      if (code.length > 1) return String.fromCodePoint(parseInt(code.slice(1), 16));
+      return escapes[code] ?? whole;
+    });
+  }
+
+  /**
+   * ชนิดของ plain scalar ตาม YAML 1.2 core schema
+   */
+  static resolveYamlScalar(value) {
+    if (/^(~|null|Null|NULL)?$/.test(value)) return null;
+    if (/^(true|True|TRUE)$/.test(value)) return true;
+    if (/^(false|False|FALSE)$/.test(value)) return false;
+    if (/^[-+]?\d+$/.test(value)) return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+    if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value.slice(2), 16);
+    if (/^0o[0-7]+$/.test(value)) return parseInt(value.slice(2), 8);
+    if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(value)) return value.startsWith('-') ? -Infinity : Infinity;
+    if (/^\.(nan|NaN|NAN)$/.test(value)) return NaN;
+    return value;
+  }
+
+  /**
+   * คัดลอกค่าโดยตัดส่วนที่ลึกเกิน maxDepth ชั้นเป็นข้อความแทน เพื่อให้ JSON.stringify / flatten ไม่เกิน call stack
+   */
+  static limitDepth(value, maxDepth = STRUCTURED_MAX_DEPTH, depth = 0) {
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= maxDepth) {
+      return `[… ซ้อนลึกเกิน ${maxDepth} ชั้น ถูกตัดออก]`;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => StructuredDataParser.limitDepth(item, maxDepth, depth + 1));
+    }
+    // fromEntries สร้างคีย์ตรง ๆ คีย์ชื่อ __proto__ จาก JSON.parse จึงไม่กลายเป็น prototype
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, StructuredDataParser.limitDepth(item, maxDepth, depth + 1)]),
+    );
+  }
+
+  /**
+   * แปลงออบเจ็กต์ซ้อนเป็นรายการ [key, value] เช่น server.ports[0]
+   */
+  static flatten(value, prefix = '', entries = []) {
+    if (Array.isArray(value)) {
+      if (value.length === 0) entries.push([prefix, []]);
+      value.forEach((item, index) => StructuredDataParser.flatten(item, `${prefix}[${index}]`, entries));
+    } else if (value !== null && typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 0 && prefix) entries.push([prefix, {}]);
+      for (const key of keys) {
+        const segment = /^[\w$-]+$/.test(key) ? key : `[${JSON.stringify(key)}]`;
+        const path = !prefix ? segment : segment.startsWith('[') ? `${prefix}${segment}` : `${prefix}.${segment}`;
+        StructuredDataParser.flatten(value[key], path, entries);
+      }
+    } else {
+      entries.push([prefix, value]);
+    }
+    return entries;
+  }
+
+  static toFlatText(value) {
+    return StructuredDataParser.flatten(value)
+      .map(([key, item]) => {
+        const shown = typeof item === 'string' && !/[\n\r]/.test(item) ? item : JSON.stringify(item);
+        return `${key || '(root)'} = ${shown}`;
+      })
+      .join('\n');
+  }
+}
+
+// องค์ประกอบที่ไม่ใช่เนื้อหา ตัดทิ้งทั้งหมดก่อนแปลง HTML
+const HTML_DROPPED_ELEMENTS = 'script, style, noscript, template, svg, math, iframe, object, embed, canvas, head';
+const HTML_BLOCK_ELEMENTS = new Set([
+  'ADDRESS',
+  'ARTICLE',
+  'ASIDE',
+  'BODY',
+  'DD',
+  'DETAILS',
+  'DIV',
+  'DL',
+  'DT',
+  'FIELDSET',
+  'FIGCAPTION',
+  'FIGURE',
+  'FOOTER',
+  'FORM',
+  'HEADER',
+  'MAIN',
+  'NAV',
+  'P',
+  'SECTION',
+  'SUMMARY',
+]);
+// จำนวนองค์ประกอบชื่อซ้ำกันที่แสดงในโครงร่าง XML ก่อนย่อเป็นบรรทัดสรุป
+const XML_OUTLINE_MAX_SIBLINGS = 20;
+const XML_OUTLINE_TEXT_LENGTH = 120;
+
+/**
+ * ตัวแปลง HTML เป็น markdown และ XML เป็นโครงร่างต้นไม้ขององค์ประกอบ (ใช้ DOMParser ของเบราว์เซอร์)
+ */
+class MarkupConverter {
+  /**
+   * แปลง HTML เป็น markdown คืนค่า { markdown, title }
+   * ตัด script / style / คอมเมนต์ และคงหัวข้อ รายการ ลิงก์ ตาราง ตัวหนา/เอียง และบล็อกโค้ด
+   */
+  static htmlToMarkdown(html) {
+    const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+    const title = doc.querySelector('title')?.textContent.trim() || null;
+    doc.querySelectorAll(HTML_DROPPED_ELEMENTS).forEach((element) => element.remove());
+
+    const markdown = MarkupConverter.renderBlocks(doc.body || doc.documentElement, 0)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    return { markdown, title };
+  }
+
+  /**
+   * แปลงลูกของ node เป็นข้อความ markdown แบบบล็อก (คั่นบล็อกด้วยบรรทัดว่าง)
+   */
+  static renderBlocks(node, depth) {
+    let output = '';
+    for (const child of node.childNodes) {
+      output += MarkupConverter.renderNode(child, depth);
+    }
+    return output;
+  }
+
+  static renderNode(node, depth) {
+    // 3 = TEXT_NODE, 1 = ELEMENT_NODE (คอมเมนต์และชนิดอื่นถูกข้าม)
+    if (node.nodeType === 3) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== 1) {
+      return '';
+    }
+
+    const tag = node.tagName.toUpperCase();
+    const inner = () => MarkupConverter.renderBlocks(node, depth);
+    const inline = () => inner().replace(/\s+/g, ' ').trim();
+
+    switch (tag) {
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6': {
+        const text = inline();
+        return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+      }
+      case 'BR':
+        return '  \n';
+      case 'HR':
+        return '\n\n---\n\n';
+      case 'STRONG':
+      case 'B':
+        return MarkupConverter.wrapInline(inner(), '**');
+      case 'EM':
+      case 'I':
+        return MarkupConverter.wrapInline(inner(), '*');
+      case 'S':
+      case 'DEL':
+      case 'STRIKE':
+        return MarkupConverter.wrapInline(inner(), '~~');
+      case 'CODE':
+        return node.closest('pre') ? node.textContent : `\`${node.textContent.replace(/`/g, '\\`')}\``;
+      case 'PRE': {
+        const language = /language-(\S+)/.exec(node.querySelector('code')?.className || '')?.[1] || '';
+        return `\n\n\`\`\`${language}\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+      }
+      case 'A': {
+        const text = inline();
+        const href = node.getAttribute('href') || '';
+        if (!text) return '';
+        if (!href || href.startsWith('#') || /^\s*javascript:/i.test(href)) return text;
+        return `[${text}](${href.replace(/\)/g, '%29').replace(/\s/g, '%20')})`;
+      }
+      case 'IMG': {
+        const alt = (node.getAttribute('alt') || '').trim();
+        const src = node.getAttribute('src') || '';
+        // ข้อมูลภาพแบบ data: ยาวมากและไม่มีประโยชน์ต่อโมเดล
+        if (!src || src.startsWith('data:')) return alt ? `[ภาพ: ${alt}]` : '';
+        return `![${alt}](${src.replace(/\s/g, '%20')})`;
+      }
+      case 'UL':
+      case 'OL':
+        return `\n\n${MarkupConverter.renderList(node, depth)}\n\n`;
+      case 'TABLE':
+        return `\n\n${MarkupConverter.renderTable(node)}\n\n`;
+      case 'BLOCKQUOTE': {
+        const text = inner().replace(/\n{3,}/g, '\n\n').trim();
+        return text ? `\n\n${text.replace(/^/gm, '> ')}\n\n` : '';
+      }
+      case 'LI':
+        return `\n${inline()}\n`;
+      default:
+        return HTML_BLOCK_ELEMENTS.has(tag) ? `\n\n${inner().trim()}\n\n` : inner();
+    }
+  }
+
+  static wrapInline(text, marker) {
+    const trimmed = text.trim();
+    if (!trimmed) return text;
+    // คงช่องว่างรอบนอกไว้ มิฉะนั้น markdown จะไม่รู้จักเครื่องหมาย
+    const leading = /^\s/.test(text) ? ' ' : '';
+    const trailing = /\s$/.test(text) ? ' ' : '';
+    return `${leading}${marker}${trimmed}${marker}${trailing}`;
+  }
+
+  static renderList(list, depth) {
+    const ordered = list.tagName.toUpperCase() === 'OL';
+    let number = Number(list.getAttribute('start')) || 1;
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    for (const item of list.children) {
+      if (item.tagName.toUpperCase() !== 'LI') continue;
+      let text = '';
+      const nested = [];
+      for (const child of item.childNodes) {
+        const childTag = child.nodeType === 1 ? child.tagName.toUpperCase() : '';
+        if (childTag === 'UL' || childTag === 'OL') {
+          nested.push(MarkupConverter.renderList(child, depth + 1));
+        } else {
+          text += MarkupConverter.renderNode(child, depth + 1);
+        }
+      }
+      const marker = ordered ? `${number++}.` : '-';
+      lines.push(`${indent}${marker} ${text.replace(/\s+/g, ' ').trim()}`, ...nested);
+    }
+    return lines.join('\n');
+  }
+
+  static renderTable(table) {
+    const rows = [...table.querySelectorAll('tr')].filter((row) => row.closest('table') === table);
+    const matrix = rows.map((row) =>
+      [...row.children]
+        .filter((cell) => ['TD', 'TH'].includes(cell.tagName.toUpperCase()))
+        .flatMap((cell) => {
+          const text = MarkupConverter.renderBlocks(cell, 0).replace(/\s+/g, ' ').trim();
+          // colspan ขยายเป็นหลายช่องเพื่อให้คอลัมน์ตรงกัน
+          return Array.from({ length: Math.max(1, Number(cell.getAttribute('colspan')) || 1) }, (_, i) =>
+            i === 0 ? text : '',
+          );
+        }),
+    );
+    if (matrix.length === 0) return '';
+    const width = matrix.reduce((widest, row) => Math.max(widest, row.length), 0);
+    if (width === 0) return '';
+    const normalized = matrix.map((row) => Array.from({ length: width }, (_, i) => row[i] ?? ''));
+    return CsvParser.toMarkdownTable(normalized[0], normalized.slice(1));
+  }
+
+  /**
+   * แปลง XML เป็นโครงร่างต้นไม้ขององค์ประกอบ (markdown list) คืนค่า { outline, root, elementCount }
+   */
+  static xmlToOutline(xml) {
+    const doc = new DOMParser().parseFromString(String(xml || ''), 'application/xml');
+    const error = doc.querySelector('parsererror');
+    if (error) {
+      const message = error.textContent.replace(/\s+/g, ' ').trim();
+      const location =
+        /line (\d+) at column (\d+)/i.exec(message) ||
+        /line number:?\s*(\d+),\s*column:?\s*(\d+)/i.exec(message) ||
+        /^(\d+):(\d+):/.exec(message);
+      throw createParseError(
+        `XML ไม่ถูกต้อง: ${message.slice(0, 200)}`,
+        location ? Number(location[1]) : null,
+        location ? Number(location[2]) : null,
+      );
+    }
+
+    const lines = [];
+    let elementCount = 0;
+    const visit = (element, depth) => {
+      elementCount++;
+      const attributes = [...element.attributes]
+        .map((attribute) => `${attribute.name}="${MarkupConverter.shorten(attribute.value, 40)}"`)
+        .join(' ');
+      const text = [...element.childNodes]
+        .filter((child) => child.nodeType === 3 || child.nodeType === 4)
+        .map((child) => child.textContent)
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      let line = `${'  '.repeat(depth)}- \`${element.tagName}\``;
+      if (attributes) line += ` (${attributes})`;
+      if (text) line += `: ${MarkupConverter.shorten(text, XML_OUTLINE_TEXT_LENGTH)}`;
+      lines.push(line);
+
+      const seen = new Map();
+      for (const child of element.children) {
+        const count = (seen.get(child.tagName) || 0) + 1;
+        seen.set(child.tagName, count);
+        if (count <= XML_OUTLINE_MAX_SIBLINGS) {
+          visit(child, depth + 1);
+        } else {
+          elementCount += 1 + child.getElementsByTagName('*').length;
+        }
+      }
+      for (const [name, count] of seen) {
+        if (count > XML_OUTLINE_MAX_SIBLINGS) {
+          lines.push(`${'  '.repeat(depth + 1)}- … และ \`${name}\` อีก ${count - XML_OUTLINE_MAX_SIBLINGS} รายการ`);
+        }
+      }
+    };
+    visit(doc.documentElement, 0);
+
+    return { outline: lines.join('\n'), root: doc.documentElement.tagName, elementCount };
+  }
+
+  static shorten(text, length) {
+    return text.length > length ? `${text.slice(0, length)}…` : text;
+  }
+}
+
+// destination ของ RTF ที่ไม่ใช่เนื้อหา (ตารางฟอนต์/สี, สไตล์, ภาพ, ข้อมูลเอกสาร ฯลฯ)
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl',
+  'colortbl',
+  'stylesheet',
+  'info',
+  'pict',
+  'object',
+  'header',
+  'headerl',
+  'headerr',
+  'headerf',
+  'footer',
+  'footerl',
+  'footerr',
+  'footerf',
+  'fldinst',
+  'listtable',
+  'listoverridetable',
+  'rsidtbl',
+  'generator',
+  'xmlnstbl',
+  'themedata',
+  'colorschememapping',
+  'datastore',
+  'latentstyles',
+  'nonshppict',
+  'shp',
+  'filetbl',
+  'revtbl',
+]);
+// ค่า \fcharset ของฟอนต์ -> code page
+const RTF_CHARSET_CODEPAGES = {
+  0: 1252,
+  128: 932,
+  129: 949,
+  134: 936,
+  136: 950,
+  161: 1253,
+  162: 1254,
+  163: 1258,
+  177: 1255,
+  178: 1256,
+  186: 1257,
+  204: 1251,
+  222: 874,
+  238: 1250,
+};
+const RTF_CODEPAGE_ENCODINGS = {
+  874: 'windows-874',
+  932: 'shift_jis',
+  936: 'gbk',
+  949: 'euc-kr',
+  950: 'big5',
+  65001: 'utf-8',
+};
+const RTF_SYMBOLS = {
+  par: '\n\n',
+  sect: '\n\n',
+  page: '\n\n',
+  line: '\n',
+  tab: '\t',
+  cell: ' | ',
+  row: '\n',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' ',
+};
+// ฟอนต์สัญลักษณ์ (Symbol, Wingdings) เก็บรูปสัญลักษณ์ไว้ที่รหัสของตัวอักษรธรรมดา
+// จึงต้องแปลงรหัสเป็นอักขระ Unicode เอง แทนการถอดด้วย code page ของเอกสาร
+const RTF_SYMBOL_FONT_CHARS = {
+  symbol: {
+    0x2d: '−',
+    0xa3: '≤',
+    0xa5: '∞',
+    0xa7: '♣',
+    0xa8: '♦',
+    0xa9: '♥',
+    0xaa: '♠',
+    0xab: '↔',
+    0xac: '←',
+    0xad: '↑',
+    0xae: '→',
+    0xaf: '↓',
+    0xb0: '°',
+    0xb1: '±',
+    0xb3: '≥',
+    0xb4: '×',
+    0xb7: '•',
+    0xb8: '÷',
+    0xb9: '≠',
+    0xba: '≡',
+    0xbb: '≈',
+    0xbc: '…',
+    0xd6: '√',
+    0xdb: '⇔',
+    0xdc: '⇐',
+    0xde: '⇒',
+    0xe0: '◊',
+  },
+  wingdings: {
+    0x4a: '☺',
+    0x4c: '☹',
+    0x6c: '●',
+    0x6e: '■',
+    0x6f: '□',
+    0x71: '❑',
+    0x72: '❒',
+    0x75: '◆',
+    0x76: '❖',
+    0x77: '⬥',
+    0x9f: '•',
+    0xa1: '○',
+    0xa7: '▪',
+    0xa8: '◻',
+    0xd8: '➢',
+    0xe0: '➔',
+    0xe8: '➔',
+    0xf0: '⇨',
+    0xfb: '✗',
+    0xfc: '✓',
+    0xfd: '☒',
+    0xfe: '☑',
+  },
+};
+// ตัวอักษรละตินในฟอนต์ Symbol คืออักษรกรีก
+const RTF_SYMBOL_GREEK_LOWER = 'αβχδεφγηιϕκλμνοπθρστυϖωξψζ';
+const RTF_SYMBOL_GREEK_UPPER = 'ΑΒΧΔΕΦΓΗΙϑΚΛΜΝΟΠΘΡΣΤΥςΩΞΨΖ';
+
+/**
+ * ตัวแปลง RTF เป็นข้อความธรรมดาหรือ markdown (ตัวหนา/ตัวเอียง)
+ * รองรับ control word, group, \'hh (ถอดตาม code page ของเอกสาร/ฟอนต์) และ \uN
+ */
+class RtfConverter {
+  /**
+   * แยก RTF เป็นโทเคน { type: 'open' | 'close' | 'word' | 'symbol' | 'hex' | 'text', ... }
+   */
+  static *tokenize(rtf) {
+    const pattern = /\\([a-zA-Z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/g;
+    let match;
+    while ((match = pattern.exec(rtf))) {
+      if (match[1]) {
+        const param = match[2] === undefined ? null : Number(match[2]);
+        // \binN: ข้อมูลไบนารี N ไบต์ที่ต้องข้าม
+        if (match[1] === 'bin' && param > 0) {
+          pattern.lastIndex += param;
+          continue;
+        }
+        yield { type: 'word', word: match[1], param };
+      } else if (match[3]) {
+        yield { type: 'hex', value: parseInt(match[3], 16) };
+      } else if (match[4] !== undefined) {
+        yield { type: 'symbol', symbol: match[4] };
+      } else if (match[5]) {
+        yield { type: match[5] === '{' ? 'open' : 'close' };
+      } else if (match[6] !== undefined) {
+        yield { type: 'text', text: match[6] };
+      }
+    }
+  }
+
+  /**
+   * แปลง RTF เป็นรายการช่วงข้อความ [{ text, bold, italic }]
+   */
+  static toRuns(rtf) {
+    const runs = [];
+    const fonts = {};
+    let codepage = 1252;
+    let defaultFont = null;
+    let state = { bold: false, italic: false, skip: false, uc: 1, font: null, destination: null, list: false };
+    const stack = [];
+    let bytes = [];
+    let skipCount = 0;
+    let groupStart = false;
+    let fontDefinition = null;
+    let listText = '';
+
+    const currentFont = () => fonts[state.font ?? defaultFont];
+    const encodingOf = () => {
+      const page = currentFont()?.codepage ?? codepage;
+      return RTF_CODEPAGE_ENCODINGS[page] || `windows-${page}`;
+    };
+    const saveFont = () => {
+      if (!fontDefinition) return;
+      fontDefinition.symbol = RtfConverter.symbolFontKind(fontDefinition);
+      fonts[fontDefinition.id] = fontDefinition;
+      fontDefinition = null;
+    };
+    const append = (text) => {
+      if (!text || state.skip) return;
+      if (state.list) {
+        listText += text;
+        return;
+      }
+      const last = runs[runs.length - 1];
+      if (last && last.bold === state.bold && last.italic === state.italic) {
+        last.text += text;
+      } else {
+        runs.push({ text, bold: state.bold, italic: state.italic });
+      }
+    };
+    const flushBytes = () => {
+      if (bytes.length === 0) return;
+      const symbol = currentFont()?.symbol;
+      let decoded;
+      if (symbol) {
+        decoded = bytes.map((code) => RtfConverter.decodeSymbolChar(symbol, code)).join('');
+        bytes = [];
+        append(decoded);
+        return;
+      }
+      try {
+        decoded = new TextDecoder(encodingOf()).decode(new Uint8Array(bytes));
+      } catch (error) {
+        decoded = new TextDecoder('windows-1252').decode(new Uint8Array(bytes));
+      }
+      bytes = [];
+      append(decoded);
+    };
+
+    for (const token of RtfConverter.tokenize(String(rtf || ''))) {
+      if (token.type !== 'hex') flushBytes();
+      const isGroupStart = groupStart;
+      groupStart = false;
+
+      switch (token.type) {
+        case 'open':
+          stack.push(state);
+          // group ย่อยในตารางฟอนต์คือฟอนต์แต่ละตัว
+          state = { ...state, destination: state.destination === 'fonttbl' ? 'fonttbl' : null };
+          groupStart = true;
+          break;
+        case 'close':
+          if (state.destination === 'fonttbl-entry') saveFont();
+          if (state.list && !stack[stack.length - 1]?.list) {
+            const marker = listText.replace(/\s+/g, ' ').trim();
+            state = stack.pop() || state;
+            append(/^[·•o§\-●○■□▪◻◆❖❑❒➢✓]$/.test(marker) ? '- ' : `${marker} `);
+            listText = '';
+            break;
+          }
+          state = stack.pop() || state;
+          break;
+        case 'symbol':
+          if (token.symbol === '*') {
+            // {\* ...} คือ destination ที่โปรแกรมอ่านข้ามได้เมื่อไม่รู้จัก
+            if (state.destination === null) state.skip = true;
+          } else if (skipCount > 0) {
+            skipCount--;
+          } else if (token.symbol === '~') {
+            append(' ');
+          } else if (token.symbol === '_') {
+            append('-');
+          } else if (['\\', '{', '}'].includes(token.symbol)) {
+            append(token.symbol);
+          } else if (token.symbol === '\n' || token.symbol === '\r') {
+            append(RTF_SYMBOLS.par);
+          }
+          break;
+        case 'hex':
+          if (skipCount > 0) {
+            skipCount--;
+          } else {
+            bytes.push(token.value);
+          }
+          break;
+        case 'text': {
+          let text = token.text;
+          if (skipCount > 0) {
+            const skipped = Math.min(skipCount, text.length);
+            text = text.slice(skipped);
+            skipCount -= skipped;
+          }
+          if (state.destination === 'fonttbl-entry' && fontDefinition) {
+            fontDefinition.name += text;
+            break;
+          }
+          const symbol = currentFont()?.symbol;
+          if (symbol) {
+            text = Array.from(text, (char) => RtfConverter.decodeSymbolChar(symbol, char.charCodeAt(0))).join('');
+          }
+          append(text);
+          break;
+        }
+        case 'word':
+          RtfConverter.applyWord(token, {
+            isGroupStart,
+            getState: () => state,
+            setCodepage: (page) => (codepage = page),
+            setDefaultFont: (font) => (defaultFont = font),
+            beginFont: (id) => {
+              // ตารางฟอนต์ที่ไม่แยก group ต่อฟอนต์ ({\fonttbl\f0 A;\f1 B;})
+              saveFont();
+              fontDefinition = { id, codepage: null, charset: null, name: '' };
+              state.destination = 'fonttbl-entry';
+            },
+            setFontCharset: (charset) => {
+              if (!fontDefinition) return;
+              fontDefinition.charset = charset;
+              fontDefinition.codepage = RTF_CHARSET_CODEPAGES[charset] ?? null;
+            },
+            setFontCodepage: (page) => {
+              if (fontDefinition) fontDefinition.codepage = page;
+            },
+            unicode: (code) => {
+              const char = code < 0 ? code + 65536 : code;
+              const symbol = currentFont()?.symbol;
+              // Word เขียนอักขระของฟอนต์สัญลักษณ์เป็น \uN ในช่วง private use U+F020-U+F0FF
+              if (symbol && char >= 0xf020 && char <= 0xf0ff) {
+                append(RtfConverter.decodeSymbolChar(symbol, char - 0xf000));
+              } else {
+                append(String.fromCharCode(char));
+              }
+              skipCount = state.uc;
+            },
+            append,
+          });
+          break;
+      }
+    }
+    flushBytes();
+    return runs;
+  }
+
+  /**
+   * ชนิดของฟอนต์สัญลักษณ์จากชื่อฟอนต์หรือ \fcharset2 ('symbol' | 'wingdings' | null)
+   */
+  static symbolFontKind(font) {
+    const name = font.name.split(';')[0].trim();
+    if (/^symbol$/i.test(name)) return 'symbol';
+    if (/^(wingdings|webdings)/i.test(name)) return 'wingdings';
+    return font.charset === 2 ? 'wingdings' : null;
+  }
+
+  /**
+   * แปลงรหัสอักขระในฟอนต์สัญลักษณ์เป็น Unicode
+   * รหัสที่ไม่รู้จักในฟอนต์รูปภาพ (Wingdings) ใช้ • แทน เพราะส่วนใหญ่เป็นหัวข้อรายการ
+   */
+  static decodeSymbolChar(kind, code) {
+    const mapped = RTF_SYMBOL_FONT_CHARS[kind][code];
+    if (mapped) return mapped;
+    if (code <= 0x20) return String.fromCharCode(code);
+    if (kind === 'symbol') {
+      if (code >= 0x61 && code <= 0x7a) return RTF_SYMBOL_GREEK_LOWER[code - 0x61];
+      if (code >= 0x41 && code <= 0x5a) return RTF_SYMBOL_GREEK_UPPER[code - 0x41];
+      if (code < 0x80) return String.fromCharCode(code);
+    }
+    return '•';
+  }
+
+  static applyWord(token, context) {
+    const state = context.getState();
+    const { word, param } = token;
+
+    // ตารางฟอนต์: เก็บ \fcharset ของแต่ละฟอนต์ไว้ถอด \'hh แต่ไม่ส่งชื่อฟอนต์ออกไป
+    if (state.destination === 'fonttbl' || state.destination === 'fonttbl-entry') {
+      if (word === 'f' && param !== null) context.beginFont(param);
+      else if (word === 'fcharset') context.setFontCharset(param);
+      else if (word === 'cpg' && param) context.setFontCodepage(param);
+      return;
+    }
+
+    if (context.isGroupStart) {
+      if (word === 'fonttbl') {
+        state.destination = 'fonttbl';
+        state.skip = true;
+        return;
+      }
+      if (word === 'listtext' || word === 'pntext') {
+        state.destination = word;
+        state.list = true;
+        return;
+      }
+      if (RTF_SKIPPED_DESTINATIONS.has(word) || state.skip) {
+        state.destination = word;
+        state.skip = true;
+        return;
+      }
+    }
+
+    switch (word) {
+      case 'ansicpg':
+        if (param) context.setCodepage(param);
+        break;
+      case 'deff':
+        context.setDefaultFont(param);
+        break;
+      case 'f':
+        state.font = param;
+        break;
+      case 'uc':
+        state.uc = Math.max(0, param ?? 1);
+        break;
+      case 'u':
+        if (param !== null) context.unicode(param);
+        break;
+      case 'b':
+        state.bold = param !== 0;
+        break;
+      case 'i':
+        state.italic = param !== 0;
+        break;
+      case 'plain':
+        state.bold = false;
+        state.italic = false;
+        break;
+      case 'pard':
+        break;
+      default:
+        if (word in RTF_SYMBOLS) context.append(RTF_SYMBOLS[word]);
+    }
+  }
+
+  /**
+   * แปลง RTF เป็นข้อความ (options.markdown = true เพื่อคงตัวหนา/ตัวเอียงแบบ markdown)
+   */
+  static convert(rtf, options = {}) {
+    const runs = RtfConverter.toRuns(rtf);
+    const markdown = options.markdown !== false;
+    const output = runs
+      .map((run) => {
+        const marker = markdown ? `${run.bold ? '**' : ''}${run.italic ? '*' : ''}` : '';
+        if (!marker) return run.text;
+        // ใส่เครื่องหมายแยกทีละบรรทัด เพราะ markdown ไม่รองรับตัวหนาข้ามย่อหน้า
+        return run.text
+          .split(/(\n+)/)
+          .map((part) => (part.startsWith('\n') ? part : MarkupConverter.wrapInline(part, marker)))
+          .join('');
+      })
+      .join('');
+
+    return output
+      .replace(/[ \t\u00a0]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+/**
+ * ตัวอ่านไฟล์ zip ในเบราว์เซอร์ (รองรับ stored / deflate และ ZIP64)
+ */
+class ZipReader {
+  /**
+   * อ่าน central directory
+   * คืนค่า [{ name, size, compressedSize, method, offset, encrypted, isDirectory, modified }]
+   */
+  static readEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    // End of central directory อยู่ท้ายไฟล์ ตามด้วยคอมเมนต์ได้ไม่เกิน 65535 ไบต์
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) {
+      throw new Error('ไฟล์ zip ไม่ถูกต้องหรือเสียหาย (ไม่พบ central directory)');
+    }
+
+    let count = view.getUint16(eocd + 10, true);
+    let directoryOffset = view.getUint32(eocd + 16, true);
+    const locator = eocd - 20;
+    if ((count === 0xffff || directoryOffset === 0xffffffff) && locator >= 0) {
+      if (view.getUint32(locator, true) === 0x07064b50) {
+        const zip64 = Number(view.getBigUint64(locator + 8, true));
+        if (zip64 + 56 <= bytes.length && view.getUint32(zip64, true) === 0x06064b50) {
+          count = Number(view.getBigUint64(zip64 + 32, true));
+          directoryOffset = Number(view.getBigUint64(zip64 + 48, true));
+        }
+      }
+    }
+
+    const entries = [];
+    let offset = directoryOffset;
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('central directory ของไฟล์ zip เสียหาย');
+      }
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const time = view.getUint16(offset + 12, true);
+      const date = view.getUint16(offset + 14, true);
+      let compressedSize = view.getUint32(offset + 20, true);
+      let size = view.getUint32(offset + 24, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      let localOffset = view.getUint32(offset + 42, true);
+      const name = ZipReader.decodeName(bytes.subarray(offset + 46, offset + 46 + nameLength), flags);
+
+      // extra field 0x0001 เก็บขนาดและตำแหน่งจริงของ ZIP64
+      let extra = offset + 46 + nameLength;
+      const extraEnd = extra + extraLength;
+      while (extra + 4 <= extraEnd) {
+        const id = view.getUint16(extra, true);
+        const length = view.getUint16(extra + 2, true);
+        if (id === 0x0001) {
+          let position = extra + 4;
+          const next = () => {
+            const value = Number(view.getBigUint64(position, true));
+            position += 8;
+            return value;
+          };
+          if (size === 0xffffffff) size = next();
+          if (compressedSize === 0xffffffff) compressedSize = next();
+          if (localOffset === 0xffffffff) localOffset = next();
+        }
+        extra += 4 + length;
+      }
+
+      entries.push({
+        name,
+        size,
+        compressedSize,
+        method,
+        offset: localOffset,
+        encrypted: (flags & 0x1) !== 0,
+        isDirectory: name.endsWith('/'),
+        modified: new Date(
+          (date >> 9) + 1980,
+          ((date >> 5) & 0x0f) - 1,
+          date & 0x1f,
+          time >> 11,
+          (time >> 5) & 0x3f,
+          (time & 0x1f) * 2,
+        ),
+      });
+      offset = extraEnd + commentLength;
+    }
+
+    return entries;
+  }
+
+  static decodeName(bytes, flags) {
+    // บิต 11 = ชื่อเป็น UTF-8 ถ้าไม่ตั้งไว้ ลอง UTF-8 ก่อนแล้วจึงถอยไปใช้ windows-1252
+    if (flags & 0x800) {
+      return new TextDecoder('utf-8').decode(bytes);
+    }
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+      return new TextDecoder('windows-1252').decode(bytes);
+    }
+  }
+
+  static find(entries, name) {
+    return entries.find((entry) => entry.name === name) || null;
+  }
+
+  /**
+   * แตกไฟล์หนึ่งรายการเป็น Uint8Array
+   * maxBytes: ขนาดสูงสุดที่ยอมให้แตก (ค่าเริ่มต้นคือขนาดไฟล์สูงสุดในการตั้งค่า)
+   * ระหว่างคลายจะหยุดทันทีเมื่อข้อมูลเกิน min(ขนาดที่ zip ระบุ, maxBytes) เพราะขนาดใน zip ปลอมได้
+   */
+  static async extract(bytes, entry, maxBytes = pluginConfig.maxFileSize * 1024 * 1024) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (entry.offset + 30 > bytes.length || view.getUint32(entry.offset, true) !== 0x04034b50) {
+      throw new Error(`ข้อมูลของ ${entry.name} ในไฟล์ zip เสียหาย`);
+    }
+    if (entry.encrypted) {
+      throw new Error(`${entry.name} ในไฟล์ zip ถูกเข้ารหัสด้วยรหัสผ่าน`);
+    }
+
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+      return data;
+    }
+    if (entry.method !== 8) {
+      throw new Error(`ไม่รองรับวิธีบีบอัดแบบ ${entry.method} (${entry.name})`);
+    }
+    if (entry.size > maxBytes) {
+      throw new Error(`${entry.name} ในไฟล์ zip มีขนาดหลังแตกไฟล์เกินกำหนด`);
+    }
+    const output = await inflateBytes(data, 'deflate-raw', Math.min(entry.size, maxBytes));
+    if (output.length !== entry.size) {
+      throw new Error(`ขนาดของ ${entry.name} หลังแตกไฟล์ไม่ตรงกับที่ระบุใน zip`);
+    }
+    return output;
+  }
+
+  static async readText(bytes, entry) {
+    return new TextDecoder('utf-8').decode(await ZipReader.extract(bytes, entry));
+  }
+}
+
+/**
+ * ตัวช่วยอ่านเอกสาร XML ที่มี namespace (เทียบด้วย localName)
+ */
+function parseXmlDocument(text, name) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error(`ไฟล์ ${name} ภายในเอกสารเสียหาย`);
+  }
+  return doc;
+}
+
+function xmlChildren(node, localName = null) {
+  if (!node) return [];
+  return [...node.childNodes].filter((child) => child.nodeType === 1 && (!localName || child.localName === localName));
+}
+
+function xmlChild(node, localName) {
+  return xmlChildren(node, localName)[0] || null;
+}
+
+function xmlAttr(node, localName) {
+  for (const attribute of node?.attributes || []) {
+    if (attribute.localName === localName) return attribute.value;
+  }
+  return null;
+}
+
+function xmlDescendants(node, localName) {
+  return node ? [...node.getElementsByTagName('*')].filter((element) => element.localName === localName) : [];
+}
+
+// เอกสารที่เก็บอยู่ในไฟล์ zip (อ่านเป็นไบต์ ไม่ใช่ข้อความ)
+const CONTAINER_DOCUMENT_EXTENSIONS = ['docx', 'odt', 'xlsx', 'ods'];
+const SPREADSHEET_EXTENSIONS = ['xlsx', 'ods'];
+
+/**
+ * ตัวแปลงเอกสาร Word (DOCX) และ LibreOffice/OpenDocument (ODT) เป็น markdown
+ * คงหัวข้อ รายการ ตาราง ตัวหนา/เอียง ลิงก์ และเชิงอรรถ คืนค่า { markdown, properties }
+ */
+class OfficeDocumentConverter {
+  static async convert(bytes, format) {
+    const entries = ZipReader.readEntries(bytes);
+    const read = async (name) => {
+      const entry = ZipReader.find(entries, name);
+      return entry ? parseXmlDocument(await ZipReader.readText(bytes, entry), name) : null;
+    };
+
+    if (format === 'docx') {
+      return OfficeDocumentConverter.convertDocx(read);
+    }
+    if (format === 'odt') {
+      return OfficeDocumentConverter.convertOdt(read);
+    }
+    throw new Error(`ไม่รองรับเอกสารรูปแบบ ${format}`);
+  }
+
+  /**
+   * รวมบล็อกเป็น markdown: รายการที่อยู่ติดกันคั่นด้วยบรรทัดเดียว บล็อกอื่นคั่นด้วยบรรทัดว่าง
+   */
+  static joinBlocks(blocks) {
+    let output = '';
+    blocks.forEach((block, index) => {
+      if (!block.text) return;
+      if (output) output += block.list && blocks[index - 1]?.list ? '\n' : '\n\n';
+      output += block.text;
+    });
+    return output;
+  }
+
+  /**
+   * รวมช่วงข้อความที่รูปแบบเดียวกันแล้วใส่เครื่องหมายตัวหนา/ตัวเอียง
+   */
+  static renderSegments(segments) {
+    const merged = [];
+    for (const segment of segments) {
+      const last = merged[merged.length - 1];
+      if (last && last.marker === segment.marker) last.text += segment.text;
+      else merged.push({ ...segment });
+    }
+    return merged
+      .map((segment) => (segment.marker ? MarkupConverter.wrapInline(segment.text, segment.marker) : segment.text))
+      .join('')
+      .replace(/[ \t]+$/g, '')
+      .trim();
+  }
+
+  static formatMarker(bold, italic) {
+    return `${bold ? '**' : ''}${italic ? '*' : ''}`;
+  }
+
+  static renderTable(rows) {
+    const width = Math.max(0, ...rows.map((row) => row.length));
+    if (rows.length === 0 || width === 0) return '';
+    const normalized = rows.map((row) => Array.from({ length: width }, (_, i) => row[i] ?? ''));
+    return CsvParser.toMarkdownTable(normalized[0], normalized.slice(1), Infinity);
+  }
+
+  static compactProperties(properties) {
+    return Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== null && value !== ''));
+  }
+
+  // ---------- DOCX ----------
+
+  static async convertDocx(read) {
+    const packageRels = OfficeDocumentConverter.readRelationships(await read('_rels/.rels'));
+    const mainTarget =
+      Object.values(packageRels).find((rel) => rel.type.endsWith('/officeDocument'))?.target || 'word/document.xml';
+    const mainPath = mainTarget.replace(/^\//, '');
+    const folder = mainPath.includes('/') ? mainPath.slice(0, mainPath.lastIndexOf('/') + 1) : '';
+    const relsPath = `${folder}_rels/${mainPath.slice(folder.length)}.rels`;
+
+    const document = await read(mainPath);
+    if (!document) {
+      throw new Error('ไม่พบเนื้อหาหลักในไฟล์ DOCX');
+    }
+
+    const context = {
+      rels: OfficeDocumentConverter.readRelationships(await read(relsPath)),
+      headings: OfficeDocumentConverter.readDocxHeadingStyles(await read(`${folder}styles.xml`)),
+      numbering: OfficeDocumentConverter.readDocxNumbering(await read(`${folder}numbering.xml`)),
+      counters: {},
+    };
+
+    const body = xmlChild(document.documentElement, 'body');
+    const blocks = OfficeDocumentConverter.renderDocxBlocks(body, context);
+
+    const notes = [];
+    for (const [file, kind, prefix] of [
+      ['footnotes.xml', 'footnote', ''],
+      ['endnotes.xml', 'endnote', 'e'],
+    ]) {
+      const notesDocument = await read(`${folder}${file}`);
+      for (const note of xmlChildren(notesDocument?.documentElement, kind)) {
+        // separator / continuationSeparator คือเส้นคั่น ไม่ใช่เนื้อหา
+        if (xmlAttr(note, 'type')) continue;
+        const text = xmlChildren(note, 'p')
+          .map((paragraph) => OfficeDocumentConverter.renderDocxInline(paragraph, context))
+          .filter(Boolean)
+          .join(' ');
+        if (text) notes.push(`[^${prefix}${xmlAttr(note, 'id')}]: ${text}`);
+      }
+    }
+
+    let markdown = OfficeDocumentConverter.joinBlocks(blocks);
+    if (notes.length) markdown += `\n\n${notes.join('\n')}`;
+
+    const core = await read('docProps/core.xml');
+    const coreValue = (name) => xmlDescendants(core, name)[0]?.textContent.trim() || null;
+    const properties = OfficeDocumentConverter.compactProperties({
+      title: coreValue('title'),
+      author: coreValue('creator'),
+      lastModifiedBy: coreValue('lastModifiedBy'),
+      subject: coreValue('subject'),
+      description: coreValue('description'),
+      keywords: coreValue('keywords'),
+      created: coreValue('created'),
+      modified: coreValue('modified'),
+    });
+
+    return { markdown, properties };
+  }
+
+  static readRelationships(doc) {
+    const rels = {};
+    for (const rel of xmlChildren(doc?.documentElement, 'Relationship')) {
+      rels[xmlAttr(rel, 'Id')] = {
+        type: xmlAttr(rel, 'Type') || '',
+        target: xmlAttr(rel, 'Target') || '',
+        external: xmlAttr(rel, 'TargetMode') === 'External',
+      };
+    }
+    return rels;
+  }
+
+  /**
+   * styleId -> ระดับหัวข้อ (Title = 1, heading N = N หรือจาก outlineLvl ของสไตล์)
+   */
+  static readDocxHeadingStyles(doc) {
+    const headings = {};
+    for (const style of xmlChildren(doc?.documentElement, 'style')) {
+      const id = xmlAttr(style, 'styleId');
+      const name = (xmlAttr(xmlChild(style, 'name'), 'val') || '').toLowerCase();
+      const outline = xmlAttr(xmlChild(xmlChild(style, 'pPr'), 'outlineLvl'), 'val');
+      const match = /^heading (\d)$/.exec(name);
+      if (name === 'title') headings[id] = 1;
+      else if (match) headings[id] = Number(match[1]);
+      else if (outline !== null && Number(outline) < 9) headings[id] = Number(outline) + 1;
+    }
+    return headings;
+  }
+
+  /**
+   * numId -> ilvl -> รูปแบบเลข (bullet / decimal / ...)
+   */
+  static readDocxNumbering(doc) {
+    const abstracts = {};
+    for (const abstract of xmlChildren(doc?.documentElement, 'abstractNum')) {
+      const levels = {};
+      for (const level of xmlChildren(abstract, 'lvl')) {
+        levels[xmlAttr(level, 'ilvl')] = xmlAttr(xmlChild(level, 'numFmt'), 'val') || 'decimal';
+      }
+      abstracts[xmlAttr(abstract, 'abstractNumId')] = levels;
+    }
+    const numbering = {};
+    for (const num of xmlChildren(doc?.documentElement, 'num')) {
+      numbering[xmlAttr(num, 'numId')] = abstracts[xmlAttr(xmlChild(num, 'abstractNumId'), 'val')] || {};
+    }
+    return numbering;
+  }
+
+  static renderDocxBlocks(container, context) {
+    const blocks = [];
+    for (const element of xmlChildren(container)) {
+      switch (element.localName) {
+        case 'p':
+          blocks.push(OfficeDocumentConverter.renderDocxParagraph(element, context));
+          break;
+        case 'tbl':
+          blocks.push({ text: OfficeDocumentConverter.renderDocxTable(element, context) });
+          break;
+        case 'sdt':
+          blocks.push(...OfficeDocumentConverter.renderDocxBlocks(xmlChild(element, 'sdtContent'), context));
+          break;
+        case 'customXml':
+        case 'ins':
+          blocks.push(...OfficeDocumentConverter.renderDocxBlocks(element, context));
+          break;
+      }
+    }
+    return blocks;
+  }
+
+  static renderDocxParagraph(paragraph, context) {
+    const properties = xmlChild(paragraph, 'pPr');
+    const text = OfficeDocumentConverter.renderDocxInline(paragraph, context);
+    const styleId = xmlAttr(xmlChild(properties, 'pStyle'), 'val');
+    const outline = xmlAttr(xmlChild(properties, 'outlineLvl'), 'val');
+    const level = context.headings[styleId] || (outline !== null && Number(outline) < 9 ? Number(outline) + 1 : 0);
+
+    if (level && text) {
+      return { text: `${'#'.repeat(Math.min(level, 6))} ${text.replace(/\*\*/g, '')}` };
+    }
+
+    const numbering = xmlChild(properties, 'numPr');
+    const numId = xmlAttr(xmlChild(numbering, 'numId'), 'val');
+    if (numbering && numId && numId !== '0') {
+      const depth = Number(xmlAttr(xmlChild(numbering, 'ilvl'), 'val') || 0);
+      const format = context.numbering[numId]?.[depth] || 'bullet';
+      const key = `${numId}:${depth}`;
+      // รายการระดับที่ลึกกว่าเริ่มนับใหม่เมื่อกลับขึ้นมาที่ระดับบน
+      Object.keys(context.counters)
+        .filter((counter) => counter.startsWith(`${numId}:`) && Number(counter.split(':')[1]) > depth)
+        .forEach((counter) => delete context.counters[counter]);
+      context.counters[key] = (context.counters[key] || 0) + 1;
+      const marker = format === 'bullet' || format === 'none' ? '-' : `${context.counters[key]}.`;
+      return { list: true, text: `${'  '.repeat(depth)}${marker} ${text}` };
+    }
+
+    return { text };
+  }
+
+  static renderDocxInline(node, context) {
+    const segments = [];
+    const visit = (parent) => {
+      for (const element of xmlChildren(parent)) {
+        switch (element.localName) {
+          case 'r':
+            segments.push(OfficeDocumentConverter.renderDocxRun(element));
+            break;
+          case 'hyperlink': {
+            const text = OfficeDocumentConverter.renderDocxInline(element, context);
+            const href = context.rels[xmlAttr(element, 'id')]?.target || '';
+            segments.push({ text: href && text ? `[${text}](${href.replace(/\s/g, '%20')})` : text, marker: '' });
+            break;
+          }
+          case 'ins':
+          case 'smartTag':
+          case 'fldSimple':
+          case 'customXml':
+          case 'sdtContent':
+            visit(element);
+            break;
+          case 'sdt':
+            visit(xmlChild(element, 'sdtContent'));
+            break;
+        }
+      }
+    };
+    visit(node);
+    return OfficeDocumentConverter.renderSegments(segments);
+  }
+
+  static renderDocxRun(run) {
+    const properties = xmlChild(run, 'rPr');
+    const toggle = (name) => {
+      const element = xmlChild(properties, name);
+      return Boolean(element) && !['0', 'false', 'off'].includes(xmlAttr(element, 'val'));
+    };
+    let text = '';
+    for (const element of xmlChildren(run)) {
+      switch (element.localName) {
+        case 't':
+          text += element.textContent;
+          break;
+        case 'tab':
+          text += '\t';
+          break;
+        case 'br':
+        case 'cr':
+          text += xmlAttr(element, 'type') === 'page' ? '\n\n' : '  \n';
+          break;
+        case 'noBreakHyphen':
+          text += '-';
+          break;
+        case 'footnoteReference':
+          text += `[^${xmlAttr(element, 'id')}]`;
+          break;
+        case 'endnoteReference':
+          text += `[^e${xmlAttr(element, 'id')}]`;
+          break;
+        case 'drawing':
+        case 'pict': {
+          const description = xmlDescendants(element, 'docPr')[0];
+          const alt = xmlAttr(description, 'descr') || xmlAttr(description, 'title');
+          if (alt) text += `[ภาพ: ${alt}]`;
+          break;
+        }
+      }
+    }
+    return { text, marker: OfficeDocumentConverter.formatMarker(toggle('b'), toggle('i')) };
+  }
+
+  static renderDocxTable(table, context) {
+    const rows = xmlChildren(table, 'tr').map((row) =>
+      xmlChildren(row, 'tc').flatMap((cell) => {
+        const text = xmlDescendants(cell, 'p')
+          .map((paragraph) => OfficeDocumentConverter.renderDocxInline(paragraph, context))
+          .filter(Boolean)
+          .join('\n');
+        const span = Number(xmlAttr(xmlChild(xmlChild(cell, 'tcPr'), 'gridSpan'), 'val')) || 1;
+        return [text, ...Array(span - 1).fill('')];
+      }),
+    );
+    return OfficeDocumentConverter.renderTable(rows);
+  }
+
+  // ---------- ODT ----------
+
+  static async convertOdt(read) {
+    const content = await read('content.xml');
+    if (!content) {
+      throw new Error('ไม่พบเนื้อหาหลักในไฟล์ ODT');
+    }
+    const styles = await read('styles.xml');
+    const context = { textStyles: {}, listStyles: {}, notes: [] };
+    for (const doc of [styles, content]) {
+      OfficeDocumentConverter.readOdtStyles(doc, context);
+    }
+
+    const body = xmlChild(xmlChild(content.documentElement, 'body'), 'text');
+    const blocks = OfficeDocumentConverter.renderOdtBlocks(body, context, 0, null);
+    let markdown = OfficeDocumentConverter.joinBlocks(blocks);
+    if (context.notes.length) markdown += `\n\n${context.notes.join('\n')}`;
+
+    const meta = await read('meta.xml');
+    const metaValue = (name) => xmlDescendants(meta, name)[0]?.textContent.trim() || null;
+    const properties = OfficeDocumentConverter.compactProperties({
+      title: metaValue('title'),
+      author: metaValue('initial-creator') || metaValue('creator'),
+      lastModifiedBy: metaValue('creator'),
+      subject: metaValue('subject'),
+      description: metaValue('description'),
+      keywords: xmlDescendants(meta, 'keyword')
+        .map((keyword) => keyword.textContent.trim())
+        .join(', '),
+      created: metaValue('creation-date'),
+      modified: metaValue('date'),
+    });
+
+    return { markdown, properties };
+  }
+
+  static readOdtStyles(doc, context) {
+    for (const style of xmlDescendants(doc, 'style')) {
+      const properties = xmlChild(style, 'text-properties');
+      context.textStyles[xmlAttr(style, 'name')] = {
+        parent: xmlAttr(style, 'parent-style-name'),
+        bold: properties ? /^(bold|[6-9]00)$/.test(xmlAttr(properties, 'font-weight') || '') : null,
+        italic: properties ? /^(italic|oblique)$/.test(xmlAttr(properties, 'font-style') || '') : null,
+      };
+    }
+    for (const listStyle of xmlDescendants(doc, 'list-style')) {
+      const levels = {};
+      for (const level of xmlChildren(listStyle)) {
+        levels[xmlAttr(level, 'level')] = level.localName === 'list-level-style-number' ? 'number' : 'bullet';
+      }
+      context.listStyles[xmlAttr(listStyle, 'name')] = levels;
+    }
+  }
+
+  static odtStyleFlag(context, name, flag) {
+    for (let style = context.textStyles[name], depth = 0; style && depth < 10; depth++) {
+      if (style[flag] !== null) return style[flag];
+      style = context.textStyles[style.parent];
+    }
+    return false;
+  }
+
+  static renderOdtBlocks(container, context, listDepth, listStyle) {
+    const blocks = [];
+    for (const element of xmlChildren(container)) {
+      switch (element.localName) {
+        case 'h': {
+          const level = Math.min(6, Number(xmlAttr(element, 'outline-level')) || 1);
+          const text = OfficeDocumentConverter.renderOdtInline(element, context);
+          if (text) blocks.push({ text: `${'#'.repeat(level)} ${text.replace(/\*\*/g, '')}` });
+          break;
+        }
+        case 'p':
+          blocks.push({ text: OfficeDocumentConverter.renderOdtInline(element, context) });
+          break;
+        case 'list': {
+          const style = xmlAttr(element, 'style-name') || listStyle;
+          blocks.push(...OfficeDocumentConverter.renderOdtList(element, context, listDepth, style));
+          break;
+        }
+        case 'table':
+          blocks.push({ text: OfficeDocumentConverter.renderOdtTable(element, context) });
+          break;
+        case 'section':
+        case 'table-of-content':
+        case 'index-body':
+        case 'alphabetical-index':
+          blocks.push(...OfficeDocumentConverter.renderOdtBlocks(element, context, listDepth, listStyle));
+          break;
+      }
+    }
+    return blocks;
+  }
+
+  static renderOdtList(list, context, depth, styleName) {
+    const blocks = [];
+    const ordered = context.listStyles[styleName]?.[String(depth + 1)] === 'number';
+    let number = 0;
+    for (const item of xmlChildren(list)) {
+      if (item.localName !== 'list-item' && item.localName !== 'list-header') continue;
+      number++;
+      let marked = false;
+      for (const child of xmlChildren(item)) {
+        if (child.localName === 'list') {
+          const nestedStyle = xmlAttr(child, 'style-name') || styleName;
+          blocks.push(...OfficeDocumentConverter.renderOdtList(child, context, depth + 1, nestedStyle));
+          continue;
+        }
+        const text = OfficeDocumentConverter.renderOdtInline(child, context);
+        if (!text) continue;
+        // ย่อหน้าแรกของรายการได้เครื่องหมาย ย่อหน้าถัดไปเป็นส่วนต่อที่ย่อหน้าเข้าไป
+        const marker = ordered ? `${number}.` : '-';
+        const prefix = marked ? `${'  '.repeat(depth)}  ` : `${'  '.repeat(depth)}${marker} `;
+        blocks.push({ list: true, text: `${prefix}${text}` });
+        marked = true;
+      }
+    }
+    return blocks;
+  }
+
+  static renderOdtInline(node, context) {
+    const segments = [];
+    const visit = (parent, bold, italic) => {
+      for (const child of parent.childNodes) {
+        if (child.nodeType === 3) {
+          const marker = OfficeDocumentConverter.formatMarker(bold, italic);
+          segments.push({ text: child.textContent.replace(/\s+/g, ' '), marker });
+          continue;
+        }
+        if (child.nodeType !== 1) continue;
+        switch (child.localName) {
+          case 's':
+            segments.push({ text: ' '.repeat(Number(xmlAttr(child, 'c')) || 1), marker: '' });
+            break;
+          case 'tab':
+            segments.push({ text: '\t', marker: '' });
+            break;
+          case 'line-break':
+            segments.push({ text: '  \n', marker: '' });
+            break;
+          case 'span': {
+            const style = xmlAttr(child, 'style-name');
+            visit(
+              child,
+              bold || OfficeDocumentConverter.odtStyleFlag(context, style, 'bold'),
+              italic || OfficeDocumentConverter.odtStyleFlag(context, style, 'italic'),
+            );
+            break;
+          }
+          case 'a': {
+            const text = OfficeDocumentConverter.renderOdtInline(child, context);
+            const href = xmlAttr(child, 'href');
+            segments.push({ text: href && text ? `[${text}](${href.replace(/\s/g, '%20')})` : text, marker: '' });
+            break;
+          }
+          case 'note': {
+            const kind = xmlAttr(child, 'note-class') === 'endnote' ? 'e' : '';
+            const id = `${kind}${xmlChild(child, 'note-citation')?.textContent.trim() || context.notes.length + 1}`;
+            const text = xmlChildren(xmlChild(child, 'note-body'))
+              .map((paragraph) => OfficeDocumentConverter.renderOdtInline(paragraph, context))
+              .filter(Boolean)
+              .join(' ');
+            context.notes.push(`[^${id}]: ${text}`);
+            segments.push({ text: `[^${id}]`, marker: '' });
+            break;
+          }
+          case 'frame':
+          case 'annotation':
+          case 'bookmark':
+          case 'soft-page-break':
+          case 'sequence-decls':
+            break;
+          default:
+            visit(child, bold, italic);
+        }
+      }
+    };
+    const style = xmlAttr(node, 'style-name');
+    visit(
+      node,
+      OfficeDocumentConverter.odtStyleFlag(context, style, 'bold'),
+      OfficeDocumentConverter.odtStyleFlag(context, style, 'italic'),
+    );
+    return OfficeDocumentConverter.renderSegments(segments);
+  }
+
+  static renderOdtTable(table, context) {
+    const rows = OfficeDocumentConverter.odtTableRows(table).map((row) =>
+      xmlChildren(row).flatMap((cell) => {
+        if (cell.localName !== 'table-cell' && cell.localName !== 'covered-table-cell') return [];
+        const text = xmlChildren(cell)
+          .map((paragraph) => OfficeDocumentConverter.renderOdtInline(paragraph, context))
+          .filter(Boolean)
+          .join('\n');
+        const repeat = Math.min(Number(xmlAttr(cell, 'number-columns-repeated')) || 1, 64);
+        return Array(repeat).fill(cell.localName === 'covered-table-cell' ? '' : text);
+      }),
+    );
+    // ตัดคอลัมน์ว่างท้ายแถวที่ LibreOffice เติมให้ครบความกว้างตาราง
+    const width = Math.max(0, ...rows.map((row) => row.reduce((last, cell, i) => (cell ? i + 1 : last), 0)));
+    return OfficeDocumentConverter.renderTable(rows.map((row) => row.slice(0, width)));
+  }
+
+  /**
+   * แถวของตาราง ODT (อยู่ตรงใต้ table หรือในกลุ่ม header-rows / rows / row-group)
+   */
+  static odtTableRows(table) {
+    return xmlChildren(table).flatMap((child) => {
+      if (child.localName === 'table-row') return [child];
+      if (['table-header-rows', 'table-rows', 'table-row-group'].includes(child.localName)) {
+        return OfficeDocumentConverter.odtTableRows(child);
+      }
+      return [];
+    });
+  }
+}
+
+// เพดานขนาดชีตที่แปลง ป้องกันแถว/คอลัมน์ว่างซ้ำจำนวนมหาศาลในไฟล์ ODS
+const SPREADSHEET_MAX_ROWS = 100000;
+const SPREADSHEET_MAX_COLUMNS = 1024;
+// เพดานจำนวนเซลล์ต่อชีต (ทั้งเซลล์ที่อ่าน เซลล์ที่เติมจากการผสาน และตารางผลลัพธ์)
+const SPREADSHEET_MAX_CELLS = 1000000;
+// รหัสรูปแบบตัวเลขในตัวของ Excel ที่เป็นวันที่/เวลา
+const XLSX_DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/**
+ * ตัวแปลงสเปรดชีต XLSX / ODS เป็นตารางแยกตามชีต (ผลลัพธ์รูปแบบเดียวกับ CSV)
+ * options.sheets: ชื่อหรือลำดับชีต (เริ่มที่ 1) เป็นค่าเดียวหรืออาร์เรย์
+ * options.range: ช่วงเซลล์ เช่น "A1:D20" หรือ "ชีต1!A1:D20"
+ */
+class SpreadsheetConverter {
+  static async convert(bytes, format, options = {}) {
+    const entries = ZipReader.readEntries(bytes);
+    const read = async (name) => {
+      const entry = ZipReader.find(entries, name);
+      return entry ? parseXmlDocument(await ZipReader.readText(bytes, entry), name) : null;
+    };
+
+    let sheets;
+    if (format === 'xlsx') {
+      sheets = await SpreadsheetConverter.readXlsx(read, options);
+    } else if (format === 'ods') {
+      sheets = await SpreadsheetConverter.readOds(read, options);
+    } else {
+      throw new Error(`ไม่รองรับสเปรดชีตรูปแบบ ${format}`);
+    }
+
+    if (sheets.length === 0) {
+      throw new Error('ไม่พบชีตที่เลือกในไฟล์สเปรดชีต');
+    }
+
+    return sheets.map((sheet) => ({
+      name: sheet.name,
+      hidden: sheet.hidden,
+      range: sheet.range,
+      truncated: sheet.truncated,
+      ...CsvParser.buildTable(sheet.rows, options),
+    }));
+  }
+
+  /**
+   * เนื้อหา markdown ของชีตทั้งหมด (หัวข้อชีต + ตาราง)
+   */
+  static toMarkdown(tables, options = {}) {
+    return tables
+      .map((table) => {
+        const range = table.range ? ` (${table.range})` : '';
+        const hidden = table.hidden ? ' _(ชีตที่ซ่อนไว้)_' : '';
+        const body = table.header.length ? CsvParser.toMarkdown(table, options) : '_(ชีตว่าง)_';
+        const note = table.truncated
+          ? `\n\n_(แสดงไม่เกิน ${SPREADSHEET_MAX_ROWS} แถว หรือ ${SPREADSHEET_MAX_CELLS} เซลล์)_`
+          : '';
+        return `## ชีต: ${table.name}${range}${hidden}\n\n${body}${note}`;
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * แปลงอ้างอิงเซลล์ "B3" เป็น { row: 2, column: 1 } (เริ่มที่ 0)
+   */
+  static parseCellReference(reference) {
+    const match = /^\$?([A-Z]{1,3})\$?(\d+)$/i.exec(reference.trim());
+    if (!match) return null;
+    let column = 0;
+    for (const char of match[1].toUpperCase()) {
+      column = column * 26 + (char.charCodeAt(0) - 64);
+    }
+    return { row: Number(match[2]) - 1, column: column - 1 };
+  }
+
+  static columnName(index) {
+    let name = '';
+    for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+      name = String.fromCharCode(65 + ((value - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  /**
+   * แปลงช่วง "A1:D20" (หรือเซลล์เดียว) เป็น { top, left, bottom, right }
+   */
+  static parseRange(range) {
+    const [start, end = start] = range.split(':');
+    const from = SpreadsheetConverter.parseCellReference(start);
+    const to = SpreadsheetConverter.parseCellReference(end);
+    if (!from || !to) {
+      throw new Error(`ช่วงเซลล์ไม่ถูกต้อง: ${range}`);
+    }
+    return {
+      top: Math.min(from.row, to.row),
+      left: Math.min(from.column, to.column),
+      bottom: Math.max(from.row, to.row),
+      right: Math.max(from.column, to.column),
+    };
+  }
+
+  /**
+   * เลือกชีตตาม options.sheets / options.range ("ชีต!A1:B2" เลือกชีตนั้นด้วย)
+   */
+  static selectSheets(sheets, options = {}) {
+    let rangeSheet = null;
+    let range = options.range || null;
+    if (range && range.includes('!')) {
+      const separator = range.lastIndexOf('!');
+      rangeSheet = range.slice(0, separator).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+      range = range.slice(separator + 1);
+    }
+
+    const wanted = options.sheets === undefined || options.sheets === null ? [] : [].concat(options.sheets);
+    if (rangeSheet && wanted.length === 0) wanted.push(rangeSheet);
+
+    const selected =
+      wanted.length === 0
+        ? sheets
+        : sheets.filter((sheet, index) =>
+            wanted.some((item) => (typeof item === 'number' ? item === index + 1 : String(item) === sheet.name)),
+          );
+
+    return selected.map((sheet) => ({
+      ...sheet,
+      range: range && (!rangeSheet || rangeSheet === sheet.name) ? SpreadsheetConverter.parseRange(range) : null,
+      rangeText: range && (!rangeSheet || rangeSheet === sheet.name) ? range.toUpperCase() : null,
+    }));
+  }
+
+  /**
+   * สร้างแถวจากเซลล์ (Map "row:column" -> ค่า) ตามช่วงที่เลือก แล้วตัดแถว/คอลัมน์ว่างท้ายตาราง
+   */
+  static buildRows(cells, bounds, range) {
+    const top = range ? range.top : 0;
+    const left = range ? range.left : 0;
+    const bottom = Math.min(range ? range.bottom : bounds.rows - 1, top + SPREADSHEET_MAX_ROWS - 1);
+    const right = Math.min(range ? range.right : bounds.columns - 1, left + SPREADSHEET_MAX_COLUMNS - 1);
+
+    // ไล่เฉพาะเซลล์ที่มีค่า แทนการสร้างตารางเต็มขอบเขตชีตแล้วค่อยตัดแถว/คอลัมน์ว่างทิ้ง
+    const populated = new Map();
+    let lastRow = -1;
+    let width = 0;
+    for (const [key, value] of cells) {
+      if (value === '') continue;
+      const [row, column] = key.split(':').map(Number);
+      if (row < top || row > bottom || column < left || column > right) continue;
+      if (!populated.has(row)) populated.set(row, []);
+      populated.get(row).push([column - left, value]);
+      lastRow = Math.max(lastRow, row);
+      width = Math.max(width, column - left + 1);
+    }
+
+    // เซลล์ไม่กี่เซลล์ที่อยู่ห่างกันมากก็ทำให้ตารางผลลัพธ์ใหญ่ได้ จึงจำกัดจำนวนแถวตามความกว้างด้วย
+    const last = width > 0 ? Math.min(lastRow, top + Math.floor(SPREADSHEET_MAX_CELLS / width) - 1) : -1;
+    const rows = [];
+    for (let row = top; row <= last; row++) {
+      const values = new Array(width).fill('');
+      for (const [column, value] of populated.get(row) || []) values[column] = value;
+      rows.push(values);
+    }
+
+    return {
+      rows,
+      truncated: Boolean(bounds.truncated) || lastRow > last || (range ? range.bottom : bounds.rows - 1) > bottom,
+    };
+  }
+
+  /**
+   * เติมค่าของเซลล์มุมซ้ายบนลงทุกเซลล์ในช่วงที่ผสาน (ขยายขอบเขตชีตตามไปด้วย)
+   */
+  static fillMerged(cells, bounds, merges) {
+    for (const merge of merges) {
+      const value = cells.get(`${merge.top}:${merge.left}`);
+      if (value === undefined || value === '') continue;
+      const bottom = Math.min(merge.bottom, merge.top + SPREADSHEET_MAX_ROWS);
+      const right = Math.min(merge.right, merge.left + SPREADSHEET_MAX_COLUMNS);
+      bounds.rows = Math.max(bounds.rows, bottom + 1);
+      bounds.columns = Math.max(bounds.columns, right + 1);
+      for (let row = merge.top; row <= bottom; row++) {
+        for (let column = merge.left; column <= right; column++) {
+          const key = `${row}:${column}`;
+          if (cells.size >= SPREADSHEET_MAX_CELLS && !cells.has(key)) {
+            bounds.truncated = true;
+            return;
+          }
+          cells.set(key, value);
+        }
+      }
+    }
+  }
+
+  static formatNumber(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return String(value);
+    // ตัดเศษทศนิยมจากการเก็บแบบ floating point เช่น 0.30000000000000004
+    return String(Number(number.toPrecision(15)));
+  }
+
+  /**
+   * แปลงเลขลำดับวันที่ของ Excel เป็น "YYYY-MM-DD" หรือ "YYYY-MM-DD HH:MM:SS"
+   */
+  static formatExcelDate(serial, date1904) {
+    const days = Number(serial);
+    if (!Number.isFinite(days)) return String(serial);
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const date = new Date(epoch + Math.round(days * 86400000));
+    const iso = date.toISOString();
+    if (days < 1 && days >= 0 && !date1904) return iso.slice(11, 19);
+    return Number.isInteger(days) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+  }
+
+  // ---------- XLSX ----------
+
+  static async readXlsx(read, options) {
+    const workbook = await read('xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('ไม่พบ workbook ในไฟล์ XLSX');
+    }
+    const rels = OfficeDocumentConverter.readRelationships(await read('xl/_rels/workbook.xml.rels'));
+    const sharedStrings = xmlChildren((await read('xl/sharedStrings.xml'))?.documentElement, 'si').map((item) =>
+      // ตัวอักษรอ่าน (rPh) ของภาษาญี่ปุ่นไม่ใช่ส่วนของข้อความ
+      xmlDescendants(item, 't')
+        .filter((text) => text.parentNode.localName !== 'rPh')
+        .map((text) => text.textContent)
+        .join(''),
+    );
+    const dateStyles = SpreadsheetConverter.readXlsxDateStyles(await read('xl/styles.xml'));
+    const date1904 = ['1', 'true'].includes(xmlAttr(xmlDescendants(workbook, 'workbookPr')[0], 'date1904'));
+
+    const sheets = xmlDescendants(workbook, 'sheet').map((sheet) => {
+      const target = rels[xmlAttr(sheet, 'id')]?.target || '';
+      return {
+        name: xmlAttr(sheet, 'name'),
+        hidden: ['hidden', 'veryHidden'].includes(xmlAttr(sheet, 'state')),
+        path: target.startsWith('/') ? target.slice(1) : `xl/${target}`,
+      };
+    });
+
+    const result = [];
+    for (const sheet of SpreadsheetConverter.selectSheets(sheets, options)) {
+      const document = await read(sheet.path);
+      if (!document) continue;
+      const { cells, bounds, merges } = SpreadsheetConverter.readXlsxSheet(document, {
+        sharedStrings,
+        dateStyles,
+        date1904,
+      });
+      SpreadsheetConverter.fillMerged(cells, bounds, merges);
+      const { rows, truncated } = SpreadsheetConverter.buildRows(cells, bounds, sheet.range);
+      result.push({ name: sheet.name, hidden: sheet.hidden, range: sheet.rangeText, rows, truncated });
+    }
+    return result;
+  }
+
+  /**
+   * ลำดับ xf ใน cellXfs ที่ใช้รูปแบบวันที่/เวลา
+   */
+  static readXlsxDateStyles(doc) {
+    const customDates = new Set();
+    for (const format of xmlDescendants(doc, 'numFmt')) {
+      // ตัดข้อความในเครื่องหมายคำพูด/วงเล็บเหลี่ยม ([Red], [$-409]) ก่อนหาตัวอักษรวันที่
+      const code = (xmlAttr(format, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+      if (/[dmyhs]/i.test(code)) customDates.add(Number(xmlAttr(format, 'numFmtId')));
+    }
+    const cellXfs = xmlDescendants(doc, 'cellXfs')[0];
+    return xmlChildren(cellXfs, 'xf').map((xf) => {
+      const id = Number(xmlAttr(xf, 'numFmtId') || 0);
+      return XLSX_DATE_FORMAT_IDS.has(id) || customDates.has(id);
+    });
+  }
+
+  static readXlsxSheet(document, context) {
+    const cells = new Map();
+    const bounds = { rows: 0, columns: 0 };
+    let rowIndex = -1;
+
+    for (const row of xmlDescendants(document, 'row')) {
+      rowIndex = xmlAttr(row, 'r') ? Number(xmlAttr(row, 'r')) - 1 : rowIndex + 1;
+      let columnIndex = -1;
+      for (const cell of xmlChildren(row, 'c')) {
+        const reference = xmlAttr(cell, 'r');
+        const parsed = reference ? SpreadsheetConverter.parseCellReference(reference) : null;
+        columnIndex = parsed ? parsed.column : columnIndex + 1;
+        const value = SpreadsheetConverter.readXlsxCell(cell, context);
+        if (value === '') continue;
+        if (cells.size >= SPREADSHEET_MAX_CELLS) {
+          bounds.truncated = true;
+          return { cells, bounds, merges: [] };
+        }
+        cells.set(`${rowIndex}:${columnIndex}`, value);
+        bounds.rows = Math.max(bounds.rows, rowIndex + 1);
+        bounds.columns = Math.max(bounds.columns, columnIndex + 1);
+      }
+    }
+
+    const merges = xmlDescendants(document, 'mergeCell').map((merge) =>
+      SpreadsheetConverter.parseRange(xmlAttr(merge, 'ref')),
+    );
+    return { cells, bounds, merges };
+  }
+
+  /**
+   * ค่าของเซลล์ตามชนิด (t) โดยสูตรใช้ค่าที่คำนวณไว้แล้วใน <v>
+   */
+  static readXlsxCell(cell, { sharedStrings, dateStyles, date1904 }) {
+    const type = xmlAttr(cell, 't') || 'n';
+    const raw = xmlChild(cell, 'v')?.textContent ?? '';
+    switch (type) {
+      case 's':
+        return sharedStrings[Number(raw)] ?? '';
+      case 'inlineStr':
+        return xmlDescendants(xmlChild(cell, 'is'), 't')
+          .map((text) => text.textContent)
+          .join('');
+      case 'b':
+        return raw === '' ? '' : raw === '1' ? 'TRUE' : 'FALSE';
+      case 'str':
+      case 'e':
+      case 'd':
+        return raw;
+      default:
+        if (raw === '') return '';
+        return dateStyles[Number(xmlAttr(cell, 's') || 0)]
+          ? SpreadsheetConverter.formatExcelDate(raw, date1904)
+          : SpreadsheetConverter.formatNumber(raw);
+    }
+  }
+
+  // ---------- ODS ----------
+
+  static async readOds(read, options) {
+    const content = await read('content.xml');
+    if (!content) {
+      throw new Error('ไม่พบเนื้อหาหลักในไฟล์ ODS');
+    }
+    const spreadsheet = xmlChild(xmlChild(content.documentElement, 'body'), 'spreadsheet');
+    const tables = xmlChildren(spreadsheet, 'table');
+    const sheets = tables.map((table, index) => ({
+      name: xmlAttr(table, 'name') || `Sheet${index + 1}`,
+      hidden: false,
+      table,
+    }));
+
+    return SpreadsheetConverter.selectSheets(sheets, options).map((sheet) => {
+      const { cells, bounds, merges } = SpreadsheetConverter.readOdsTable(sheet.table);
+      SpreadsheetConverter.fillMerged(cells, bounds, merges);
+      const { rows, truncated } = SpreadsheetConverter.buildRows(cells, bounds, sheet.range);
+      return { name: sheet.name, hidden: sheet.hidden, range: sheet.rangeText, rows, truncated };
+    });
+  }
+
+  static readOdsTable(table) {
+    const cells = new Map();
+    const bounds = { rows: 0, columns: 0 };
+    const merges = [];
+    let rowIndex = 0;
+
+    for (const row of OfficeDocumentConverter.odtTableRows(table)) {
+      const rowRepeat = Number(xmlAttr(row, 'number-rows-repeated')) || 1;
+      const values = [];
+      let columnIndex = 0;
+      for (const cell of xmlChildren(row)) {
+        if (cell.localName !== 'table-cell' && cell.localName !== 'covered-table-cell') continue;
+        const repeat = Number(xmlAttr(cell, 'number-columns-repeated')) || 1;
+        const value = cell.localName === 'covered-table-cell' ? '' : SpreadsheetConverter.readOdsCell(cell);
+        const rowsSpanned = Number(xmlAttr(cell, 'number-rows-spanned')) || 1;
+        const columnsSpanned = Number(xmlAttr(cell, 'number-columns-spanned')) || 1;
+        if (rowsSpanned > 1 || columnsSpanned > 1) {
+          merges.push({
+            top: rowIndex,
+            left: columnIndex,
+            bottom: rowIndex + rowsSpanned - 1,
+            right: columnIndex + columnsSpanned - 1,
+          });
+        }
+        // เซลล์ว่างที่ซ้ำกันมาก ๆ (เติมจนสุดขอบชีต) ไม่ต้องสร้างจริง
+        if (value !== '') {
+          for (let i = 0; i < repeat && columnIndex + i < SPREADSHEET_MAX_COLUMNS; i++) {
+            values.push([columnIndex + i, value]);
+          }
+        }
+        columnIndex += repeat;
+      }
+
+      if (values.length > 0) {
+        for (let i = 0; i < rowRepeat && rowIndex + i <= SPREADSHEET_MAX_ROWS; i++) {
+          if (cells.size + values.length > SPREADSHEET_MAX_CELLS) {
+            bounds.truncated = true;
+            return { cells, bounds, merges };
+          }
+          for (const [column, value] of values) {
+            cells.set(`${rowIndex + i}:${column}`, value);
+            bounds.columns = Math.max(bounds.columns, column + 1);
+          }
+          bounds.rows = Math.max(bounds.rows, rowIndex + i + 1);
+        }
+      }
+      rowIndex += rowRepeat;
+    }
+    return { cells, bounds, merges };
+  }
+
+  /**
+   * ค่าของเซลล์ ODS ตาม office:value-type (สูตรใช้ค่าที่คำนวณไว้แล้วใน office:value)
+   */
+  static readOdsCell(cell) {
+    const text = () =>
+      xmlChildren(cell, 'p')
+        .map((paragraph) => paragraph.textContent)
+        .join('\n');
+    switch (xmlAttr(cell, 'value-type')) {
+      case 'float':
+      case 'percentage':
+      case 'currency':
+        return SpreadsheetConverter.formatNumber(xmlAttr(cell, 'value'));
+      case 'date': {
+        const value = xmlAttr(cell, 'date-value') || '';
+        return /T00:00:00(\.0+)?$/.test(value) ? value.slice(0, 10) : value.replace('T', ' ');
+      }
+      case 'time': {
+        const match = /^PT(\d+)H(\d+)M(\d+)/.exec(xmlAttr(cell, 'time-value') || '');
+        return match ? match.slice(1).map((part) => part.padStart(2, '0')).join(':') : text();
+      }
+      case 'boolean':
+        return xmlAttr(cell, 'boolean-value') === 'true' ? 'TRUE' : 'FALSE';
+      default:
+        return text();
+    }
+  }
+}
+
+// ลำดับตัวแบ่งจากหยาบไปละเอียด ใช้เมื่อบล็อกเดียวใหญ่กว่างบโทเคน
+const CHUNK_SPLIT_LEVELS = [
+  { name: 'paragraph', pattern: /\n[ \t]*\n+/g },
+  { name: 'line', pattern: /\n/g },
+  { name: 'sentence', pattern: /(?<=[.!?。！？…])\s+/g },
+  { name: 'word', pattern: /\s+/g },
+];
+
+// ประเภทไฟล์ที่แบ่งตามบรรทัดว่างแบบโค้ด
+const CODE_DOCUMENT_TYPES = ['js', 'css', 'json', 'xml', 'html', 'yaml', 'yml', 'ini', 'conf', 'config'];
+
+/**
+ * ตัวแบ่งเอกสารยาวเป็นส่วน ๆ ตามโครงสร้าง (หัวข้อ markdown, ย่อหน้า, แถว CSV, บล็อกโค้ด) ไม่ให้เกินงบโทเคน
+ */
+class DocumentChunker {
+  /**
+   * งบโทเคนต่อส่วน: options.maxTokens หรือเปอร์เซ็นต์ของ context ของโมเดลปัจจุบัน
+   */
+  static getTokenBudget(options = {}) {
+    if (options.maxTokens > 0) {
+      return Math.floor(options.maxTokens);
+    }
+    const maxContext = Number(getContext().maxContext) || 4096;
+    return Math.max(256, Math.floor((maxContext * pluginConfig.chunkBudgetPercent) / 100));
+  }
+
+  /**
+   * ผลรวมสะสมของจำนวนโทเคนโดยประมาณ (ASCII ~4 ตัวอักษร/โทเคน, อักษรอื่น ~1.5 ตัวอักษร/โทเคน)
+   */
+  static buildTokenPrefix(text) {
+    const prefix = new Float64Array(text.length + 1);
+    for (let i = 0; i < text.length; i++) {
+      prefix[i + 1] = prefix[i] + (text.charCodeAt(i) < 0x80 ? 0.25 : 0.67);
+    }
+    return prefix;
+  }
+
+  /**
+   * ปรับค่าประมาณให้ตรงกับ tokenizer ของ SillyTavern โดยนับจริงจากตัวอย่างต้นเอกสาร
+   */
+  static async calibrate(text, prefix) {
+    const counter = getContext().getTokenCountAsync;
+    const sampleLength = Math.min(text.length, 20000);
+    if (typeof counter !== 'function' || sampleLength === 0 || prefix[sampleLength] === 0) {
+      return 1;
+    }
+    try {
+      const actual = await counter(text.slice(0, sampleLength));
+      return actual > 0 ? actual / prefix[sampleLength] : 1;
+    } catch (error) {
+      return 1;
+    }
+  }
+
+  /**
+   * แบ่งเอกสารเป็นส่วน ๆ
+   * คืนค่า [{ index, start, end, tokens, heading, text }] โดย start/end เป็นตำแหน่งตัวอักษรใน text ต้นฉบับ
+   */
+  static async chunk(text, documentType = 'txt', options = {}) {
+    const source = String(text || '');
+    const budget = DocumentChunker.getTokenBudget(options);
+    const prefix = DocumentChunker.buildTokenPrefix(source);
+    const factor = await DocumentChunker.calibrate(source, prefix);
+    const tokensOf = (start, end) => Math.ceil((prefix[end] - prefix[start]) * factor);
+
+    if (tokensOf(0, source.length) <= budget) {
+      const tokens = tokensOf(0, source.length);
+      return [{ index: 0, start: 0, end: source.length, tokens, heading: null, text: source }];
+    }
+
+    if (documentType === 'csv' || documentType === 'tsv') {
+      return DocumentChunker.chunkTable(source, documentType, budget, tokensOf);
+    }
+    // 'table' คือเนื้อหา markdown ของ CSV / TSV (CsvParser.toMarkdown) แบ่งตามแถวของตารางข้อมูลแบบเดียวกัน
+    const table = documentType === 'table' ? DocumentChunker.findMarkdownTable(source) : null;
+    if (table) {
+      return DocumentChunker.packRows(source, table.rows, table.dataStart, table.header, budget, tokensOf);
+    }
+
+    const blocks = DocumentChunker.splitBlocks(source, documentType === 'table' ? 'md' : documentType);
+    const ranges = [];
+    let current = null;
+
+    const flush = () => {
+      if (current) ranges.push(current);
+      current = null;
+    };
+
+    for (const block of blocks) {
+      const blockTokens = tokensOf(block.start, block.end);
+      if (blockTokens > budget) {
+        flush();
+        for (const piece of DocumentChunker.splitOversized(source, block.start, block.end, budget, tokensOf, 0)) {
+          ranges.push({ ...piece, heading: block.heading });
+        }
+        continue;
+      }
+
+      const currentTokens = current ? tokensOf(current.start, current.end) : 0;
+      // เริ่มส่วนใหม่ที่หัวข้อเมื่อส่วนปัจจุบันยาวเกินครึ่งงบแล้ว เพื่อไม่ให้หัวข้อไปอยู่ท้ายส่วน
+      const preferBreak = block.isHeading && currentTokens > budget / 2;
+      if (current && (currentTokens + blockTokens > budget || preferBreak)) {
+        flush();
+      }
+      if (!current) {
+        current = { start: block.start, end: block.end, heading: block.heading };
+      } else {
+        current.end = block.end;
+      }
+    }
+    flush();
+
+    return ranges.map((range, index) => ({
+      index,
+      start: range.start,
+      end: range.end,
+      tokens: tokensOf(range.start, range.end),
+      heading: range.heading || null,
+      text: source.slice(range.start, range.end).trim(),
+    }));
+  }
+
+  /**
+   * แบ่งข้อความเป็นบล็อกตามโครงสร้างของประเภทเอกสาร (ช่วงต่อเนื่องครอบคลุมทั้งข้อความ)
+   */
+  static splitBlocks(text, documentType) {
+    const boundaries = new Set([0, text.length]);
+    const atomic = [];
+
+    if (documentType === 'md' || documentType === 'markdown') {
+      // บล็อกโค้ดแบบ ``` ต้องไม่ถูกตัดกลาง
+      for (const match of text.matchAll(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm)) {
+        atomic.push([match.index, match.index + match[0].length]);
+      }
+    }
+
+    const insideAtomic = (position) => atomic.some(([start, end]) => position > start && position < end);
+    const isMarkdown = documentType === 'md' || documentType === 'markdown';
+
+    for (const match of text.matchAll(/\n[ \t]*\n+/g)) {
+      const position = match.index + match[0].length;
+      if (!insideAtomic(position)) boundaries.add(position);
+    }
+
+    if (isMarkdown) {
+      for (const match of text.matchAll(/^#{1,6}[ \t]/gm)) {
+        if (!insideAtomic(match.index)) boundaries.add(match.index);
+      }
+    } else if (!CODE_DOCUMENT_TYPES.includes(documentType) && !/\n[ \t]*\n/.test(text)) {
+      // ข้อความที่ไม่มีบรรทัดว่างเลย (เช่น log) แบ่งตามบรรทัด
+      for (const match of text.matchAll(/\n/g)) {
+        boundaries.add(match.index + 1);
+      }
+    }
+
+    const sorted = [...boundaries].sort((a, b) => a - b);
+    const blocks = [];
+    let heading = null;
+    for (let i = 0; i < sorted.length - 1; i++) {
+      const start = sorted[i];
+      const end = sorted[i + 1];
+      if (start === end) continue;
+      const headingMatch = isMarkdown ? /^#{1,6}[ \t]+([^\n]*)/.exec(text.slice(start, end)) : null;
+      if (headingMatch) heading = headingMatch[1].trim();
+      blocks.push({ start, end, heading, isHeading: Boolean(headingMatch) });
+    }
+    return blocks;
+  }
+
+  /**
+   * แบ่งช่วงที่ใหญ่เกินงบด้วยตัวแบ่งที่ละเอียดขึ้นเรื่อย ๆ จนถึงการตัดตามจำนวนตัวอักษร
+   */
+  static splitOversized(text, start, end, budget, tokensOf, level) {
+    if (level >= CHUNK_SPLIT_LEVELS.length) {
+      const pieces = [];
+      let pieceStart = start;
+      while (pieceStart < end) {
+        let pieceEnd = pieceStart + 1;
+        // ขยายทีละช่วงแบบค้นหาทวิภาค เพื่อให้ได้ส่วนที่ยาวที่สุดที่ไม่เกินงบ
+        let low = pieceStart + 1;
+        let high = end;
+        while (low <= high) {
+          const middle = Math.floor((low + high) / 2);
+          if (tokensOf(pieceStart, middle) <= budget) {
+            pieceEnd = middle;
+            low = middle + 1;
+          } else {
+            high = middle - 1;
+          }
+        }
+        pieces.push({ start: pieceStart, end: pieceEnd });
+        pieceStart = pieceEnd;
+      }
+      return pieces;
+    }
+
+    const pattern = new RegExp(CHUNK_SPLIT_LEVELS[level].pattern.source, 'g');
+    const segment = text.slice(start, end);
+    const cuts = [start];
+    for (const match of segment.matchAll(pattern)) {
+      const position = start + match.index + match[0].length;
+      if (position > start && position < end) cuts.push(position);
+    }
+    cuts.push(end);
+
+    const pieces = [];
+    let current = null;
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const partStart = cuts[i];
+      const partEnd = cuts[i + 1];
+      if (tokensOf(partStart, partEnd) > budget) {
+        if (current) pieces.push(current);
+        current = null;
+        pieces.push(...DocumentChunker.splitOversized(text, partStart, partEnd, budget, tokensOf, level + 1));
+      } else if (current && tokensOf(current.start, partEnd) <= budget) {
+        current.end = partEnd;
+      } else {
+        if (current) pieces.push(current);
+        current = { start: partStart, end: partEnd };
+      }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+  }
+
+  /**
+   * แบ่งตาราง CSV / TSV ตามแถว (ไม่ตัดกลางฟิลด์ที่มีการขึ้นบรรทัดใหม่) โดยทุกส่วนมีแถวหัวตารางซ้ำอยู่ด้านบน
+   */
+  static chunkTable(text, documentType, budget, tokensOf) {
+    const delimiter = CsvParser.detectDelimiter(text, documentType === 'tsv' ? '\t' : ',');
+    const { offsets } = CsvParser.parse(text, delimiter);
+    if (offsets.length < 2) {
+      return DocumentChunker.splitOversized(text, 0, text.length, budget, tokensOf, 1).map((piece, index) => ({
+        index,
+        ...piece,
+        tokens: tokensOf(piece.start, piece.end),
+        heading: null,
+        text: text.slice(piece.start, piece.end).trim(),
+      }));
+    }
+
+    const header = { start: 0, end: offsets[1] };
+    return DocumentChunker.packRows(text, offsets.slice(1), offsets[1], header, budget, tokensOf);
+  }
+
+  /**
+   * หาตารางข้อมูลท้ายเนื้อหา markdown ของ CsvParser.toMarkdown
+   * คืนค่า { header: { start, end }, dataStart, rows } โดยแถวแรกของ rows คือ 0 (สรุปคอลัมน์และหัวตาราง)
+   * หรือ null เมื่อไม่มีตาราง
+   */
+  static findMarkdownTable(text) {
+    const lines = [...text.matchAll(/^.*$/gm)].map((match) => ({ start: match.index, text: match[0] }));
+    let separator = -1;
+    for (let i = lines.length - 1; i > 0; i--) {
+      if (/^\|(?: *-{3,} *\|)+$/.test(lines[i].text) && lines[i - 1].text.startsWith('|')) {
+        separator = i;
+        break;
+      }
+    }
+    if (separator < 0 || separator + 1 >= lines.length) return null;
+
+    const rows = [0];
+    for (let i = separator + 1; i < lines.length && lines[i].text.startsWith('|'); i++) {
+      rows.push(lines[i].start);
+    }
+    if (rows.length < 2) return null;
+    return {
+      header: { start: lines[separator - 1].start, end: lines[separator].start + lines[separator].text.length },
+      dataStart: rows[1],
+      rows,
+    };
+  }
+
+  /**
+   * รวมแถว (ตำแหน่งเริ่มใน rows) เป็นส่วนที่ไม่เกินงบ
+   * ส่วนที่เริ่มตั้งแต่ dataStart มีหัวตาราง (ช่วง header) ซ้ำอยู่ด้านบน แถวที่ยาวเกินงบเองถูกตัดด้วย splitOversized
+   */
+  static packRows(text, rows, dataStart, header, budget, tokensOf) {
+    const headerText = text.slice(header.start, header.end).trimEnd();
+    const headerTokens = tokensOf(header.start, header.end);
+    const rowBudget = Math.max(1, budget - headerTokens);
+    const pieces = [];
+    let current = null;
+
+    for (let i = 0; i < rows.length; i++) {
+      const start = rows[i];
+      const end = rows[i + 1] ?? text.length;
+      if (tokensOf(start, end) > rowBudget) {
+        if (current) pieces.push(current);
+        current = null;
+        pieces.push(...DocumentChunker.splitOversized(text, start, end, rowBudget, tokensOf, 1));
+      } else if (current && tokensOf(current.start, end) <= rowBudget) {
+        current.end = end;
+      } else {
+        if (current) pieces.push(current);
+        current = { start, end };
+      }
+    }
+    if (current) pieces.push(current);
+
+    return pieces.map((piece, index) => {
+      const repeated = piece.start >= dataStart;
+      return {
+        index,
+        start: piece.start,
+        end: piece.end,
+        tokens: (repeated ? headerTokens : 0) + tokensOf(piece.start, piece.end),
+        heading: null,
+        includesHeader: repeated || piece.end >= dataStart,
+        text: repeated
+          ? `${headerText}\n${text.slice(piece.start, piece.end).trim()}`
+          : text.slice(piece.start, piece.end).trim(),
+      };
+    });
+  }
+
+  /**
+   * สรุปเอกสารแบบ map-reduce: สรุปทีละส่วน แล้วรวมบทสรุปจนเหลือข้อความเดียวที่ไม่เกินงบ
+   */
+  static async summarize(chunks, fileName, options = {}) {
+    const budget = DocumentChunker.getTokenBudget(options);
+    let summaries = [];
+
+    for (const chunk of chunks) {
+      options.signal?.throwIfAborted();
+      const prompt =
+        `สรุปสาระสำคัญของเอกสาร "${fileName}" ส่วนที่ ${chunk.index + 1}/${chunks.length}` +
+        `${chunk.heading ? ` (หัวข้อ: ${chunk.heading})` : ''} ให้กระชับแต่ครบถ้วน:\n\n${chunk.text}`;
+      summaries.push(await generateRawText(prompt));
+    }
+
+    // ถ้าบทสรุปรวมกันยังยาวเกินงบ ให้แบ่งและสรุปซ้ำอีกรอบ
+    for (let round = 0; round < 5 && summaries.length > 1; round++) {
+      const combined = summaries.map((summary, i) => `[ส่วนที่ ${i + 1}]\n${summary}`).join('\n\n');
+      const groups = await DocumentChunker.chunk(combined, 'txt', { maxTokens: budget });
+      if (groups.length === 1) {
+        options.signal?.throwIfAborted();
+        return await generateRawText(
+          `รวมบทสรุปย่อยของเอกสาร "${fileName}" ต่อไปนี้เป็นบทสรุปเดียวที่ครบถ้วนและไม่ซ้ำซ้อน:\n\n${combined}`,
+        );
+      }
+      summaries = [];
+      for (const group of groups) {
+        options.signal?.throwIfAborted();
+        summaries.push(await generateRawText(`สรุปรวมบทสรุปย่อยต่อไปนี้ให้กระชับ:\n\n${group.text}`));
+      }
+    }
+
+    return summaries.join('\n\n');
+  }
+}
+
+/**
+ * กัน {{macro}} ในเนื้อหาไม่ให้ SillyTavern แทนค่า โดยแทรก zero-width space ระหว่างวงเล็บปีกกา
+ * ใช้กับพรอมต์ที่ส่งให้โมเดลเท่านั้น ข้อความที่ส่งเข้าแชทไม่ผ่านการแทนค่า macro จึงคงอักขระเดิมได้
+ */
+function escapeMacros(text) {
+  return String(text).replace(/\{(?=\{)/g, '{\u200b').replace(/\}(?=\})/g, '}\u200b');
+}
+
+/**
+ * แทนค่า macro ของ SillyTavern เฉพาะเมื่อผู้ใช้เปิด allowDocumentMacros
+ */
+function applyMacroPolicy(text) {
+  return pluginConfig.allowDocumentMacros ? getContext().substituteParams(text) : text;
+}
+
+/**
+ * สร้างข้อความด้วยโมเดลปัจจุบันโดยไม่ใช้ประวัติแชท
+ * generateRaw แทนค่า macro ในพรอมต์เสมอ จึงต้อง escape เนื้อหาเอกสารก่อน (ยกเว้นผู้ใช้เปิด allowDocumentMacros)
+ */
+async function generateRawText(text) {
+  const generateRaw = getContext().generateRaw;
+  if (typeof generateRaw !== 'function') {
+    throw new Error('SillyTavern รุ่นนี้ไม่รองรับการสร้างข้อความเบื้องหลัง (generateRaw)');
+  }
+  const prompt = pluginConfig.allowDocumentMacros ? text : escapeMacros(text);
+  // SillyTavern รุ่นใหม่รับออบเจ็กต์ตัวเดียว (length = 0) ส่วนรุ่นเก่ารับพารามิเตอร์ตามลำดับ
+  const output = generateRaw.length === 0 ? await generateRaw({ prompt }) : await generateRaw(prompt);
+  return String(output || '').trim();
+}
+
+const IPV4_OCTET = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+
+/**
+ * ตัวตรวจจับข้อมูลอ่อนไหวในตัว เรียงตามลำดับความสำคัญเมื่อผลตรวจซ้อนทับกัน
+ * ถ้า pattern มีกลุ่มชื่อ secret จะซ่อนเฉพาะส่วนนั้น (เช่น ค่าหลัง KEY=)
+ */
+const REDACTION_DETECTORS = [
+  {
+    id: 'apiKey',
+    label: 'คีย์ API / โทเคน',
+    pattern: new RegExp(
+      [
+        '-----BEGIN [A-Z ]*PRIVATE KEY-----[\\s\\S]*?-----END [A-Z ]*PRIVATE KEY-----',
+        '\\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}',
+        '\\bAKIA[0-9A-Z]{16}\\b',
+        '\\bAIza[0-9A-Za-z_-]{35}',
+        '\\bgh[pousr]_[A-Za-z0-9]{36,}',
+        '\\bgithub_pat_[A-Za-z0-9_]{40,}',
+        '\\bglpat-[A-Za-z0-9_-]{20,}',
+        '\\bxox[abprs]-[A-Za-z0-9-]{10,}',
+        '\\bhf_[A-Za-z0-9]{30,}',
+        '\\beyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}',
+        '\\bBearer\\s+(?<secret>[A-Za-z0-9._~+/-]{20,}=*)',
+      ].join('|'),
+      'g',
+    ),
+  },
+  {
+    id: 'envSecret',
+    label: 'ค่าลับในไฟล์ตั้งค่า (.env)',
+    // KEY=value, "password": "value", token: value ที่ชื่อคีย์ลงท้ายด้วยคำที่บ่งว่าเป็นความลับ
+    // ชื่อคีย์เริ่มได้เฉพาะต้นคำและยาวไม่เกิน 64 ตัว ไม่อย่างนั้นข้อความอย่าง "a.a.a.…" ทำให้ย้อนรอยแบบกำลังสอง
+    pattern: new RegExp(
+      [
+        '(?<![\\w.-])["\']?(?<prefix>[\\w.-]{0,64})',
+        '(?<keyword>pass(?:word|wd)?|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?|auth)',
+        '(?:[_-]?key)?["\']?[ \\t]*[:=][ \\t]*["\']?',
+        // ค่าในเครื่องหมายคำพูดเอาจนถึงคำพูดปิด ค่าที่ไม่มีคำพูดเอาจนถึงช่องว่างหรือตัวคั่น
+        '(?<secret>(?<=")[^"\\n]+|(?<=\')[^\'\\n]+|[^\\s"\',;#}]{4,})',
+      ].join(''),
+      'gi',
+    ),
+    validate: (value, match) =>
+      isSecretKeyName(match.groups.prefix, match.groups.keyword) && !isPlaceholderValue(value),
+  },
+  {
+    id: 'thaiId',
+    label: 'เลขประจำตัวประชาชน',
+    pattern: /(?<![\d-])\d[ -]?\d{4}[ -]?\d{5}[ -]?\d{2}[ -]?\d(?![\d-])/g,
+    validate: (value) => isValidThaiNationalId(value.replace(/\D/g, '')),
+  },
+  {
+    id: 'email',
+    label: 'อีเมล',
+    // เริ่มเฉพาะต้นชื่อผู้ใช้ (ยาวไม่เกิน 64 ตัวตาม RFC 5321) เพื่อไม่ให้ย้อนรอยแบบกำลังสองในข้อความยาวที่ไม่มี @
+    pattern: /(?<![A-Za-z0-9._%+-])[A-Za-z0-9._%+-]{1,64}@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+  },
+  {
+    id: 'phone',
+    label: 'เบอร์โทรศัพท์',
+    pattern: new RegExp(
+      [
+        '(?<![\\w+])(?:',
+        '\\+\\d{1,3}[ -]?\\(?\\d{1,4}\\)?(?:[ -]?\\d{2,4}){2,3}', // +66 81 234 5678
+        '|0\\d{1,2}[ -]\\d{3}[ -]\\d{3,4}', // 02-123-4567, 081-234-5678
+        '|0[689]\\d{8}', // 0812345678
+        ')(?![\\w-])',
+      ].join(''),
+      'g',
+    ),
+  },
+  {
+    id: 'ip',
+    label: 'ที่อยู่ IP',
+    pattern: new RegExp(
+      [
+        '(?<![\\w.:])',
+        // ไม่นับเลขเวอร์ชันที่หน้าตาเหมือน IP เช่น "version 1.2.3.4", "v1.2.3.4", "build 10.0.0.1"
+        '(?<!\\b(?:v|ver|version|build|release)[ \\t:=]*)',
+        // IPv6 ทั้งแบบเต็มและแบบย่อด้วย :: (เช่น fe80::1) ตรวจจำนวนกลุ่มใน isValidIpv6
+        `(?:(?:${IPV4_OCTET}\\.){3}${IPV4_OCTET}|(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4})`,
+        '(?![\\w.:])',
+      ].join(''),
+      'gi',
+    ),
+    validate: (value) => !value.includes(':') || isValidIpv6(value),
+  },
+];
+
+/**
+ * คำสั้นอย่าง pass, pwd, auth ต้องอยู่ในตำแหน่งของชื่อคีย์ ไม่ใช่ท้ายคำอื่น (bypass, compass)
+ * คือเป็นต้นชื่อ ตามหลัง _ - . หรือขึ้นต้นด้วยตัวใหญ่ต่อจากตัวเล็กแบบ camelCase (dbPass)
+ */
+function isSecretKeyName(prefix, keyword) {
+  if (prefix === '' || /[_.-]$/.test(prefix)) return true;
+  if (!/^(?:pass|pwd|auth)$/i.test(keyword)) return true;
+  return /[a-z0-9]$/.test(prefix) && /^[A-Z]/.test(keyword);
+}
+
+/**
+ * ค่าที่ไม่ใช่ความลับจริง: ค่าตรรกะ/ค่าว่าง (isSecret: false) และตัวแปรที่อ้างถึงค่าอื่น (${TOKEN}, {{token}}, %TOKEN%)
+ */
+function isPlaceholderValue(value) {
+  return /^(?:true|false|null|none|undefined|yes|no|on|off)$/i.test(value) || /^(?:\$\{|\{\{|%\w+%$)/.test(value);
+}
+
+/**
+ * ตรวจ IPv6 แบบเต็ม 8 กลุ่ม หรือแบบย่อที่มี :: ได้ครั้งเดียว
+ * แบบย่อต้องมีเลขฐานสิบหกอย่างน้อย 4 หลัก เพื่อไม่นับข้อความอย่าง a::b
+ */
+function isValidIpv6(value) {
+  const halves = value.split('::');
+  if (halves.length > 2) return false;
+  const groups = halves.flatMap((half) => (half === '' ? [] : half.split(':')));
+  if (!groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group))) return false;
+  if (halves.length === 1) return groups.length === 8;
+  return groups.length <= 7 && groups.join('').length >= 4;
+}
+
+/**
+ * ตรวจเลขประจำตัวประชาชนไทย 13 หลักด้วยหลักตรวจสอบ (mod 11)
+ */
+function isValidThaiNationalId(digits) {
+  if (!/^\d{13}$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (13 - i);
+  }
+  return (11 - (sum % 11)) % 10 === Number(digits[12]);
+}
+
+/**
+ * ซ่อนข้อมูลอ่อนไหว (คีย์ API, อีเมล, เบอร์โทร, เลขบัตรประชาชน, IP, ค่าลับใน .env และกฎ regex ของผู้ใช้)
+ * ก่อนส่งเนื้อหาเข้าแชท
+ */
+class Redactor {
+  /**
+   * แยกกฎของผู้ใช้จากข้อความ บรรทัดละหนึ่งกฎ รูปแบบ "ชื่อ: regex" หรือ "ชื่อ: /regex/flags"
+   * คืนค่า { rules: [{ name, pattern, flags }], errors: [ข้อความ] }
+   */
+  static parseRules(text) {
+    const rules = [];
+    const errors = [];
+    String(text || '')
+      .split('\n')
+      .forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const separator = trimmed.indexOf(':');
+        const name = separator > 0 ? trimmed.slice(0, separator).trim() : `rule${index + 1}`;
+        const source = separator > 0 ? trimmed.slice(separator + 1).trim() : trimmed;
+        const literal = /^\/(.+)\/([a-z]*)$/.exec(source);
+        const rule = { name, pattern: literal ? literal[1] : source, flags: literal ? literal[2] : '' };
+        try {
+          Redactor.compileRule(rule);
+          rules.push(rule);
+        } catch (error) {
+          errors.push(`บรรทัด ${index + 1}: ${error.message}`);
+        }
+      });
+    return { rules, errors };
+  }
+
+  static formatRules(rules) {
+    return (rules || []).map((rule) => `${rule.name}: /${rule.pattern}/${rule.flags || ''}`).join('\n');
+  }
+
+  static compileRule(rule) {
+    const flags = [...new Set(`${rule.flags || ''}g`.replace(/[^dgimsuy]/g, ''))].join('');
+    const pattern = new RegExp(rule.pattern, flags);
+    if (pattern.test('')) {
+      throw new Error(`กฎ ${rule.name} ตรงกับข้อความว่าง`);
+    }
+    return pattern;
+  }
+
+  /**
+   * ตัวตรวจจับที่เปิดใช้ (ในตัวตาม redactionDetectors แล้วตามด้วยกฎของผู้ใช้)
+   */
+  static getDetectors() {
+    const enabled = pluginConfig.redactionDetectors || [];
+    const custom = (pluginConfig.redactionRules || []).flatMap((rule) => {
+      try {
+        return [{ id: `custom:${rule.name}`, label: rule.name, pattern: Redactor.compileRule(rule) }];
+      } catch (error) {
+        console.warn(`[Redactor] ข้ามกฎ ${rule.name}:`, error.message);
+        return [];
+      }
+    });
+    return [...REDACTION_DETECTORS.filter((detector) => enabled.includes(detector.id)), ...custom];
+  }
+
+  /**
+   * หาตำแหน่งข้อมูลที่ต้องซ่อน ผลที่ซ้อนทับกันเลือกตัวตรวจจับที่มาก่อน
+   * คืนค่า [{ start, end, detector, label, value }] เรียงตามตำแหน่ง
+   */
+  static scan(text, detectors = Redactor.getDetectors()) {
+    const found = [];
+    detectors.forEach((detector, priority) => {
+      detector.pattern.lastIndex = 0;
+      for (const match of text.matchAll(detector.pattern)) {
+        if (match[0] === '') continue;
+        const secret = match.groups?.secret;
+        const start = secret ? match.index + match[0].lastIndexOf(secret) : match.index;
+        const value = secret ?? match[0];
+        if (detector.validate && !detector.validate(value, match)) continue;
+        found.push({ start, end: start + value.length, detector: detector.id, label: detector.label, value, priority });
+      }
+    });
+
+    found.sort((a, b) => a.priority - b.priority || a.start - b.start);
+    const accepted = [];
+    for (const match of found) {
+      if (!accepted.some((other) => match.start < other.end && other.start < match.end)) {
+        accepted.push(match);
+      }
+    }
+    return accepted.sort((a, b) => a.start - b.start).map(({ priority, ...match }) => match);
+  }
+
+  static apply(text, matches) {
+    let output = '';
+    let last = 0;
+    for (const match of matches) {
+      output += `${text.slice(last, match.start)}[REDACTED:${match.detector.replace(/^custom:/, '')}]`;
+      last = match.end;
+    }
+    return output + text.slice(last);
+  }
+
+  static countMatches(matches) {
+    const counts = {};
+    for (const match of matches) {
+      counts[match.detector] = (counts[match.detector] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * ซ่อนข้อมูลในข้อความ แสดงหน้าต่างตัวอย่างก่อนเมื่อ options.preview (ผู้ใช้ยกเลิกได้)
+   * options.redactedMatches: รายการที่ซ่อนไปก่อนแล้ว (จาก redactSource) นับรวมและแสดงในหน้าต่างตัวอย่างด้วย
+   * คืนค่า { text, total, counts }
+   */
+  static async process(text, fileName, options = {}) {
+    if (!Redactor.isEnabled(options)) {
+      return { text, total: 0, counts: {} };
+    }
+    const matches = Redactor.scan(text);
+    const all = [...(options.redactedMatches || []), ...matches];
+    if (all.length > 0 && options.preview) {
+      const confirmed = await Redactor.confirm(all, fileName);
+      if (!confirmed) {
+        throw new Error(`ยกเลิกการส่ง ${fileName} หลังตรวจพบข้อมูลอ่อนไหว`);
+      }
+    }
+    return { text: Redactor.apply(text, matches), total: all.length, counts: Redactor.countMatches(all) };
+  }
+
+  static isEnabled(options = {}) {
+    return Boolean(pluginConfig.enableRedaction) && options.redact !== false;
+  }
+
+  /**
+   * ซ่อนข้อมูลในข้อมูลต้นทางก่อนนำไปสร้างเนื้อหา (ตาราง CSV / สเปรดชีต) คืนค่า { data, matches }
+   * คอลัมน์อย่าง password ไม่มีรูปแบบ KEY=value ในตาราง markdown จึงต้องตรวจทีละเซลล์พร้อมหัวคอลัมน์ตั้งแต่ตรงนี้
+   * matches ส่งต่อให้ process() เป็น options.redactedMatches
+   */
+  static redactSource(data, options = {}) {
+    if (!Redactor.isEnabled(options)) return { data, matches: null };
+    const matches = [];
+    return { data: Redactor.redactData(data, Redactor.getDetectors(), null, matches), matches };
+  }
+
+  /**
+   * ซ่อนข้อมูลอ่อนไหวในข้อมูลที่แยกแล้ว (result.data: ตาราง CSV, ชีต, JSON/YAML) ด้วยตัวตรวจจับชุดเดียวกับเนื้อหา
+   * ค่าในออบเจ็กต์ตรวจพร้อมชื่อคีย์ และเซลล์ในตารางตรวจพร้อมหัวคอลัมน์ ตัวตรวจจับแบบ KEY=value (envSecret) จึงใช้ได้
+   * found (ถ้ามี) เก็บรายการที่ซ่อนไว้
+   */
+  static redactData(value, detectors = Redactor.getDetectors(), key = null, found = null) {
+    if (typeof value === 'string') return Redactor.redactValue(value, key, detectors, found);
+    if (Array.isArray(value)) return value.map((item) => Redactor.redactData(item, detectors, key, found));
+    if (!value || typeof value !== 'object') return value;
+
+    const header = Array.isArray(value.header) ? value.header : null;
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => {
+        if (name === 'rows' && header && Array.isArray(item)) {
+          const rows = item.map((row) =>
+            Array.isArray(row)
+              ? row.map((cell, column) => Redactor.redactData(cell, detectors, header[column] ?? null, found))
+              : Redactor.redactData(row, detectors, null, found),
+          );
+          return [name, rows];
+        }
+        return [name, Redactor.redactData(item, detectors, name, found)];
+      }),
+    );
+  }
+
+  /**
+   * ซ่อนข้อมูลในค่าเดียว โดยตรวจเป็น "key=ค่า" แล้วซ่อนเฉพาะส่วนที่อยู่ในค่า
+   */
+  static redactValue(text, key, detectors, found = null) {
+    const prefix = key === null ? '' : `${key}=`;
+    const matches = Redactor.scan(prefix + text, detectors)
+      .filter((match) => match.start >= prefix.length)
+      .map((match) => ({ ...match, start: match.start - prefix.length, end: match.end - prefix.length }));
+    found?.push(...matches);
+    return matches.length ? Redactor.apply(text, matches) : text;
+  }
+
+  /**
+   * หน้าต่างตัวอย่างรายการที่จะถูกซ่อน (แสดงค่าแบบปิดบางส่วน)
+   */
+  static async confirm(matches, fileName) {
+    const shown = matches.slice(0, 50);
+    const rows = shown
+      .map((match) => {
+        const visible = match.value.length > 8 ? `${match.value.slice(0, 3)}…${match.value.slice(-2)}` : '•••';
+        return `<tr><td>${escapeHtml(match.label)}</td><td><code>${escapeHtml(visible)}</code></td></tr>`;
+      })
+      .join('');
+    const summary = Object.entries(Redactor.countMatches(matches))
+      .map(([id, count]) => `${escapeHtml(matches.find((match) => match.detector === id).label)} ${count}`)
+      .join(', ');
+    const more = matches.length > shown.length ? `<div>และอีก ${matches.length - shown.length} รายการ</div>` : '';
+    const html = `
+      <h3>ตรวจพบข้อมูลอ่อนไหวใน ${escapeHtml(fileName)}</h3>
+      <div>รายการต่อไปนี้จะถูกแทนด้วย [REDACTED:…] ก่อนส่งเข้าแชท (${summary})</div>
+      <table class="smart-media-redaction-table">${rows}</table>
+      ${more}
+    `;
+    const result = await callGenericPopup(html, POPUP_TYPE.CONFIRM, '', {
+      okButton: 'ซ่อนแล้วส่ง',
+      cancelButton: 'ยกเลิก',
+    });
+    return result === POPUP_RESULT.AFFIRMATIVE;
+  }
+}
+
+// ชื่อรูปแบบในไฟล์ที่ส่งออก ใช้ตรวจตอนนำเข้า
+const PROMPT_TEMPLATE_EXPORT_FORMAT = 'smart-media-assistant/prompt-templates';
+
+/**
+ * แม่แบบข้อความเอกสาร: แม่แบบเริ่มต้นหนึ่งชุดและแม่แบบเฉพาะนามสกุล นำเข้า/ส่งออกเป็น JSON ได้
+ */
+class PromptTemplates {
+  /**
+   * แม่แบบของนามสกุลไฟล์ (ใช้แม่แบบเริ่มต้นเมื่อไม่มีแม่แบบเฉพาะ)
+   */
+  static get(extension) {
+    const override = pluginConfig.promptTemplateOverrides?.[String(extension || '').toLowerCase()];
+    return override || pluginConfig.promptTemplate || DEFAULT_PROMPT_TEMPLATE;
+  }
+
+  /**
+   * แทนที่ {{macro}} ด้วยค่าใน values (ไม่สนตัวพิมพ์เล็ก/ใหญ่) macro ที่ไม่รู้จักคงไว้ตามเดิม
+   */
+  static render(template, values) {
+    const lookup = new Map(Object.entries(values).map(([key, value]) => [key.toLowerCase(), value]));
+    return template.replace(/\{\{\s*([a-zA-Z]+)\s*\}\}/g, (match, name) => {
+      const value = lookup.get(name.toLowerCase());
+      return value === undefined || value === null ? match : String(value);
+    });
+  }
+
+  /**
+   * ค่า macro ที่ใช้ร่วมกันทุกส่วนของเอกสาร
+   */
+  static buildValues(fileName, extension, metadata = {}) {
+    const context = getContext();
+    return {
+      fileName,
+      ext: extension,
+      char: context?.name2 || '',
+      user: context?.name1 || '',
+      rowCount: metadata.rowCount ?? '',
+      sheetCount: metadata.sheetCount ?? '',
+      title: metadata.title ?? '',
+    };
+  }
+
+  static export() {
+    return {
+      format: PROMPT_TEMPLATE_EXPORT_FORMAT,
+      version: 1,
+      default: pluginConfig.promptTemplate,
+      overrides: { ...pluginConfig.promptTemplateOverrides },
+    };
+  }
+
+  /**
+   * ตรวจและนำเข้าชุดแม่แบบ ค่าที่ไม่ใช่ข้อความจะถูกปฏิเสธทั้งชุด
+   * คืนค่าจำนวนแม่แบบเฉพาะนามสกุลที่นำเข้า
+   */
+  static import(data) {
+    const set = typeof data === 'string' ? JSON.parse(data) : data;
+    const isObject = set && typeof set === 'object' && !Array.isArray(set);
+    if (!isObject || (set.format && set.format !== PROMPT_TEMPLATE_EXPORT_FORMAT)) {
+      throw new Error('ไฟล์นี้ไม่ใช่ชุดแม่แบบข้อความของปลั๊กอิน');
+    }
+    const overrides = set.overrides ?? {};
+    if (
+      (set.default !== undefined && typeof set.default !== 'string') ||
+      typeof overrides !== 'object' ||
+      Array.isArray(overrides) ||
+      Object.values(overrides).some((template) => typeof template !== 'string')
+    ) {
+      throw new Error('ชุดแม่แบบไม่ถูกต้อง แม่แบบทุกรายการต้องเป็นข้อความ');
+    }
+
+    if (set.default) {
+      pluginConfig.promptTemplate = set.default;
+    }
+    const imported = Object.fromEntries(
+      Object.entries(overrides)
+        .filter(([, template]) => template.trim())
+        .map(([extension, template]) => [extension.toLowerCase().replace(/^\./, ''), template]),
+    );
+    pluginConfig.promptTemplateOverrides = { ...pluginConfig.promptTemplateOverrides, ...imported };
+    return Object.keys(imported).length;
+  }
+}
+
+// ไอคอนหน้าข้อความเอกสารตามนามสกุล (macro {{icon}})
+const DOCUMENT_ICONS = {
+  json: '📋',
+  md: '📝',
+  html: '🌐',
+  xml: '📄',
+  csv: '📊',
+  tsv: '📊',
+  docx: '📘',
+  odt: '📘',
+  xlsx: '📗',
+  ods: '📗',
+  js: '⚡',
+  css: '🎨',
+  yaml: '⚙️',
+  yml: '⚙️',
+  log: '📜',
+};
+
+/**
+ * ตัวจัดการเอกสาร
+ */
+class DocumentProcessor {
+  static async processDocument(file, options = {}) {
+    if (!pluginConfig.enableDocumentProcessing) {
+      throw new Error('ฟังก์ชันประมวลผลเอกสารถูกปิดอยู่');
+    }
+
+    const validation = await FileValidator.validate(file, 'document');
+
+    if (pluginConfig.showProcessingInfo) {
+      toastr.info('กำลังประมวลผลเอกสาร...', 'อัปโหลดเอกสาร');
+    }
+
+    try {
+      const { decoded, parsed } = await DocumentProcessor.readDocument(file, validation.fileExtension, options);
+      const sending = pluginConfig.enableAIReading && options.sendToChat !== false;
+      const redaction = await Redactor.process(parsed.content, file.name, {
+        ...options,
+        redactedMatches: parsed.redactions,
+        preview: options.redactionPreview ?? (sending && pluginConfig.redactionPreview),
+      });
+      const processedContent = redaction.text;
+      // ตาราง CSV / TSV แบ่งตามแถวพร้อมหัวตารางซ้ำ ส่วน contentType ยังเป็น md สำหรับ code fence
+      const chunkType = parsed.data?.type === 'table' ? 'table' : parsed.contentType;
+      const chunks = await DocumentChunker.chunk(processedContent, chunkType, options);
+
+      const result = {
+        success: true,
+        content: processedContent,
+        metadata: {
+          originalName: file.name,
+          type: file.type || 'text/plain',
+          size: file.size,
+          documentType: validation.fileExtension,
+          contentType: parsed.contentType,
+          contentLength: processedContent.length,
+          encoding: decoded?.encoding ?? null,
+          encodingConfidence: decoded?.confidence ?? null,
+          encodingSource: decoded?.source ?? null,
+          chunkCount: chunks.length,
+          chunkTokenBudget: DocumentChunker.getTokenBudget(options),
+          redactedCount: redaction.total,
+          redactions: redaction.counts,
+          timestamp: new Date().toISOString(),
+        },
+        chunks: chunks.map(({ text, ...boundary }) => boundary),
+      };
+
+      if (parsed.data) {
+        // ข้อมูลที่แยกแล้วคืนให้ผู้เรียกได้ (/popko-doc output=data) จึงต้องซ่อนแบบเดียวกับเนื้อหาที่ส่งเข้าแชท
+        // (ตารางซ่อนไว้แล้วตั้งแต่ตอนอ่าน)
+        result.data =
+          parsed.redactions || !Redactor.isEnabled(options) ? parsed.data : Redactor.redactData(parsed.data);
+      }
+      if (parsed.parseError) {
+        const { message, line, column } = parsed.parseError;
+        result.metadata.parseError = parsed.parseError;
+        toastr.warning(
+          `${message}${line ? ` (บรรทัด ${line} คอลัมน์ ${column})` : ''} — ส่งเนื้อหาเดิมแทน`,
+          `แยกไฟล์ ${file.name} ไม่สำเร็จ`,
+        );
+      }
+      if (parsed.data?.type === 'table') {
+        result.metadata.rowCount = parsed.data.rowCount;
+        result.metadata.columnCount = parsed.data.header.length;
+        result.metadata.delimiter = parsed.data.delimiter;
+      }
+      if (parsed.data?.type === 'office') {
+        result.metadata.title = parsed.data.properties.title ?? null;
+        result.metadata.author = parsed.data.properties.author ?? null;
+      }
+      if (parsed.data?.type === 'spreadsheet') {
+        result.metadata.sheetCount = parsed.data.sheets.length;
+        result.metadata.rowCount = parsed.data.sheets.reduce((total, sheet) => total + sheet.rowCount, 0);
+      }
+
+      options.signal?.throwIfAborted();
+
+      await AttachmentLibrary.record(file, result, options);
+
+      if (sending) {
+        await DocumentProcessor.sendToChat(processedContent, file.name, validation.fileExtension, {
+          ...options,
+          chunks,
+          contentType: parsed.contentType,
+          metadata: result.metadata,
+        });
+      }
+
+      if (pluginConfig.showProcessingInfo) {
+        toastr.success('ประมวลผลเอกสารเสร็จสิ้น', 'อัปโหลดเอกสาร');
+      }
+
+      return result;
+    } catch (error) {
+      if (pluginConfig.showProcessingInfo) {
+        toastr.error(`เกิดข้อผิดพลาด: ${error.message}`, 'อัปโหลดเอกสาร');
+      }
+      throw error;
+    }
+  }
+
+  static async readFileContent(file, options = {}) {
+    const fileExtension = file?.name?.split('.').pop()?.toLowerCase() || '';
+    if (CONTAINER_DOCUMENT_EXTENSIONS.includes(fileExtension)) {
+      const { parsed } = await DocumentProcessor.readDocument(file, fileExtension, options);
+      return parsed.content;
+    }
+    const decoded = await DocumentProcessor.readFileText(file, options);
+    return decoded.text;
+  }
+
+  /**
+   * อ่านและแปลงเอกสาร คืนค่า { decoded, parsed }
+   * เอกสารในไฟล์ zip (docx / odt / xlsx / ods) อ่านเป็นไบต์ จึงไม่มี decoded
+   */
+  static async readDocument(file, fileExtension, options = {}) {
+    if (SPREADSHEET_EXTENSIONS.includes(fileExtension)) {
+      const bytes = new Uint8Array(await readBlobAsArrayBuffer(file));
+      const converted = await SpreadsheetConverter.convert(bytes, fileExtension, options);
+      const { data: sheets, matches } = Redactor.redactSource(converted, options);
+      return {
+        decoded: null,
+        parsed: {
+          content: SpreadsheetConverter.toMarkdown(sheets, options),
+          contentType: 'md',
+          data: { type: 'spreadsheet', format: fileExtension, sheets },
+          redactions: matches,
+        },
+      };
+    }
+    if (CONTAINER_DOCUMENT_EXTENSIONS.includes(fileExtension)) {
+      const bytes = new Uint8Array(await readBlobAsArrayBuffer(file));
+      const { markdown, properties } = await OfficeDocumentConverter.convert(bytes, fileExtension);
+      return {
+        decoded: null,
+        parsed: { content: markdown, contentType: 'md', data: { type: 'office', format: fileExtension, properties } },
+      };
+    }
+
+    const decoded = await DocumentProcessor.readFileText(file, options);
+    return { decoded, parsed: DocumentProcessor.parseContent(decoded.text, fileExtension, options) };
+  }
+
+  /**
+   * อ่านไฟล์ข้อความพร้อมตรวจการเข้ารหัสอักขระ (บังคับได้ด้วย options.encoding)
+   * คืนค่า { text, encoding, confidence, source }
+   */
+  static async readFileText(file, options = {}) {
+    const buffer = await readBlobAsArrayBuffer(file);
+    return TextEncodingDetector.decode(new Uint8Array(buffer), options.encoding);
+  }
+
+  static processContent(content, fileExtension, options = {}) {
+    return DocumentProcessor.parseContent(content, fileExtension, options).content;
+  }
+
+  /**
+   * แปลงเนื้อหาตามชนิดเอกสาร คืนค่า { content, contentType, data }
+   * contentType คือรูปแบบของ content หลังแปลง ใช้เลือกวิธีแบ่งส่วนและภาษาของ code fence
+   * data คือข้อมูลที่แยกโครงสร้างแล้ว (ถ้ามี)
+   * ตารางถูกซ่อนข้อมูลทีละเซลล์ก่อนสร้าง content แล้ว โดยมีรายการที่ซ่อนใน redactions
+   */
+  static parseContent(content, fileExtension, options = {}) {
+    switch (fileExtension) {
+      case 'json':
+      case 'yaml':
+      case 'yml':
+      case 'ini':
+      case 'conf':
+      case 'config':
+        return DocumentProcessor.parseStructured(content, fileExtension, options);
+      case 'html':
+      case 'xml':
+        return DocumentProcessor.parseMarkup(content, fileExtension, options);
+      case 'rtf': {
+        // options.rtfOutput: 'markdown' (ค่าเริ่มต้น), 'text' หรือ 'raw'
+        if (options.rtfOutput === 'raw') {
+          return { content, contentType: 'rtf', data: null };
+        }
+        const markdown = options.rtfOutput !== 'text';
+        const text = RtfConverter.convert(content, { markdown });
+        return { content: text, contentType: markdown ? 'md' : 'txt', data: null };
+      }
+      case 'csv':
+      case 'tsv': {
+        const { data: table, matches } = Redactor.redactSource(
+          CsvParser.parseTable(content, fileExtension, options),
+          options,
+        );
+        return {
+          content: CsvParser.toMarkdown(table, options),
+          contentType: 'md',
+          data: { type: 'table', ...table },
+          redactions: matches,
+        };
+      }
+      default:
+        return { content, contentType: fileExtension, data: null };
+    }
+  }
+
+  /**
+   * แยกไฟล์ข้อมูล/การตั้งค่าเป็นออบเจ็กต์ แล้วเลือกมุมมองที่ส่งให้โมเดลตาม options.structuredView
+   * (auto = JSON จัดรูปแบบใหม่ ไฟล์อื่นคงเดิม, raw = ข้อความเดิม, pretty = JSON จัดรูปแบบ, flat = รายการ key = value)
+   * ถ้าแยกไม่สำเร็จจะคืนข้อความเดิมพร้อม parseError { message, line, column }
+   */
+  static parseStructured(content, fileExtension, options = {}) {
+    const format = STRUCTURED_FORMATS[fileExtension];
+    let value;
+    try {
+      value = StructuredDataParser.parse(content, fileExtension);
+    } catch (error) {
+      if (error.name !== 'DocumentParseError') throw error;
+      console.warn(`[Document Processor] แยกไฟล์ ${format} ไม่สำเร็จ คืนค่าเนื้อหาเดิม:`, error.message);
+      return {
+        content,
+        contentType: fileExtension,
+        data: null,
+        parseError: { message: error.reason, line: error.line, column: error.column },
+      };
+    }
+
+    if (value === undefined) {
+      return { content, contentType: fileExtension, data: null };
+    }
+
+    value = StructuredDataParser.limitDepth(value);
+    const data = { type: 'structured', format, value };
+    let view = options.structuredView || pluginConfig.structuredView;
+    if (!STRUCTURED_VIEWS.includes(view) || view === 'auto') {
+      view = format === 'json' ? 'pretty' : 'raw';
+    }
+
+    switch (view) {
+      case 'pretty':
+        return { content: JSON.stringify(value, null, 2), contentType: 'json', data };
+      case 'flat':
+        return { content: StructuredDataParser.toFlatText(value), contentType: 'ini', data };
+      default:
+        return { content, contentType: fileExtension, data };
+    }
+  }
+
+  /**
+   * แปลง HTML เป็น markdown และ XML เป็นโครงร่างองค์ประกอบ (options.markupMode = 'raw' เพื่อส่งข้อความเดิม)
+   */
+  static parseMarkup(content, fileExtension, options = {}) {
+    if (options.markupMode === 'raw' || typeof DOMParser === 'undefined') {
+      return { content, contentType: fileExtension, data: null };
+    }
+
+    if (fileExtension === 'html') {
+      const { markdown, title } = MarkupConverter.htmlToMarkdown(content);
+      return { content: markdown, contentType: 'md', data: { type: 'markup', format: 'html', title } };
+    }
+
+    try {
+      const { outline, root, elementCount } = MarkupConverter.xmlToOutline(content);
+      return { content: outline, contentType: 'md', data: { type: 'markup', format: 'xml', root, elementCount } };
+    } catch (error) {
+      if (error.name !== 'DocumentParseError') throw error;
+      console.warn('[Document Processor] แยกไฟล์ xml ไม่สำเร็จ คืนค่าเนื้อหาเดิม:', error.message);
+      return {
+        content,
+        contentType: fileExtension,
+        data: null,
+        parseError: { message: error.reason, line: error.line, column: error.column },
+      };
+    }
+  }
+
+  /**
+   * ส่งเอกสารเข้าแชท เอกสารที่ยาวเกินงบโทเคนจะถูกส่งทีละส่วน (sequential)
+   * หรือสรุปแบบ map-reduce ก่อนส่ง (summary) ตาม options.delivery / pluginConfig.documentDelivery
+   */
+  static async sendToChat(content, fileName, documentType, options = {}) {
+    try {
+      const chunks = options.chunks || (await DocumentChunker.chunk(content, documentType, options));
+      const delivery = options.delivery || pluginConfig.documentDelivery;
+
+      const icon = DOCUMENT_ICONS[documentType] || '📄';
+      const language = options.contentType || documentType;
+      const template = options.template || PromptTemplates.get(documentType);
+      const values = {
+        ...PromptTemplates.buildValues(fileName, documentType, options.metadata),
+        icon,
+        language,
+        partCount: chunks.length,
+      };
+      const extra = {
+        type: 'document_upload',
+        file_name: fileName,
+        document_type: documentType,
+      };
+
+      // ข้อความต้องอยู่ใน chat และถูกบันทึก ไม่ใช่แค่แสดงบนหน้าจอ จึงจะเข้าไปใน prompt และประวัติแชท
+      if (chunks.length > 1 && delivery === 'summary') {
+        const summary = await DocumentChunker.summarize(chunks, fileName, options);
+        await appendUserMessage(
+          applyMacroPolicy(
+            PromptTemplates.render(template, {
+              ...values,
+              part: ` (สรุปจาก ${chunks.length} ส่วน)`,
+              partIndex: '',
+              content: summary,
+              text: summary,
+            }),
+          ),
+          { ...extra, delivery: 'summary', chunk_count: chunks.length },
+        );
+      } else {
+        for (const chunk of chunks) {
+          options.signal?.throwIfAborted();
+          const part = chunks.length > 1 ? ` (ส่วนที่ ${chunk.index + 1}/${chunks.length})` : '';
+
+          await appendUserMessage(
+            applyMacroPolicy(
+              PromptTemplates.render(template, {
+                ...values,
+                part,
+                partIndex: chunk.index + 1,
+                content: `\`\`\`${language}\n${chunk.text}\n\`\`\``,
+                text: chunk.text,
+              }),
+            ),
+            { ...extra, chunk_index: chunk.index, chunk_count: chunks.length },
+          );
+        }
+      }
+
+      if (pluginConfig.enableLogging) {
+        console.log(`[Document Processor] ส่งเอกสารไปยังแชทเรียบร้อย (${chunks.length} ส่วน)`);
+      }
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.error('[Document Processor] ส่งเอกสารล้มเหลว:', error);
+      toastr.error(error.message, `ส่ง ${fileName} เข้าแชทไม่สำเร็จ`);
+    }
+  }
+}
+
+// นามสกุลไฟล์บีบอัดที่แตกแล้วประมวลผลไฟล์ข้างใน
+const ARCHIVE_EXTENSIONS = ['zip'];
+
+/**
+ * แปลง glob เป็น RegExp สำหรับเทียบกับพาธใน zip
+ * รองรับ * (ภายในโฟลเดอร์เดียว), ** (กี่ชั้นก็ได้), ? และ {a,b}
+ */
+function globToRegExp(glob) {
+  const escape = (text) => text.replace(/[.+^$()|[\]\\{}*?]/g, '\\$&');
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" ตรงกับโฟลเดอร์ศูนย์ชั้นขึ้นไป
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      source += `(?:${glob
+        .slice(i + 1, end)
+        .split(',')
+        .map(escape)
+        .join('|')})`;
+      i = end;
+    } else {
+      source += escape(char);
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * ตัวประมวลผลไฟล์ zip: แสดงรายการไฟล์ข้างใน กรองด้วย glob แล้วส่งแต่ละไฟล์ที่รองรับเข้า FileProcessor.processFile
+ * กัน zip bomb ด้วยขนาดรวมหลังแตกไฟล์ (maxFileSize), จำนวนรายการ และความลึกของ zip ซ้อน
+ */
+class ArchiveProcessor {
+  /**
+   * รับ glob เป็นอาร์เรย์หรือข้อความคั่นด้วยจุลภาค/ขึ้นบรรทัดใหม่
+   */
+  static toPatterns(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+    return list.map((pattern) => String(pattern).trim()).filter(Boolean);
+  }
+
+  /**
+   * glob ที่ไม่มี "/" เทียบกับชื่อไฟล์อย่างเดียว เช่น "*.png" ตรงกับ "refs/a.png"
+   */
+  static matches(path, patterns) {
+    const name = path.split('/').pop();
+    return patterns.some((pattern) => globToRegExp(pattern).test(pattern.includes('/') ? path : name));
+  }
+
+  static guessMimeType(extension) {
+    const image = Object.entries(IMAGE_FORMAT_EXTENSIONS).find(([, ext]) => ext === extension)?.[0];
+    return image || (extension === 'jpeg' ? 'image/jpeg' : '');
+  }
+
+  /**
+   * อ่านรายการไฟล์ใน zip (รวม zip ซ้อน) และแตกไฟล์ที่จะประมวลผล
+   * options.include / options.exclude: glob (include ใช้กับไฟล์ ไม่ใช้กับ zip ซ้อน)
+   * options.maxEntries / options.maxDepth: แทนค่าจากการตั้งค่า
+   * คืนค่า { fileName, entries: [{ path, size, compressedSize, depth, modified, status, reason }], files, totalSize }
+   * status: selected = จะประมวลผล, archive = zip ซ้อน, excluded / unsupported / skipped = ข้าม
+   */
+  static async list(file, options = {}) {
+    const maxBytes = pluginConfig.maxFileSize * 1024 * 1024;
+    if (!file || typeof file.slice !== 'function') {
+      throw new Error('ไฟล์ไม่ถูกต้อง');
+    }
+    if (file.size > maxBytes) {
+      throw new Error(`ไฟล์มีขนาดใหญ่เกินไป (จำกัดที่ ${pluginConfig.maxFileSize}MB)`);
+    }
+
+    const settings = {
+      maxBytes,
+      maxEntries: Math.max(1, parseInt(options.maxEntries ?? pluginConfig.archiveMaxEntries) || 1),
+      maxDepth: Math.max(0, parseInt(options.maxDepth ?? pluginConfig.archiveMaxDepth) || 0),
+      include: ArchiveProcessor.toPatterns(options.include),
+      exclude: ArchiveProcessor.toPatterns(options.exclude ?? pluginConfig.archiveExclude),
+      signal: options.signal,
+    };
+    const state = { entries: [], files: [], totalSize: 0 };
+    const bytes = new Uint8Array(await readBlobAsArrayBuffer(file));
+    await ArchiveProcessor.walk(bytes, '', 0, state, settings);
+
+    return { fileName: file.name, entries: state.entries, files: state.files, totalSize: state.totalSize };
+  }
+
+  static async walk(bytes, prefix, depth, state, settings) {
+    for (const entry of ZipReader.readEntries(bytes)) {
+      settings.signal?.throwIfAborted();
+      if (entry.isDirectory) continue;
+      if (state.entries.length >= settings.maxEntries) {
+        throw new Error(`ไฟล์ zip มีรายการเกิน ${settings.maxEntries} ไฟล์`);
+      }
+
+      const path = `${prefix}${entry.name}`;
+      const name = entry.name.split('/').pop();
+      const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+      const isArchive = ARCHIVE_EXTENSIONS.includes(extension);
+      const item = {
+        path,
+        size: entry.size,
+        compressedSize: entry.compressedSize,
+        depth,
+        modified: entry.modified,
+        status: 'selected',
+        reason: null,
+      };
+      state.entries.push(item);
+
+      const detection = FileTypeDetector.detectFileType({
+        name,
+        type: ArchiveProcessor.guessMimeType(extension),
+        size: entry.size,
+      });
+      if (ArchiveProcessor.matches(path, settings.exclude)) {
+        Object.assign(item, { status: 'excluded', reason: 'ตรงกับรูปแบบที่ยกเว้น' });
+      } else if (!isArchive && settings.include.length && !ArchiveProcessor.matches(path, settings.include)) {
+        Object.assign(item, { status: 'excluded', reason: 'ไม่ตรงกับรูปแบบที่เลือก' });
+      } else if (!isArchive && !detection.isImage && !detection.isDocument) {
+        Object.assign(item, { status: 'unsupported', reason: 'ไม่รองรับไฟล์ประเภทนี้' });
+      } else if (entry.encrypted) {
+        Object.assign(item, { status: 'skipped', reason: 'ไฟล์ถูกเข้ารหัสด้วยรหัสผ่าน' });
+      } else if (isArchive && depth >= settings.maxDepth) {
+        Object.assign(item, { status: 'skipped', reason: `zip ซ้อนกันเกิน ${settings.maxDepth} ชั้น` });
+      }
+      if (item.status !== 'selected') continue;
+
+      // นับขนาดที่ central directory ระบุไว้ก่อนแตกไฟล์ ขนาดนี้ปลอมได้ ZipReader.extract จึงนับไบต์จริงระหว่างคลาย
+      // และหยุดทันทีที่เกินขนาดที่ระบุหรืองบที่เหลือ ไม่ต้องคลายทั้งไฟล์ก่อนตรวจ
+      const remaining = settings.maxBytes - state.totalSize;
+      state.totalSize += entry.size;
+      if (state.totalSize > settings.maxBytes) {
+        throw new Error(`ขนาดรวมหลังแตกไฟล์ zip เกินกำหนด (จำกัดที่ ${pluginConfig.maxFileSize}MB)`);
+      }
+
+      const data = await ZipReader.extract(bytes, entry, remaining);
+      if (isArchive) {
+        item.status = 'archive';
+        await ArchiveProcessor.walk(data, `${path}/`, depth + 1, state, settings);
+      } else {
+        state.files.push(
+          new File([data], name, {
+            type: ArchiveProcessor.guessMimeType(extension),
+            lastModified: entry.modified.getTime(),
+          }),
+        );
+      }
+    }
+  }
+
+  /**
+   * แตกไฟล์ zip แล้วประมวลผลไฟล์ที่เลือกผ่าน FileProcessor.processBatch
+   * คืนค่าสรุปแบบเดียวกับ processBatch และเพิ่ม archive: { fileName, entries, totalSize }
+   */
+  static async processArchive(file, options = {}) {
+    const { include, exclude, maxEntries, maxDepth, ...batchOptions } = options;
+    const listing = await ArchiveProcessor.list(file, options);
+    const selected = listing.entries.filter((entry) => entry.status === 'selected');
+
+    if (pluginConfig.enableLogging) {
+      console.log(`[Archive Processor] ${file.name}: ${listing.entries.length} ไฟล์, ประมวลผล ${selected.length} ไฟล์`);
+    }
+    if (selected.length === 0) {
+      toastr.warning('ไม่มีไฟล์ที่รองรับใน zip หลังกรองด้วยรูปแบบที่กำหนด', file.name);
+    }
+
+    const processEntry = async (entryFile, itemOptions, index) => {
+      const result = await FileProcessor.processFile(entryFile, itemOptions);
+      result.archiveFileName = file.name;
+      result.archivePath = selected[index].path;
+      result.archiveIndex = index + 1;
+      result.archiveTotal = selected.length;
+      return result;
+    };
+    const summary = await FileProcessor.processBatch(listing.files, batchOptions, processEntry);
+
+    return {
+      ...summary,
+      archive: { fileName: listing.fileName, entries: listing.entries, totalSize: listing.totalSize },
+    };
+  }
+}
+
+/* === ส่วนที่เหลือ (initPlugin, UI, bindEvent, saveSettings) คงเดิมได้เลย === */
+
+
+/**
+ * 主要的文件处理接口
+ */
+class FileProcessor {
+  static async processFile(file, options = {}) {
+    try {
+      if (!file) {
+        throw new Error('请提供文件');
+      }
+
+      const detection = await FileTypeDetector.detectFileTypeWithContent(file);
+
+      if (pluginConfig.enableLogging) {
+        console.log('[File Processor] 处理文件:', {
+          name: file.name,
+          type: file.type,
+          size: file.size,
+          detection: detection,
+        });
+      }
+
+      // 根据检测结果选择处理器
+      if (detection.isImage) {
+        if (pluginConfig.enableLogging) {
+          console.log('[File Processor] 使用图片处理器');
+        }
+        return await ImageProcessor.processImage(file, options);
       } else if (detection.isDocument) {
         if (pluginConfig.enableLogging) {
           console.log('[File Processor] 使用文档处理器');
         }
         return await DocumentProcessor.processDocument(file, options);
+      } else if (detection.type === 'archive') {
+        if (pluginConfig.enableLogging) {
+          console.log('[File Processor] 使用压缩包处理器');
+        }
+        return await ArchiveProcessor.processArchive(file, options);
+      } else if (detection.type === 'binary' && detection.declaredType === 'document') {
+        throw new Error(`ไฟล์นี้ไม่ใช่เอกสารข้อความ ตรวจพบข้อมูลไบนารี (${detection.sniffedMime}) (${file.name})`);
       } else {
         throw new Error(`不支持的文件类型: ${detection.fileType || '未知'} (${file.name})`);
       }
-    } catch (error) {
-      console.error('[File Processor] 处理失败:', error);
-      throw error;
+    } catch (error) {
+      console.error('[File Processor] 处理失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * ประมวลผลไฟล์หลายไฟล์ (ภาพและเอกสารปนกันได้) พร้อมกันตาม concurrency
+   * options.concurrency, options.signal (AbortSignal), options.onProgress, options.onItem, options.showProgress
+   * ตัวเลือกอื่นจะส่งต่อให้ processItem(file, itemOptions, index) ของแต่ละไฟล์
+   */
+  static async processBatch(files, options = {}, processItem = FileProcessor.processFile) {
+    const { concurrency, signal, onProgress, onItem, showProgress, ...itemOptions } = options;
+    const list = Array.from(files || []);
+    const limit = Math.max(1, Math.min(8, parseInt(concurrency || pluginConfig.batchConcurrency) || 1));
+
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) controller.abort(signal.reason);
+      else signal.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    const panel = (showProgress ?? list.length > 1) ? new BatchProgressPanel(list, () => controller.abort()) : null;
+    const items = list.map((file, index) => ({ index, file, status: 'pending', result: null, error: null }));
+    const progress = { total: items.length, completed: 0, succeeded: 0, failed: 0, cancelled: 0 };
+
+    const report = (item) => {
+      if (['done', 'error', 'cancelled'].includes(item.status)) {
+        progress.completed++;
+        if (item.status === 'done') progress.succeeded++;
+        if (item.status === 'error') progress.failed++;
+        if (item.status === 'cancelled') progress.cancelled++;
+      }
+      const percent = progress.total ? Math.round((progress.completed / progress.total) * 100) : 100;
+      const snapshot = { ...progress, percent };
+      panel?.update(item, snapshot);
+      try {
+        onItem?.({ index: item.index, file: item.file, status: item.status, result: item.result, error: item.error });
+        onProgress?.({ ...snapshot, current: item.file?.name });
+      } catch (error) {
+        console.warn('[File Processor] callback ของงานกลุ่มเกิดข้อผิดพลาด:', error);
+      }
+    };
+
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const item = items[nextIndex++];
+        if (controller.signal.aborted) {
+          item.status = 'cancelled';
+          report(item);
+          continue;
+        }
+
+        item.status = 'processing';
+        report(item);
+        try {
+          item.result = await processItem(item.file, { ...itemOptions, signal: controller.signal }, item.index);
+          item.status = 'done';
+        } catch (error) {
+          item.error = error;
+          // เหตุผลการยกเลิกที่ผู้เรียกส่งมาเองไม่จำเป็นต้องเป็น AbortError จึงดูจากสถานะ signal
+          item.status = controller.signal.aborted ? 'cancelled' : 'error';
+        }
+        report(item);
+      }
+    };
+
+    if (pluginConfig.enableLogging) {
+      console.log(`[File Processor] เริ่มประมวลผลกลุ่ม ${items.length} ไฟล์ (พร้อมกัน ${limit})`);
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    signal?.removeEventListener('abort', forwardAbort);
+
+    const results = items.filter((item) => item.status === 'done').map((item) => item.result);
+    const errors = items
+      .filter((item) => item.status === 'error')
+      .map((item) => ({
+        index: item.index + 1,
+        fileName: item.file?.name,
+        error: item.error?.message || String(item.error),
+      }));
+
+    const summary = {
+      success: results.length > 0,
+      results: results,
+      errors: errors,
+      cancelled: controller.signal.aborted,
+      totalCount: items.length,
+      successCount: results.length,
+      errorCount: errors.length,
+      cancelledCount: progress.cancelled,
+    };
+
+    panel?.finish(summary);
+    return summary;
+  }
+}
+
+const BATCH_STATUS_LABELS = {
+  pending: { text: 'รอคิว', className: '' },
+  processing: { text: 'กำลังประมวลผล', className: 'loading' },
+  done: { text: 'สำเร็จ', className: 'success' },
+  error: { text: 'ล้มเหลว', className: 'error' },
+  cancelled: { text: 'ยกเลิก', className: 'warning' },
+};
+
+/**
+ * แผงแสดงความคืบหน้าของงานกลุ่ม พร้อมสถานะรายไฟล์และปุ่มยกเลิก
+ */
+class BatchProgressPanel {
+  constructor(files, onCancel) {
+    this.$root = $(`
+      <div class="smart-media-batch-panel smart-media-fade-in">
+        <div class="smart-media-batch-header">
+          <b class="smart-media-batch-title"></b>
+          <button type="button" class="menu_button smart-media-batch-cancel">ยกเลิก</button>
+        </div>
+        <div class="smart-media-progress"><div class="smart-media-progress-bar" style="width: 0%"></div></div>
+        <ul class="smart-media-batch-list"></ul>
+      </div>
+    `);
+
+    this.$rows = files.map((file) => {
+      const $row = $('<li class="smart-media-batch-item"><span class="file-name"></span><span class="smart-media-status"></span></li>');
+      $row.find('.file-name').text(file?.name || 'ไม่มีชื่อ');
+      this.$root.find('.smart-media-batch-list').append($row);
+      return $row;
+    });
+
+    this.$root.find('.smart-media-batch-title').text(`กำลังประมวลผล 0/${files.length}`);
+    this.$root.find('.smart-media-batch-cancel').on('click', () => {
+      onCancel();
+      this.$root.find('.smart-media-batch-cancel').prop('disabled', true).text('กำลังยกเลิก...');
+    });
+
+    files.forEach((file, index) => this.setStatus(index, 'pending'));
+    $('body').append(this.$root);
+  }
+
+  setStatus(index, status) {
+    const label = BATCH_STATUS_LABELS[status];
+    this.$rows[index]
+      .find('.smart-media-status')
+      .attr('class', `smart-media-status ${label.className}`)
+      .text(label.text);
+  }
+
+  update(item, progress) {
+    this.setStatus(item.index, item.status);
+    if (item.status === 'error') {
+      this.$rows[item.index].attr('title', item.error?.message || '');
+    }
+    this.$root.find('.smart-media-batch-title').text(`กำลังประมวลผล ${progress.completed}/${progress.total}`);
+    this.$root.find('.smart-media-progress-bar').css('width', `${progress.percent}%`);
+  }
+
+  finish(summary) {
+    const title = summary.cancelled ? 'ยกเลิกแล้ว' : 'เสร็จสิ้น';
+    const counts = `สำเร็จ ${summary.successCount}, ล้มเหลว ${summary.errorCount}, ยกเลิก ${summary.cancelledCount}`;
+    this.$root.find('.smart-media-batch-title').text(`${title}: ${counts}`);
+    this.$root
+      .find('.smart-media-batch-cancel')
+      .prop('disabled', false)
+      .text('ปิด')
+      .off('click')
+      .on('click', () => this.$root.remove());
+
+    // ปิดเองเมื่อทุกไฟล์สำเร็จ ถ้ามีข้อผิดพลาดให้ผู้ใช้อ่านก่อนแล้วกดปิดเอง
+    if (summary.errorCount === 0 && !summary.cancelled) {
+      setTimeout(() => this.$root.remove(), 4000);
+    }
+  }
+}
+
+// ==================== 外部API接口 ====================
+
+/**
+ * 通用文件处理接口
+ */
+window.__processFileByPlugin = async function (file, options = {}) {
+  return await FileProcessor.processFile(file, options);
+};
+
+/**
+ * 图片处理接口（支持单图片和多图片）
+ */
+window.__uploadImageByPlugin = async function (file, options = {}) {
+  return await ImageProcessor.processImage(file, options);
+};
+
+/**
+ * 多图片批量处理接口
+ */
+window.__uploadMultipleImagesByPlugin = async function (files, options = {}) {
+  console.log(`🖼️ 插件开始批量处理 ${files.length} 张图片`);
+
+  const summary = await FileProcessor.processBatch(files, options, async (file, itemOptions, index) => {
+    const result = await ImageProcessor.processImage(file, itemOptions);
+
+    // 为多图片结果添加索引信息
+    result.multiImageIndex = index + 1;
+    result.multiImageTotal = files.length;
+    result.originalFileName = file.name;
+    return result;
+  });
+
+  console.log(`🖼️ 批量处理完成: 成功 ${summary.successCount} 张，失败 ${summary.errorCount} 张`);
+
+  return summary;
+};
+
+/**
+ * ประมวลผลไฟล์หลายไฟล์ (ภาพและเอกสาร) พร้อมกัน ยกเลิกได้ และรายงานความคืบหน้า
+ */
+window.__processFilesByPlugin = async function (files, options = {}) {
+  return await FileProcessor.processBatch(files, options);
+};
+
+/**
+ * 文档处理接口
+ */
+window.__processDocumentByPlugin = async function (file, options = {}) {
+  return await DocumentProcessor.processDocument(file, options);
+};
+
+/**
+ * แตกไฟล์ zip แล้วประมวลผลไฟล์ข้างในที่รองรับ (กรองด้วย options.include / options.exclude)
+ */
+window.__processArchiveByPlugin = async function (file, options = {}) {
+  return await ArchiveProcessor.processArchive(file, options);
+};
+
+/**
+ * แสดงรายการไฟล์ใน zip พร้อมขนาด และสถานะว่าจะประมวลผลหรือข้าม
+ */
+window.__listArchiveByPlugin = async function (file, options = {}) {
+  const { files, ...listing } = await ArchiveProcessor.list(file, options);
+  return listing;
+};
+
+/**
+ * 文件类型检测接口
+ */
+window.__isDocumentFile = function (file) {
+  const detection = FileTypeDetector.detectFileType(file);
+  return detection.isDocument;
+};
+
+/**
+ * 获取支持的文件类型
+ */
+window.__getSupportedFileTypes = function () {
+  return {
+    images: pluginConfig.supportedImageTypes,
+    documents: pluginConfig.supportedDocumentTypes,
+    imageExtensions: pluginConfig.supportedImageExtensions,
+    documentExtensions: pluginConfig.supportedDocumentExtensions,
+    archiveExtensions: ARCHIVE_EXTENSIONS,
+    all: function () {
+      return [...this.images, ...this.documents];
+    },
+  };
+};
+
+// ==================== 斜杠命令 ====================
+
+/**
+ * นามสกุลไฟล์สำหรับ accept ของหน้าต่างเลือกไฟล์ ค่าว่าง = ทุกรูปแบบที่รองรับ
+ */
+function buildAcceptList(extensions) {
+  const list = ArchiveProcessor.toPatterns(extensions);
+  const defaults = [
+    ...pluginConfig.supportedImageExtensions,
+    ...pluginConfig.supportedDocumentExtensions,
+    ...ARCHIVE_EXTENSIONS,
+  ];
+  return (list.length ? list : defaults).map((ext) => (ext.startsWith('.') ? ext : `.${ext}`)).join(',');
+}
+
+/**
+ * เปิดหน้าต่างเลือกไฟล์ คืนค่าอาร์เรย์ File (อาร์เรย์ว่างเมื่อผู้ใช้ยกเลิก)
+ */
+function pickFiles({ accept = '', multiple = false } = {}) {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = multiple;
+    input.addEventListener('change', () => resolve(Array.from(input.files || [])), { once: true });
+    input.addEventListener('cancel', () => resolve([]), { once: true });
+    input.click();
+  });
+}
+
+/**
+ * ผลลัพธ์ย่อของไฟล์หนึ่งไฟล์สำหรับคืนค่าให้ STscript
+ */
+function describeProcessedFile(result) {
+  if (result?.archive) {
+    return {
+      type: 'archive',
+      name: result.archive.fileName,
+      successCount: result.successCount,
+      errorCount: result.errorCount,
+      files: result.results.map(describeProcessedFile),
+    };
+  }
+  if (result?.url) {
+    return {
+      type: 'image',
+      name: result.metadata.originalName,
+      url: result.url,
+      caption: result.metadata.caption ?? null,
+      compression: result.metadata.compression ?? null,
+    };
+  }
+  if (result?.type === 'characterCard') {
+    return { type: 'characterCard', name: result.metadata.originalName, imported: result.imported };
+  }
+  return {
+    type: 'document',
+    name: result?.metadata?.originalName,
+    path: result?.archivePath,
+    chunkCount: result?.metadata?.chunkCount,
+  };
+}
+
+/**
+ * แปลงรายการชีตจากอาร์กิวเมนต์ ("ชีต1, 2") เป็นชื่อหรือลำดับ
+ */
+function parseSheetList(value) {
+  return ArchiveProcessor.toPatterns(value).map((sheet) => (/^\d+$/.test(sheet) ? Number(sheet) : sheet));
+}
+
+const DELIVERY_ENUM = ['sequential', 'summary'];
+const SUMMARIZE_PROMPT = 'ช่วยอ่านและสรุปประเด็นสำคัญของ {{fileName}}{{part}}';
+
+/**
+ * ลงทะเบียนคำสั่ง /popko-* กับตัวแยกคำสั่งของ SillyTavern (ใช้ใน Quick Reply และ STscript ได้)
+ * โมดูล slash-commands โหลดแบบ dynamic: SillyTavern รุ่นที่ไม่มีโมดูลเหล่านี้ยังใช้ส่วนขยายได้ เพียงไม่มีคำสั่ง
+ */
+async function registerSlashCommands() {
+  let modules;
+  try {
+    modules = await Promise.all([
+      import('../../../slash-commands/SlashCommand.js'),
+      import('../../../slash-commands/SlashCommandArgument.js'),
+      import('../../../slash-commands/SlashCommandParser.js'),
+    ]);
+  } catch (error) {
+    console.warn('[Smart Media Assistant] SillyTavern รุ่นนี้ไม่มีโมดูลคำสั่ง slash ข้ามการลงทะเบียน /popko-*:', error);
+    return;
+  }
+  const [{ SlashCommand }, { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument }, { SlashCommandParser }] =
+    modules;
+
+  SlashCommandParser.addCommandObject(
+    SlashCommand.fromProps({
+      name: 'popko-attach',
+      callback: async (args) => {
+        const files = await pickFiles({
+          accept: buildAcceptList(args.accept),
+          multiple: !args.multiple || isTrueBoolean(String(args.multiple)),
+        });
+        if (files.length === 0) return '';
+
+        const options = { sendToChat: !args.send || isTrueBoolean(String(args.send)) };
+        if (args.delivery) options.delivery = String(args.delivery);
+        if (args.caption) options.caption = isTrueBoolean(String(args.caption));
+        if (args.edit) options.edit = isTrueBoolean(String(args.edit));
+        if (args.targetKB) {
+          Object.assign(options, { compressionMode: 'bytes', targetBytes: Number(args.targetKB) * 1024 });
+        }
+        if (args.targetTokens) {
+          Object.assign(options, { compressionMode: 'tokens', targetTokens: Number(args.targetTokens) });
+        }
+        const summary = await FileProcessor.processBatch(files, options);
+        return JSON.stringify({
+          successCount: summary.successCount,
+          errorCount: summary.errorCount,
+          cancelled: summary.cancelled,
+          files: summary.results.map(describeProcessedFile),
+          errors: summary.errors,
+        });
+      },
+      returns: 'JSON สรุปผล { successCount, errorCount, cancelled, files, errors } หรือข้อความว่างเมื่อยกเลิก',
+      namedArgumentList: [
+        SlashCommandNamedArgument.fromProps({
+          name: 'accept',
+          description: 'นามสกุลไฟล์ที่เลือกได้ คั่นด้วยจุลภาค (ค่าเริ่มต้น: ทุกรูปแบบที่รองรับ)',
+          typeList: [ARGUMENT_TYPE.STRING],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'multiple',
+          description: 'เลือกได้หลายไฟล์',
+          typeList: [ARGUMENT_TYPE.BOOLEAN],
+          defaultValue: 'true',
+          enumList: ['true', 'false'],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'send',
+          description: 'ส่งเนื้อหาเอกสารเข้าแชท',
+          typeList: [ARGUMENT_TYPE.BOOLEAN],
+          defaultValue: 'true',
+          enumList: ['true', 'false'],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'delivery',
+          description: 'วิธีส่งเอกสารยาว (ค่าเริ่มต้นตามการตั้งค่า)',
+          typeList: [ARGUMENT_TYPE.STRING],
+          enumList: DELIVERY_ENUM,
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'caption',
+          description: 'บรรยายภาพที่อัปโหลดครั้งนี้ (ค่าเริ่มต้นตามการตั้งค่า)',
+          typeList: [ARGUMENT_TYPE.BOOLEAN],
+          enumList: ['true', 'false'],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'edit',
+          description: 'เปิดหน้าต่างครอบตัด หมุน และเบลอก่อนอัปโหลดภาพ (ค่าเริ่มต้นตามการตั้งค่า)',
+          typeList: [ARGUMENT_TYPE.BOOLEAN],
+          enumList: ['true', 'false'],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'targetKB',
+          description: 'บีบอัดภาพให้ไม่เกินขนาดนี้ (KB) แทนโหมดบีบอัดในการตั้งค่า',
+          typeList: [ARGUMENT_TYPE.NUMBER],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'targetTokens',
+          description: 'ย่อภาพให้โทเคนภาพไม่เกินจำนวนนี้ตามสูตรนับโทเคนในการตั้งค่า',
+          typeList: [ARGUMENT_TYPE.NUMBER],
+        }),
+      ],
+      helpString: `
+        <div>เปิดหน้าต่างเลือกไฟล์ แล้วประมวลผลภาพ เอกสาร และ zip ที่เลือกเหมือนการอัปโหลดผ่านปลั๊กอิน</div>
+        <div>
+          <strong>ตัวอย่าง:</strong>
+          <ul>
+            <li><pre><code class="language-stscript">/popko-attach accept=png,jpg multiple=false</code></pre></li>
+            <li><pre><code class="language-stscript">/popko-attach delivery=summary</code></pre></li>
+            <li><pre><code class="language-stscript">/popko-attach accept=png,jpg caption=true</code></pre></li>
+            <li><pre><code class="language-stscript">/popko-attach accept=png,jpg,webp edit=true</code></pre></li>
+            <li><pre><code class="language-stscript">/popko-attach accept=png,jpg targetKB=200</code></pre></li>
+          </ul>
+        </div>
+      `,
+    }),
+  );
+
+  SlashCommandParser.addCommandObject(
+    SlashCommand.fromProps({
+      name: 'popko-summarize',
+      callback: async (args, text) => {
+        if (!String(text || '').trim()) {
+          toastr.warning('ไม่มีข้อความให้สรุป', 'popko-summarize');
+          return '';
+        }
+        const options = { prompt: String(args.prompt || SUMMARIZE_PROMPT) };
+        if (args.name) options.name = String(args.name);
+        if (args.type) options.documentType = String(args.type);
+        if (args.delivery) options.delivery = String(args.delivery);
+        const result = await processTextDetailed(String(text), options);
+        if (!result.success) {
+          toastr.error('ส่งข้อความไปยังแชทไม่สำเร็จ', 'popko-summarize');
+          return 'error: ส่งข้อความไปยังแชทไม่สำเร็จ';
+        }
+        return String(result.chunkCount);
+      },
+      returns: 'จำนวนส่วนที่แบ่งส่ง หรือข้อความที่ขึ้นต้นด้วย error: เมื่อส่งไม่สำเร็จ',
+      namedArgumentList: [
+        SlashCommandNamedArgument.fromProps({
+          name: 'prompt',
+          description: 'คำสั่งที่ขึ้นต้นข้อความ ใช้ macro ของแม่แบบได้ เช่น {{fileName}} {{part}}',
+          typeList: [ARGUMENT_TYPE.STRING],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'name',
+          description: 'ชื่อที่แสดงของข้อความ',
+          typeList: [ARGUMENT_TYPE.STRING],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'type',
+          description: 'ชนิดเนื้อหาที่ใช้แบ่งส่วน เช่น md, csv, js',
+          typeList: [ARGUMENT_TYPE.STRING],
+          defaultValue: 'txt',
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'delivery',
+          description: 'วิธีส่งข้อความยาว (ค่าเริ่มต้นตามการตั้งค่า)',
+          typeList: [ARGUMENT_TYPE.STRING],
+          enumList: DELIVERY_ENUM,
+        }),
+      ],
+      unnamedArgumentList: [
+        SlashCommandArgument.fromProps({
+          description: 'ข้อความที่ต้องการสรุป (รับจาก pipe ได้)',
+          typeList: [ARGUMENT_TYPE.STRING],
+          isRequired: true,
+        }),
+      ],
+      helpString: `
+        <div>ส่งข้อความเข้าแชทพร้อมคำสั่งให้สรุป ข้อความยาวจะถูกแบ่งตามงบโทเคนเหมือนเอกสาร</div>
+        <div>
+          <strong>ตัวอย่าง:</strong>
+          <ul>
+            <li><pre><code class="language-stscript">/getvar notes | /popko-summarize prompt="สรุปเป็นข้อ ๆ" name=notes</code></pre></li>
+          </ul>
+        </div>
+      `,
+    }),
+  );
+
+  SlashCommandParser.addCommandObject(
+    SlashCommand.fromProps({
+      name: 'popko-doc',
+      callback: async (args) => {
+        const accept = args.accept ? args.accept : pluginConfig.supportedDocumentExtensions.join(',');
+        const [file] = await pickFiles({ accept: buildAcceptList(accept) });
+        if (!file) return '';
+
+        const options = { sendToChat: false };
+        if (args.encoding) options.encoding = String(args.encoding);
+        if (args.sheets) options.sheets = parseSheetList(args.sheets);
+        if (args.range) options.range = String(args.range);
+        const result = await DocumentProcessor.processDocument(file, options);
+
+        switch (String(args.output || 'content')) {
+          case 'metadata':
+            return JSON.stringify(result.metadata);
+          case 'data':
+            return JSON.stringify(result.data ?? null);
+          default:
+            return result.content;
+        }
+      },
+      returns: 'เนื้อหาเอกสารที่แปลงแล้ว หรือ JSON ของ metadata / data',
+      namedArgumentList: [
+        SlashCommandNamedArgument.fromProps({
+          name: 'output',
+          description: 'สิ่งที่คืนค่า: content = เนื้อหา, metadata = ข้อมูลไฟล์, data = ข้อมูลที่แยกได้',
+          typeList: [ARGUMENT_TYPE.STRING],
+          defaultValue: 'content',
+          enumList: ['content', 'metadata', 'data'],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'accept',
+          description: 'นามสกุลไฟล์ที่เลือกได้ คั่นด้วยจุลภาค (ค่าเริ่มต้น: เอกสารทุกรูปแบบที่รองรับ)',
+          typeList: [ARGUMENT_TYPE.STRING],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'encoding',
+          description: 'บังคับการเข้ารหัสอักขระ เช่น utf-8, windows-874',
+          typeList: [ARGUMENT_TYPE.STRING],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'sheets',
+          description: 'ชื่อหรือลำดับชีตของ xlsx / ods คั่นด้วยจุลภาค',
+          typeList: [ARGUMENT_TYPE.STRING],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'range',
+          description: 'ช่วงเซลล์ของสเปรดชีต เช่น A1:D20 หรือ Sheet1!A1:D20',
+          typeList: [ARGUMENT_TYPE.STRING],
+        }),
+      ],
+      helpString: `
+        <div>เลือกเอกสารหนึ่งไฟล์แล้วคืนเนื้อหาที่แปลงแล้วทาง pipe โดยไม่ส่งเข้าแชท ใช้เก็บลงตัวแปร STscript ได้</div>
+        <div>
+          <strong>ตัวอย่าง:</strong>
+          <ul>
+            <li><pre><code class="language-stscript">/popko-doc | /setvar key=doc</code></pre></li>
+            <li><pre><code class="language-stscript">/popko-doc accept=xlsx sheets=1 output=data | /setvar key=sheet</code></pre></li>
+          </ul>
+        </div>
+      `,
+    }),
+  );
+
+  SlashCommandParser.addCommandObject(
+    SlashCommand.fromProps({
+      name: 'popko-types',
+      callback: async (args) => {
+        const types = {
+          image: pluginConfig.supportedImageExtensions,
+          document: pluginConfig.supportedDocumentExtensions,
+          archive: ARCHIVE_EXTENSIONS,
+        };
+        const kind = String(args.kind || 'all');
+        const selected = kind === 'all' ? types : { [kind]: types[kind] || [] };
+        if (String(args.format) === 'json') {
+          return JSON.stringify(selected);
+        }
+        const labels = { image: 'ภาพ', document: 'เอกสาร', archive: 'ไฟล์บีบอัด' };
+        return Object.entries(selected)
+          .map(([key, list]) => `${labels[key] || key}: ${list.join(', ')}`)
+          .join('\n');
+      },
+      returns: 'รายการนามสกุลไฟล์ที่รองรับ',
+      namedArgumentList: [
+        SlashCommandNamedArgument.fromProps({
+          name: 'kind',
+          description: 'กลุ่มไฟล์',
+          typeList: [ARGUMENT_TYPE.STRING],
+          defaultValue: 'all',
+          enumList: ['all', 'image', 'document', 'archive'],
+        }),
+        SlashCommandNamedArgument.fromProps({
+          name: 'format',
+          description: 'รูปแบบผลลัพธ์',
+          typeList: [ARGUMENT_TYPE.STRING],
+          defaultValue: 'text',
+          enumList: ['text', 'json'],
+        }),
+      ],
+      helpString: `
+        <div>แสดงนามสกุลไฟล์ที่ปลั๊กอินรองรับ แยกเป็นภาพ เอกสาร และไฟล์บีบอัด</div>
+        <div>
+          <strong>ตัวอย่าง:</strong>
+          <ul>
+            <li><pre><code class="language-stscript">/popko-types kind=document | /echo</code></pre></li>
+          </ul>
+        </div>
+      `,
+    }),
+  );
+}
+
+// ==================== 聊天界面入口 ====================
+
+// ไฟล์ที่แนบรอส่งพร้อมข้อความถัดไป { id, file, status, results, error, removed }
+const pendingAttachments = [];
+let attachmentSequence = 0;
+// ประมวลผลไฟล์ที่แนบทีละไฟล์ ไม่ให้หน้ายืนยัน (การ์ดตัวละคร, ซ่อนข้อมูล) ซ้อนกัน
+let attachmentQueue = Promise.resolve();
+// เอกสารของข้อความที่เพิ่งส่ง รอส่งเข้าแชทหลังข้อความของผู้ใช้แสดงผลแล้ว
+const attachedDocuments = [];
+
+/**
+ * ปุ่มแนบไฟล์ข้างช่องพิมพ์ การลากไฟล์วางบนแชท และการวางไฟล์จากคลิปบอร์ด
+ * ไฟล์ทุกไฟล์ผ่าน FileProcessor.processFile ทันทีโดยยังไม่ส่งเข้าแชท แล้วรอในถาดจนผู้ใช้กดส่ง
+ * เมื่อส่ง ภาพแรกแนบกับข้อความของผู้ใช้ ภาพที่เหลือต่อท้ายข้อความนั้น
+ * เอกสารส่งตามหลังเป็นข้อความแยกผ่าน DocumentProcessor.sendToChat (แบ่งส่วนหรือสรุปตามการตั้งค่า)
+ */
+class ChatAttachments {
+  static mount() {
+    if (!pluginConfig.enableChatAttachments || $('#smart_media_attach_button').length > 0) {
+      return;
+    }
+    const $button = $(
+      '<div id="smart_media_attach_button" class="fa-solid fa-paperclip interactable" tabindex="0"></div>',
+    ).attr('title', 'แนบไฟล์ (ภาพ เอกสาร zip)');
+    $button.on('click', () => ChatAttachments.pick());
+    $('#rightSendForm').prepend($button);
+    $('#send_form').prepend('<div id="smart_media_attach_tray" class="smart-media-attach-tray"></div>');
+    ChatAttachments.render();
+  }
+
+  static unmount() {
+    $('#smart_media_attach_button, #smart_media_attach_tray').remove();
+    ChatAttachments.clear();
+  }
+
+  static async pick() {
+    const files = await pickFiles({ accept: buildAcceptList(), multiple: true });
+    ChatAttachments.add(files);
+  }
+
+  static add(files) {
+    for (const file of files) {
+      const item = { id: ++attachmentSequence, file, status: 'pending', results: [], error: null, removed: false };
+      item.task = attachmentQueue = attachmentQueue.then(() => ChatAttachments.process(item));
+      pendingAttachments.push(item);
+    }
+    ChatAttachments.render();
+  }
+
+  static async process(item) {
+    if (item.removed) return;
+    item.status = 'processing';
+    ChatAttachments.render();
+    try {
+      const result = await FileProcessor.processFile(item.file, {
+        sendToChat: false,
+        redactionPreview: pluginConfig.redactionPreview,
+      });
+      // zip คืนสรุปของงานกลุ่ม แนบเฉพาะไฟล์ข้างในที่สำเร็จ
+      item.results = result?.archive ? result.results : [result];
+      item.status = 'done';
+    } catch (error) {
+      item.error = error;
+      item.status = 'error';
+      if (!item.removed) {
+        toastr.error(error.message, `แนบไฟล์ ${item.file.name} ไม่สำเร็จ`);
+      }
+    }
+    ChatAttachments.render();
+  }
+
+  /**
+   * ลบสิ่งที่ไฟล์ที่ถูกนำออกจากถาดสร้างไว้: ภาพที่อัปโหลดใหม่ ต้นฉบับ และรายการในคลัง
+   * ภาพที่ใช้ไฟล์เดิมซ้ำ (deduplicated) อาจอยู่ในข้อความอื่นแล้ว และภาพที่ไฟล์อื่นในถาดใช้ร่วมอยู่ จึงไม่ลบ
+   */
+  static async discard(item) {
+    const shared = (url) => pendingAttachments.some((other) => other.results.some((result) => result?.url === url));
+    for (const result of item.results) {
+      try {
+        if (result?.url && !result.deduplicated && !shared(result.url)) {
+          await AttachmentLibrary.deleteServerFile('/api/images/delete', result.url);
+          ImageStore.forget(result.metadata.hash);
+        }
+        if (result?.metadata?.libraryId) {
+          await AttachmentLibrary.removeEntry(result.metadata.libraryId);
+        }
+      } catch (error) {
+        console.warn('[Chat Attachments] ลบไฟล์ที่นำออกจากถาดไม่สำเร็จ:', error);
+      }
+    }
+    item.results = [];
+  }
+
+  /**
+   * บรรยายภาพของไฟล์นี้ตามคำขอ (เมื่อไม่ได้เปิดบรรยายทุกภาพ) ข้อความที่ส่งจะรอจนบรรยายเสร็จ
+   */
+  static caption(item) {
+    item.captioning = true;
+    ChatAttachments.render();
+    item.task = item.task.then(async () => {
+      for (const result of item.results.filter((result) => result?.url && !result.metadata.caption)) {
+        await ImageCaptioner.attachToSaved(result).catch((error) => toastr.warning(error.message, 'บรรยายภาพ'));
+      }
+      item.captioning = false;
+      ChatAttachments.render();
+    });
+  }
+
+  /**
+   * นำไฟล์ออกจากถาด ไฟล์ที่ยังประมวลผลอยู่จะถูกลบเมื่อประมวลผลเสร็จ
+   */
+  static remove(id) {
+    const index = pendingAttachments.findIndex((item) => item.id === id);
+    if (index !== -1) {
+      ChatAttachments.drop(pendingAttachments.splice(index, 1));
+    }
+    ChatAttachments.render();
+  }
+
+  static clear() {
+    ChatAttachments.drop(pendingAttachments.splice(0));
+    ChatAttachments.render();
+  }
+
+  static drop(items) {
+    for (const item of items) {
+      item.removed = true;
+      item.task = item.task.then(() => ChatAttachments.discard(item));
+    }
+  }
+
+  static render() {
+    const $tray = $('#smart_media_attach_tray');
+    $tray.empty().toggle(pendingAttachments.length > 0);
+    for (const item of pendingAttachments) {
+      const label = BATCH_STATUS_LABELS[item.status];
+      const $item = $(`
+        <div class="smart-media-attach-item">
+          <span class="file-name"></span>
+          <span class="smart-media-status ${label.className}"></span>
+          <div class="smart-media-attach-caption fa-solid fa-closed-captioning interactable" title="บรรยายภาพ"></div>
+          <div class="smart-media-attach-remove fa-solid fa-xmark interactable" title="นำออก"></div>
+        </div>
+      `);
+      const images = item.results.filter((result) => result?.url);
+      if (images.length > 0) {
+        $item.prepend($('<img class="smart-media-attach-thumb" alt="">').attr('src', images[0].url));
+      }
+      const captions = images.map((image) => image.metadata.caption).filter(Boolean);
+      const canCaption = item.status === 'done' && !item.captioning && images.some((image) => !image.metadata.caption);
+      $item.find('.file-name').text(item.file.name || 'ไม่มีชื่อ');
+      $item.find('.smart-media-status').text(item.captioning ? 'กำลังบรรยายภาพ' : label.text);
+      $item.attr('title', item.error?.message || captions.join('\n'));
+      $item.find('.smart-media-attach-caption').toggle(canCaption).on('click', () => ChatAttachments.caption(item));
+      $item.find('.smart-media-attach-remove').on('click', () => ChatAttachments.remove(item.id));
+      $tray.append($item);
+    }
+  }
+
+  /**
+   * ข้อความว่างจะไม่สร้างข้อความของผู้ใช้ (ไม่มี MESSAGE_SENT) จึงใส่ชื่อไฟล์แทนเมื่อมีไฟล์รอส่ง
+   */
+  static fillEmptyMessage() {
+    const $textarea = $('#send_textarea');
+    const names = pendingAttachments.filter((item) => item.status !== 'error').map((item) => item.file.name);
+    if (names.length > 0 && !String($textarea.val() || '').trim()) {
+      $textarea.val(`📎 ${names.join(', ')}`).trigger('input');
     }
   }
+
+  /**
+   * แนบไฟล์ในถาดกับข้อความของผู้ใช้ที่เพิ่งส่ง (เรียกจาก MESSAGE_SENT ก่อนแสดงผลและก่อนสร้างคำตอบ)
+   * ข้อความที่ปลั๊กอินส่งเองไม่ใช้ไฟล์ในถาด
+   */
+  static async attachToMessage(messageId) {
+    const message = getContext().chat?.[messageId];
+    const ownMessage = ['document_upload', 'image_upload'].includes(message?.extra?.type);
+    if (!message?.is_user || ownMessage || pendingAttachments.length === 0) {
+      return;
+    }
+
+    const items = pendingAttachments.splice(0);
+    ChatAttachments.render();
+    await Promise.all(items.map((item) => item.task));
+
+    const results = items.filter((item) => item.status === 'done').flatMap((item) => item.results);
+    const images = results.filter((result) => result?.url);
+    const documents = results.filter((result) => typeof result?.content === 'string');
+    if (images.length === 0 && documents.length === 0) {
+      return;
+    }
+
+    message.extra = message.extra || {};
+    const parts = [message.mes];
+    if (images.length > 0) {
+      message.extra.image = images[0].url;
+      message.extra.inline_image = true;
+      message.extra.title = images[0].metadata.caption || images[0].metadata.originalName;
+      images.forEach((image, index) => {
+        if (index > 0) {
+          parts.push(`![${image.metadata.originalName.replace(/[[\]]/g, '')}](${image.url})`);
+        }
+        if (image.metadata.caption) {
+          parts.push(ImageCaptioner.formatForMessage(image.metadata.originalName, image.metadata.caption));
+        }
+      });
+    }
+    message.mes = parts.filter(Boolean).join('\n\n');
+    message.extra.attachments = [...images, ...documents].map(describeProcessedFile);
+    attachedDocuments.push(...documents);
+  }
+
+  /**
+   * ส่งเอกสารของข้อความที่เพิ่งส่ง (เรียกจาก USER_MESSAGE_RENDERED ก่อนสร้างคำตอบ)
+   * ใช้ทางเดียวกับการอัปโหลดเอกสาร เอกสารยาวจึงถูกแบ่งส่วนหรือสรุปตามงบโทเคน
+   */
+  static async sendDocuments() {
+    for (const document of attachedDocuments.splice(0)) {
+      const { originalName, documentType, contentType } = document.metadata;
+      await DocumentProcessor.sendToChat(document.content, originalName, documentType, {
+        contentType,
+        metadata: document.metadata,
+      });
+    }
+  }
+
+  /**
+   * ฟังที่ document แบบ capture เพื่อรับไฟล์ก่อนตัวจัดการของ SillyTavern
+   */
+  static bindEvents() {
+    const isFileDragOnChat = (event) =>
+      pluginConfig.enableChatAttachments &&
+      event.target instanceof Element &&
+      event.target.closest('#chat') &&
+      Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    document.addEventListener(
+      'dragover',
+      (event) => {
+        if (!isFileDragOnChat(event)) return;
+        event.preventDefault();
+        $('#chat').addClass('smart-media-drop-target');
+      },
+      true,
+    );
+    document.addEventListener(
+      'dragleave',
+      (event) => {
+        if (!(event.relatedTarget instanceof Element) || !event.relatedTarget.closest('#chat')) {
+          $('#chat').removeClass('smart-media-drop-target');
+        }
+      },
+      true,
+    );
+    document.addEventListener(
+      'drop',
+      (event) => {
+        $('#chat').removeClass('smart-media-drop-target');
+        if (!isFileDragOnChat(event)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        ChatAttachments.add(Array.from(event.dataTransfer.files));
+      },
+      true,
+    );
+
+    // วางข้อความธรรมดาผ่านตามปกติ รับเฉพาะคลิปบอร์ดที่มีไฟล์ (ภาพจากการจับหน้าจอ ไฟล์ที่คัดลอก)
+    document.addEventListener(
+      'paste',
+      (event) => {
+        const files = Array.from(event.clipboardData?.files || []);
+        if (!pluginConfig.enableChatAttachments || event.target?.id !== 'send_textarea' || files.length === 0) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        ChatAttachments.add(files);
+      },
+      true,
+    );
+
+    document.addEventListener(
+      'click',
+      (event) => {
+        if (event.target instanceof Element && event.target.closest('#send_but')) {
+          ChatAttachments.fillEmptyMessage();
+        }
+      },
+      true,
+    );
+    document.addEventListener(
+      'keydown',
+      (event) => {
+        if (event.target?.id === 'send_textarea' && event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+          ChatAttachments.fillEmptyMessage();
+        }
+      },
+      true,
+    );
+
+    const context = getContext();
+    context.eventSource.on(context.eventTypes.MESSAGE_SENT, (messageId) => ChatAttachments.attachToMessage(messageId));
+    context.eventSource.on(context.eventTypes.USER_MESSAGE_RENDERED, () => ChatAttachments.sendDocuments());
+  }
 }
 
-// ==================== 外部API接口 ====================
+// ==================== 附件库 ====================
 
-/**
- * 通用文件处理接口
- */
-window.__processFileByPlugin = async function (file, options = {}) {
-  return await FileProcessor.processFile(file, options);
-};
+const LIBRARY_STORAGE_KEY = 'smart-media-assistant-library';
+const LIBRARY_MAX_ENTRIES = 300;
+const LIBRARY_PREVIEW_LENGTH = 300;
 
 /**
- * 图片处理接口（支持单图片和多图片）
+ * ขนาดไฟล์แบบอ่านง่าย (B / KB / MB)
  */
-window.__uploadImageByPlugin = async function (file, options = {}) {
-  return await ImageProcessor.processImage(file, options);
-};
+function formatFileSize(bytes) {
+  if (!Number.isFinite(bytes)) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
 
 /**
- * 多图片批量处理接口
+ * คลังไฟล์ที่เคยประมวลผล (ภาพและเอกสาร) เก็บรายการใน localStorage ข้างดัชนีของ ImageStore
+ * เอกสารเก็บไฟล์ต้นฉบับไว้ที่ user/files เสมอ (เปิดซ่อนข้อมูลอยู่เก็บข้อความที่ซ่อนแล้ว
+ * จึงแทรกซ้ำได้แต่ประมวลผลใหม่ไม่ได้)
+ * ภาพเก็บต้นฉบับเมื่อเปิด libraryKeepOriginals (ภาพที่แก้ก่อนอัปโหลดเก็บภาพที่แก้แล้ว)
+ * เพื่อแทรกซ้ำและประมวลผลใหม่ด้วยค่าอื่นได้
  */
-window.__uploadMultipleImagesByPlugin = async function (files, options = {}) {
-  console.log(`🖼️ 插件开始批量处理 ${files.length} 张图片`);
+class AttachmentLibrary {
+  static load() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * บันทึกรายการ (ใหม่สุดอยู่หน้า) รายการที่เกินขีดจำกัดถูกตัดออกพร้อมลบไฟล์ของรายการนั้นบนเซิร์ฟเวอร์
+   */
+  static save(entries) {
+    const kept = entries.slice(0, LIBRARY_MAX_ENTRIES);
+    const evicted = entries.slice(LIBRARY_MAX_ENTRIES);
+    if (writeLocalStorage(LIBRARY_STORAGE_KEY, JSON.stringify(kept), 'คลังไฟล์') && evicted.length > 0) {
+      AttachmentLibrary.deleteEvicted(evicted, kept).catch((error) =>
+        console.warn('[Attachment Library] ลบไฟล์ของรายการที่ถูกตัดออกไม่สำเร็จ:', error),
+      );
+    }
+  }
+
+  /**
+   * ลบไฟล์บนเซิร์ฟเวอร์ของรายการที่ถูกตัดออกจากคลัง ภาพที่รายการซึ่งยังอยู่ใช้ร่วมกัน (URL เดียวกัน) ไม่ถูกลบ
+   */
+  static async deleteEvicted(evicted, kept) {
+    const keptUrls = new Set(kept.map((item) => item.url).filter(Boolean));
+    for (const entry of evicted) {
+      if (entry.url && !keptUrls.has(entry.url)) {
+        keptUrls.add(entry.url);
+        await AttachmentLibrary.deleteServerFile('/api/images/delete', entry.url);
+        ImageStore.forget(entry.hash);
+      }
+      if (entry.originalUrl) {
+        await AttachmentLibrary.deleteServerFile('/api/files/delete', entry.originalUrl);
+      }
+    }
+  }
+
+  static currentChat() {
+    const context = getContext();
+    return {
+      chatId: context.getCurrentChatId?.() ?? context.chatId ?? null,
+      chatName: context.name2 || '',
+    };
+  }
 
-  const results = [];
-  const errors = [];
+  /**
+   * เพิ่มผลลัพธ์ของ processImage / processDocument ลงคลัง (options.library = false เพื่อข้าม)
+   * บันทึกไม่สำเร็จจะเตือนใน console เท่านั้น ไม่ทำให้การประมวลผลล้มเหลว
+   */
+  static async record(file, result, options = {}) {
+    if (!pluginConfig.enableLibrary || options.library === false) {
+      return null;
+    }
 
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i];
     try {
-      console.log(`🖼️ 处理第 ${i + 1}/${files.length} 张图片: ${file.name}`);
-      const result = await ImageProcessor.processImage(file);
+      const isImage = Boolean(result.url);
+      const keepOriginal = !isImage || pluginConfig.libraryKeepOriginals;
+      // เอกสารที่เปิดซ่อนข้อมูลเก็บข้อความที่ซ่อนแล้วแทนไฟล์เดิม ข้อมูลอ่อนไหวจึงไม่ถูกเก็บไว้บนเซิร์ฟเวอร์
+      const stored =
+        !isImage && Redactor.isEnabled(options)
+          ? new File([result.content], `${file.name}.${result.metadata.contentType === 'md' ? 'md' : 'txt'}`, {
+              type: 'text/plain',
+            })
+          : file;
+      const entry = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        kind: isImage ? 'image' : 'document',
+        originalName: file.name,
+        originalSize: file.size,
+        originalType: file.type,
+        originalUrl: keepOriginal ? await AttachmentLibrary.storeOriginal(stored) : null,
+        storedName: stored.name,
+        storedType: stored.type,
+        redacted: stored !== file,
+        chats: [AttachmentLibrary.currentChat()],
+        createdAt: new Date().toISOString(),
+      };
 
-      // 为多图片结果添加索引信息
-      result.multiImageIndex = i + 1;
-      result.multiImageTotal = files.length;
-      result.originalFileName = file.name;
+      if (isImage) {
+        Object.assign(entry, {
+          url: result.url,
+          hash: result.metadata.hash,
+          size: result.metadata.processedSize,
+          width: result.metadata.width,
+          height: result.metadata.height,
+          format: result.metadata.format,
+          caption: result.metadata.caption ?? null,
+        });
+      } else {
+        Object.assign(entry, {
+          size: file.size,
+          documentType: result.metadata.documentType,
+          contentLength: result.metadata.contentLength,
+          chunkCount: result.metadata.chunkCount,
+          preview: result.content.slice(0, LIBRARY_PREVIEW_LENGTH),
+        });
+      }
 
-      results.push(result);
-      console.log(`✅ 第 ${i + 1} 张图片处理完成`);
+      AttachmentLibrary.save([entry, ...AttachmentLibrary.load()]);
+      result.metadata.libraryId = entry.id;
+      return entry;
     } catch (error) {
-      console.error(`❌ 第 ${i + 1} 张图片处理失败:`, error);
-      errors.push({
-        index: i + 1,
-        fileName: file.name,
-        error: error.message,
-      });
+      console.warn('[Attachment Library] บันทึกลงคลังไม่สำเร็จ:', error);
+      return null;
     }
   }
 
-  console.log(`🖼️ 批量处理完成: 成功 ${results.length} 张，失败 ${errors.length} 张`);
+  /**
+   * อัปโหลดไฟล์ต้นฉบับผ่าน API ไฟล์ของ SillyTavern คืนค่า path ใน user/files
+   */
+  static async storeOriginal(file) {
+    const extension = (/\.([a-z0-9]{1,10})$/i.exec(file.name)?.[1] || 'bin').toLowerCase();
+    const name = `smart-media-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${extension}`;
+    const response = await fetch('/api/files/upload', {
+      method: 'POST',
+      headers: getRequestHeaders(),
+      body: JSON.stringify({ name, data: arrayBufferToBase64(await readBlobAsArrayBuffer(file)) }),
+    });
+    if (!response.ok) {
+      throw new Error(`บันทึกไฟล์ต้นฉบับไม่สำเร็จ (${response.status} ${response.statusText})`);
+    }
+    return (await response.json()).path;
+  }
 
-  return {
-    success: results.length > 0,
-    results: results,
-    errors: errors,
-    totalCount: files.length,
-    successCount: results.length,
-    errorCount: errors.length,
-  };
-};
+  static async deleteServerFile(endpoint, path) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: getRequestHeaders(),
+      body: JSON.stringify({ path }),
+    });
+    // ไฟล์ที่ถูกลบไปแล้วถือว่าลบสำเร็จ
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`ลบไฟล์ ${path} ไม่สำเร็จ (${response.status} ${response.statusText})`);
+    }
+  }
 
-/**
- * 文档处理接口
- */
-window.__processDocumentByPlugin = async function (file, options = {}) {
-  return await DocumentProcessor.processDocument(file, options);
-};
+  static async fetchFile(url, name, type) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`โหลดไฟล์ ${name} ไม่สำเร็จ (${response.status} ${response.statusText})`);
+    }
+    const blob = await response.blob();
+    return new File([blob], name, { type: type || blob.type });
+  }
 
-/**
- * 文件类型检测接口
- */
-window.__isDocumentFile = function (file) {
-  const detection = FileTypeDetector.detectFileType(file);
-  return detection.isDocument;
-};
+  /**
+   * โหลดไฟล์ที่เก็บไว้ของรายการ (รายการเก่าไม่มี storedName ใช้ชื่อไฟล์เดิม)
+   */
+  static async fetchOriginal(entry) {
+    return await AttachmentLibrary.fetchFile(
+      entry.originalUrl,
+      entry.storedName ?? entry.originalName,
+      entry.storedType ?? entry.originalType,
+    );
+  }
 
-/**
- * 获取支持的文件类型
- */
-window.__getSupportedFileTypes = function () {
-  return {
-    images: pluginConfig.supportedImageTypes,
-    documents: pluginConfig.supportedDocumentTypes,
-    imageExtensions: pluginConfig.supportedImageExtensions,
-    documentExtensions: pluginConfig.supportedDocumentExtensions,
-    all: function () {
-      return [...this.images, ...this.documents];
-    },
-  };
-};
+  /**
+   * นำรายการเดียวออกจากคลังพร้อมต้นฉบับของรายการนั้น ไม่ลบภาพที่บันทึกไว้ (ต่างจาก delete)
+   */
+  static async removeEntry(id) {
+    const entry = AttachmentLibrary.load().find((item) => item.id === id);
+    if (entry?.originalUrl) {
+      await AttachmentLibrary.deleteServerFile('/api/files/delete', entry.originalUrl);
+    }
+    AttachmentLibrary.save(AttachmentLibrary.load().filter((item) => item.id !== id));
+  }
+
+  static update(id, changes) {
+    const entries = AttachmentLibrary.load();
+    const entry = entries.find((item) => item.id === id);
+    if (entry) {
+      Object.assign(entry, changes(entry));
+      AttachmentLibrary.save(entries);
+    }
+  }
+
+  /**
+   * แทรกรายการลงแชทปัจจุบัน: ภาพแนบเป็นข้อความของผู้ใช้โดยไม่สร้างคำตอบ
+   * เอกสารอ่านจากต้นฉบับแล้วส่งเข้าแชทตามการตั้งค่าปัจจุบัน
+   */
+  static async reinsert(entry) {
+    if (entry.kind === 'image') {
+      const extra = {
+        type: 'image_upload',
+        image: entry.url,
+        inline_image: true,
+        title: entry.caption || entry.originalName,
+      };
+      const caption = entry.caption ? ImageCaptioner.formatForMessage(entry.originalName, entry.caption) : '';
+      if (!(await sendTextToSillyTavern(caption, false, extra))) {
+        throw new Error('แทรกภาพลงแชทไม่สำเร็จ');
+      }
+    } else {
+      if (!entry.originalUrl) {
+        throw new Error('ไม่มีไฟล์ต้นฉบับของเอกสารนี้');
+      }
+      const file = await AttachmentLibrary.fetchOriginal(entry);
+      await DocumentProcessor.processDocument(file, { library: false });
+    }
+
+    const chat = AttachmentLibrary.currentChat();
+    AttachmentLibrary.update(entry.id, (item) => ({
+      chats: item.chats.some((used) => used.chatId === chat.chatId) ? item.chats : [...item.chats, chat],
+    }));
+  }
+
+  /**
+   * ประมวลผลใหม่ด้วยค่าที่เลือก ภาพใช้ต้นฉบับถ้ามี (ไม่เช่นนั้นใช้ภาพที่บันทึกไว้) แล้วเพิ่มเป็นรายการใหม่
+   * เอกสารส่งเข้าแชทอีกครั้งด้วยค่าที่เลือก
+   */
+  static async rerun(entry, options) {
+    if (entry.kind === 'image') {
+      // ไม่มีต้นฉบับ: ใช้ภาพที่บันทึกไว้และให้เบราว์เซอร์อ่านชนิดไฟล์จากข้อมูลที่โหลดมา
+      const file = entry.originalUrl
+        ? await AttachmentLibrary.fetchOriginal(entry)
+        : await AttachmentLibrary.fetchFile(entry.url, entry.originalName);
+      return await ImageProcessor.processImage(file, { ...options, characterCardAction: 'image' });
+    }
+    if (!entry.originalUrl) {
+      throw new Error('ไม่มีไฟล์ต้นฉบับของเอกสารนี้');
+    }
+    if (entry.redacted) {
+      throw new Error('คลังเก็บเฉพาะข้อความที่ซ่อนข้อมูลแล้วของเอกสารนี้ จึงประมวลผลใหม่ด้วยค่าอื่นไม่ได้');
+    }
+    const file = await AttachmentLibrary.fetchOriginal(entry);
+    return await DocumentProcessor.processDocument(file, { ...options, library: false });
+  }
+
+  /**
+   * ลบไฟล์ที่เก็บไว้และรายการในคลัง ภาพที่ใช้ไฟล์เดียวกัน (แฮชตรงกัน) จะถูกลบออกจากคลังพร้อมกัน
+   */
+  static async delete(entry) {
+    const entries = AttachmentLibrary.load();
+    const removed = entries.filter((item) => item.id === entry.id || (entry.url && item.url === entry.url));
+    if (entry.url) {
+      await AttachmentLibrary.deleteServerFile('/api/images/delete', entry.url);
+      ImageStore.forget(entry.hash);
+    }
+    for (const item of removed) {
+      if (item.originalUrl) {
+        await AttachmentLibrary.deleteServerFile('/api/files/delete', item.originalUrl);
+      }
+    }
+    AttachmentLibrary.save(entries.filter((item) => !removed.includes(item)));
+    return removed.length;
+  }
+
+  /**
+   * ถามค่าที่จะใช้ประมวลผลใหม่ คืนค่า null เมื่อผู้ใช้ยกเลิก
+   */
+  static async askRerunOptions(entry) {
+    const options =
+      entry.kind === 'image'
+        ? {
+            outputFormat: pluginConfig.imageOutputFormat,
+            quality: pluginConfig.imageQuality,
+            maxDimension: pluginConfig.maxImageDimension,
+          }
+        : { delivery: pluginConfig.documentDelivery, structuredView: pluginConfig.structuredView, sheets: '' };
+    const select = (name, values) =>
+      `<select class="text_pole" name="${name}">${values
+        .map((value) => `<option value="${value}" ${options[name] === value ? 'selected' : ''}>${value}</option>`)
+        .join('')}</select>`;
+    const fields =
+      entry.kind === 'image'
+        ? `
+          <label>รูปแบบไฟล์ ${select('outputFormat', IMAGE_OUTPUT_FORMATS)}</label>
+          <label>คุณภาพ (%) <input class="text_pole" type="number" name="quality" min="10" max="100" value="${options.quality}"></label>
+          <label>ด้านยาวสุด (px) <input class="text_pole" type="number" name="maxDimension" min="256" max="8192" value="${options.maxDimension}"></label>
+        `
+        : `
+          <label>การส่งเอกสารยาว ${select('delivery', DELIVERY_ENUM)}</label>
+          <label>มุมมองไฟล์ข้อมูล ${select('structuredView', STRUCTURED_VIEWS)}</label>
+          <label>ชีต (สเปรดชีต คั่นด้วยจุลภาค) <input class="text_pole" type="text" name="sheets" value=""></label>
+        `;
+    const $form = $(`
+      <div class="smart-media-library-form">
+        <h3>ประมวลผลใหม่: ${escapeHtml(entry.originalName)}</h3>
+        ${fields}
+      </div>
+    `);
+    $form.on('input change', '[name]', function () {
+      options[this.name] = this.type === 'number' ? Number(this.value) : this.value;
+    });
+
+    const result = await callGenericPopup($form, POPUP_TYPE.CONFIRM, '', {
+      okButton: 'ประมวลผลใหม่',
+      cancelButton: 'ยกเลิก',
+    });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+      return null;
+    }
+    if (entry.kind === 'document') {
+      const sheets = parseSheetList(options.sheets);
+      delete options.sheets;
+      if (sheets.length > 0) options.sheets = sheets;
+    }
+    return options;
+  }
+
+  static describe(entry) {
+    const details = [formatFileSize(entry.size)];
+    if (entry.kind === 'image') {
+      details.push(`${entry.width}×${entry.height}`, `ต้นฉบับ ${formatFileSize(entry.originalSize)}`);
+    } else {
+      details.push(`${entry.contentLength} ตัวอักษร`);
+    }
+    details.push(new Date(entry.createdAt).toLocaleString());
+    const chats = entry.chats.map((chat) => chat.chatName || chat.chatId).filter(Boolean);
+    if (chats.length > 0) {
+      details.push(`แชท: ${chats.join(', ')}`);
+    }
+    return details.join(' · ');
+  }
+
+  static renderList($list) {
+    const entries = AttachmentLibrary.load();
+    $list.empty();
+    if (entries.length === 0) {
+      $list.append('<div class="smart-media-library-empty">ยังไม่มีไฟล์ในคลัง</div>');
+      return;
+    }
+
+    for (const entry of entries) {
+      const $item = $(`
+        <div class="smart-media-library-item">
+          <div class="smart-media-library-thumb"></div>
+          <div class="file-info">
+            <div class="file-name"></div>
+            <div class="file-details"></div>
+          </div>
+          <div class="smart-media-library-actions">
+            <div class="menu_button fa-solid fa-share" data-action="insert" title="แทรกลงแชทปัจจุบัน"></div>
+            <div class="menu_button fa-solid fa-link" data-action="copy" title="คัดลอก URL"></div>
+            <div class="menu_button fa-solid fa-rotate" data-action="rerun" title="ประมวลผลใหม่ด้วยค่าอื่น"></div>
+            <div class="menu_button fa-solid fa-trash-can" data-action="delete" title="ลบไฟล์ที่เก็บไว้"></div>
+          </div>
+        </div>
+      `);
+      $item.attr('data-id', entry.id);
+      if (entry.kind === 'image') {
+        $item.find('.smart-media-library-thumb').append($('<img loading="lazy" alt="">').attr('src', entry.url));
+      } else {
+        $item
+          .find('.smart-media-library-thumb')
+          .text(DOCUMENT_ICONS[entry.documentType] || '📄')
+          .attr('title', entry.preview);
+      }
+      $item.find('.file-name').text(entry.originalName);
+      $item.find('.file-details').text(AttachmentLibrary.describe(entry));
+      if (entry.kind === 'document' && !entry.originalUrl) {
+        $item.find('[data-action="insert"], [data-action="copy"], [data-action="rerun"]').addClass('disabled');
+      }
+      if (entry.redacted) {
+        // ไฟล์ที่เก็บเป็นข้อความที่ซ่อนข้อมูลแล้ว เลือกชีตหรือมุมมองอื่นจากข้อความนี้ไม่ได้
+        $item
+          .find('[data-action="rerun"]')
+          .addClass('disabled')
+          .attr('title', 'ประมวลผลใหม่ไม่ได้: เก็บเฉพาะข้อความที่ซ่อนข้อมูลแล้ว');
+      }
+      $list.append($item);
+    }
+  }
+
+  static async handleAction(action, entry, $list) {
+    switch (action) {
+      case 'insert':
+        await AttachmentLibrary.reinsert(entry);
+        toastr.success(`แทรก ${entry.originalName} ลงแชทแล้ว`, 'คลังไฟล์');
+        break;
+      case 'copy':
+        await copyText(new URL(entry.url || entry.originalUrl, location.origin).href);
+        toastr.info('คัดลอก URL แล้ว', 'คลังไฟล์');
+        break;
+      case 'rerun': {
+        const options = await AttachmentLibrary.askRerunOptions(entry);
+        if (!options) return;
+        const result = await AttachmentLibrary.rerun(entry, options);
+        const size = result.metadata.processedSize ?? result.metadata.contentLength;
+        toastr.success(
+          `${entry.originalName}: ${entry.kind === 'image' ? formatFileSize(size) : `${size} ตัวอักษร`}`,
+          'ประมวลผลใหม่เสร็จสิ้น',
+        );
+        break;
+      }
+      case 'delete': {
+        const shared = entry.url ? AttachmentLibrary.load().filter((item) => item.url === entry.url).length : 1;
+        const html = `
+          <h3>ลบ ${escapeHtml(entry.originalName)}?</h3>
+          <div>ไฟล์ที่เก็บไว้บนเซิร์ฟเวอร์จะถูกลบ ข้อความในแชทที่อ้างถึงไฟล์นี้จะแสดงภาพไม่ได้</div>
+          ${shared > 1 ? `<div>ภาพนี้ใช้ร่วมกับอีก ${shared - 1} รายการในคลัง ซึ่งจะถูกลบด้วย</div>` : ''}
+        `;
+        const confirmed = await callGenericPopup(html, POPUP_TYPE.CONFIRM, '', {
+          okButton: 'ลบ',
+          cancelButton: 'ยกเลิก',
+        });
+        if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+        await AttachmentLibrary.delete(entry);
+        break;
+      }
+    }
+    AttachmentLibrary.renderList($list);
+  }
+
+  static async open() {
+    const $panel = $(`
+      <div class="smart-media-library">
+        <h3>คลังไฟล์ที่ประมวลผลแล้ว</h3>
+        <div class="smart-media-library-list"></div>
+      </div>
+    `);
+    const $list = $panel.find('.smart-media-library-list');
+    AttachmentLibrary.renderList($list);
+
+    $list.on('click', '[data-action]', async function () {
+      if ($(this).hasClass('disabled')) return;
+      const entry = AttachmentLibrary.load().find((item) => item.id === $(this).closest('[data-id]').attr('data-id'));
+      if (!entry) return;
+      try {
+        await AttachmentLibrary.handleAction($(this).attr('data-action'), entry, $list);
+      } catch (error) {
+        console.error('[Attachment Library] ดำเนินการไม่สำเร็จ:', error);
+        toastr.error(error.message, 'คลังไฟล์');
+      }
+    });
+
+    await callGenericPopup($panel, POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true });
+  }
+}
 
 // ==================== 插件生命周期 ====================
 
@@ -544,6 +8098,19 @@ function initPlugin() {
   // 绑定收缩栏功能
   bindCollapsibleEvents();
 
+  // ลงทะเบียนคำสั่ง /popko-*
+  registerSlashCommands().catch((error) => {
+    console.warn('[Smart Media Assistant] ลงทะเบียนคำสั่ง slash ไม่สำเร็จ:', error);
+  });
+
+  // ปุ่มแนบไฟล์ ถาดไฟล์รอส่ง การลากวางและการวางไฟล์ในหน้าแชท
+  try {
+    ChatAttachments.bindEvents();
+    ChatAttachments.mount();
+  } catch (error) {
+    console.warn('[Smart Media Assistant] เพิ่มปุ่มแนบไฟล์ในหน้าแชทไม่สำเร็จ:', error);
+  }
+
   console.log('[Smart Media Assistant] 插件初始化完成');
 
   // 显示加载成功提示
@@ -595,6 +8162,8 @@ function addPluginStyles() {
     #smart-media-assistant-settings .box-container .flex.flexFlowColumn { gap: 2px; }
     #smart-media-assistant-settings .range-row { display: grid; grid-template-columns: 1fr auto; gap: 8px; align-items: center; }
     #smart-media-assistant-settings .range-row input[type="range"] { width: 100%; }
+    #smart-media-assistant-settings .smart-media-template-editor { width: 100%; }
+    #smart-media-assistant-settings .smart-media-template-editor textarea { font-family: monospace; resize: vertical; }
   `;
   document.head.appendChild(style);
 }
@@ -615,64 +8184,315 @@ function createSettingsHTML() {
 
             <div class="extension-content-item box-container">
               <div class="flex flexFlowColumn">
-                <div class="settings-title-text">เปิดการประมวลผลภาพ</div>
-                <div class="settings-title-description">เปิดใช้งานการบีบอัด ปรับแต่ง และจดจำภาพด้วย AI</div>
+                <div class="settings-title-text">เปิดการประมวลผลภาพ</div>
+                <div class="settings-title-description">เปิดใช้งานการบีบอัด ปรับแต่ง และจดจำภาพด้วย AI</div>
+              </div>
+              <div class="toggle-switch">
+                <input type="checkbox" id="${MODULE_NAME}_enableImageProcessing" class="toggle-input" ${pluginConfig.enableImageProcessing ? 'checked' : ''} />
+                <label for="${MODULE_NAME}_enableImageProcessing" class="toggle-label"><span class="toggle-handle"></span></label>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">แก้ภาพก่อนอัปโหลด</div>
+                <div class="settings-title-description">ครอบตัด หมุน พลิก และเบลอ/ปิดทึบบางส่วน พร้อมประมาณขนาดไฟล์ก่อนบันทึก (ไม่ใช้กับภาพเคลื่อนไหว)</div>
+              </div>
+              <div class="toggle-switch">
+                <input type="checkbox" id="${MODULE_NAME}_enableImageEditor" class="toggle-input" ${pluginConfig.enableImageEditor ? 'checked' : ''} />
+                <label for="${MODULE_NAME}_enableImageEditor" class="toggle-label"><span class="toggle-handle"></span></label>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">ประมวลผลภาพเบื้องหลัง</div>
+                <div class="settings-title-description">ถอดรหัส ย่อ และบีบอัดภาพใน Web Worker เพื่อไม่ให้แชทค้างระหว่างอัปโหลดหลายภาพ เบราว์เซอร์ที่ไม่รองรับจะประมวลผลบนหน้าหลักตามเดิม</div>
+              </div>
+              <div class="toggle-switch">
+                <input type="checkbox" id="${MODULE_NAME}_useImageWorkers" class="toggle-input" ${pluginConfig.useImageWorkers ? 'checked' : ''} />
+                <label for="${MODULE_NAME}_useImageWorkers" class="toggle-label"><span class="toggle-handle"></span></label>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">เปิดการประมวลผลเอกสาร</div>
+                <div class="settings-title-description">รองรับ txt, json, md, csv และไฟล์ข้อความอื่น ๆ</div>
+              </div>
+              <div class="toggle-switch">
+                <input type="checkbox" id="${MODULE_NAME}_enableDocumentProcessing" class="toggle-input" ${pluginConfig.enableDocumentProcessing ? 'checked' : ''} />
+                <label for="${MODULE_NAME}_enableDocumentProcessing" class="toggle-label"><span class="toggle-handle"></span></label>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">เปิดการอ่านเอกสารด้วย AI</div>
+                <div class="settings-title-description">เมื่ออัปโหลดแล้วจะส่งเนื้อหาเข้าสู่การสนทนาอัตโนมัติ</div>
+              </div>
+              <div class="toggle-switch">
+                <input type="checkbox" id="${MODULE_NAME}_enableAIReading" class="toggle-input" ${pluginConfig.enableAIReading ? 'checked' : ''} />
+                <label for="${MODULE_NAME}_enableAIReading" class="toggle-label"><span class="toggle-handle"></span></label>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">ปุ่มแนบไฟล์ในหน้าแชท</div>
+                <div class="settings-title-description">แนบผ่านปุ่ม 📎 ลากไฟล์วางบนแชท หรือวางจากคลิปบอร์ด ไฟล์รอในถาดจนกดส่ง</div>
+              </div>
+              <div class="toggle-switch">
+                <input type="checkbox" id="${MODULE_NAME}_enableChatAttachments" class="toggle-input" ${pluginConfig.enableChatAttachments ? 'checked' : ''} />
+                <label for="${MODULE_NAME}_enableChatAttachments" class="toggle-label"><span class="toggle-handle"></span></label>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">คลังไฟล์</div>
+                <label class="checkbox_label">
+                  <input type="checkbox" id="${MODULE_NAME}_enableLibrary" ${pluginConfig.enableLibrary ? 'checked' : ''} />
+                  บันทึกภาพและเอกสารที่ประมวลผลลงคลัง
+                </label>
+                <label class="checkbox_label">
+                  <input type="checkbox" id="${MODULE_NAME}_libraryKeepOriginals" ${pluginConfig.libraryKeepOriginals ? 'checked' : ''} />
+                  เก็บภาพต้นฉบับไว้ประมวลผลใหม่
+                </label>
+                <div class="flex-container">
+                  <button type="button" id="${MODULE_NAME}_openLibrary" class="menu_button">เปิดคลังไฟล์</button>
+                </div>
+                <div class="settings-title-description">แทรกซ้ำลงแชทปัจจุบัน คัดลอก URL ประมวลผลใหม่ด้วยค่าอื่น หรือลบไฟล์ที่เก็บไว้ เอกสารเก็บต้นฉบับไว้ที่ user/files เสมอ ยกเว้นเมื่อเปิดซ่อนข้อมูลอ่อนไหว: จะเก็บเฉพาะข้อความที่ซ่อนแล้ว ข้อมูลอ่อนไหวจึงไม่ถูกเก็บบนเซิร์ฟเวอร์ แต่เอกสารนั้นแทรกซ้ำได้อย่างเดียว ประมวลผลใหม่ด้วยชีตหรือมุมมองอื่นไม่ได้ รายการเกิน ${LIBRARY_MAX_ENTRIES} รายการจะถูกลบพร้อมไฟล์ตั้งแต่รายการเก่าสุด</div>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn smart-media-template-editor">
+                <div class="settings-title-text">บรรยายภาพด้วย AI</div>
+                <label class="checkbox_label">
+                  <input type="checkbox" id="${MODULE_NAME}_enableCaptioning" ${pluginConfig.enableCaptioning ? 'checked' : ''} />
+                  บรรยายทุกภาพที่อัปโหลด (ปิดไว้ = กดปุ่มบรรยายในถาดไฟล์ หรือใช้ caption=true เป็นรายครั้ง)
+                </label>
+                <select id="${MODULE_NAME}_captionSource" class="text_pole">
+                  <option value="auto" ${pluginConfig.captionSource === 'auto' ? 'selected' : ''}>อัตโนมัติ (SillyTavern ก่อน แล้วบริการ HTTP)</option>
+                  <option value="sillytavern" ${pluginConfig.captionSource === 'sillytavern' ? 'selected' : ''}>SillyTavern (ตั้งค่าโมเดลในส่วนขยาย Image Captioning)</option>
+                  <option value="endpoint" ${pluginConfig.captionSource === 'endpoint' ? 'selected' : ''}>บริการ HTTP ในเครื่อง</option>
+                </select>
+                <input type="text" id="${MODULE_NAME}_captionEndpoint" class="text_pole" placeholder="http://127.0.0.1:5000/caption" value="${escapeHtml(pluginConfig.captionEndpoint)}" />
+                <select id="${MODULE_NAME}_captionPreset" class="text_pole">${createCaptionPresetOptions()}</select>
+                <textarea id="${MODULE_NAME}_captionPrompt" class="text_pole" rows="3">${escapeHtml(pluginConfig.captionPrompt)}</textarea>
+                <div class="settings-title-description">บริการ HTTP: POST JSON { image (base64), mimeType, prompt, fileName } ตอบกลับ { caption } คำบรรยายเก็บใน metadata.caption และต่อท้ายข้อความในแชท</div>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">คุณภาพของภาพ <span id="${MODULE_NAME}_imageQualityValue">${pluginConfig.imageQuality}</span>%</div>
+                <div class="range-row">
+                  <input type="range" id="${MODULE_NAME}_imageQuality" min="10" max="100" step="5" value="${pluginConfig.imageQuality}">
+                </div>
+                <div class="settings-title-description">ค่าคุณภาพยิ่งสูง ภาพยิ่งชัด แต่ไฟล์จะใหญ่ขึ้น</div>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">ขนาดสูงสุดของภาพ <span id="${MODULE_NAME}_maxImageDimensionValue">${pluginConfig.maxImageDimension}</span> px</div>
+                <div class="range-row">
+                  <input type="range" id="${MODULE_NAME}_maxImageDimension" min="512" max="4096" step="128" value="${pluginConfig.maxImageDimension}">
+                </div>
+                <div class="settings-title-description">จำกัดความกว้างหรือความสูงสูงสุดของภาพ (พิกเซล)</div>
               </div>
-              <div class="toggle-switch">
-                <input type="checkbox" id="${MODULE_NAME}_enableImageProcessing" class="toggle-input" ${pluginConfig.enableImageProcessing ? 'checked' : ''} />
-                <label for="${MODULE_NAME}_enableImageProcessing" class="toggle-label"><span class="toggle-handle"></span></label>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">รูปแบบไฟล์ภาพที่บันทึก</div>
+                <select id="${MODULE_NAME}_imageOutputFormat" class="text_pole">
+                  <option value="auto" ${pluginConfig.imageOutputFormat === 'auto' ? 'selected' : ''}>อัตโนมัติ (JPEG / PNG เมื่อมีพื้นโปร่งใส)</option>
+                  <option value="keep" ${pluginConfig.imageOutputFormat === 'keep' ? 'selected' : ''}>คงรูปแบบเดิม</option>
+                  <option value="webp" ${pluginConfig.imageOutputFormat === 'webp' ? 'selected' : ''}>บังคับ WebP</option>
+                  <option value="jpeg" ${pluginConfig.imageOutputFormat === 'jpeg' ? 'selected' : ''}>บังคับ JPEG</option>
+                </select>
+                <div class="settings-title-description">ภาพโปร่งใสจะคงพื้นโปร่งใสไว้ ยกเว้นเมื่อบังคับ JPEG (เติมพื้นขาว)</div>
               </div>
             </div>
 
             <div class="extension-content-item box-container">
               <div class="flex flexFlowColumn">
-                <div class="settings-title-text">เปิดการประมวลผลเอกสาร</div>
-                <div class="settings-title-description">รองรับ txt, json, md, csv และไฟล์ข้อความอื่น ๆ</div>
+                <div class="settings-title-text">โหมดบีบอัดภาพ</div>
+                <select id="${MODULE_NAME}_compressionMode" class="text_pole">
+                  <option value="quality" ${pluginConfig.compressionMode === 'quality' ? 'selected' : ''}>คุณภาพคงที่ (ตามค่าคุณภาพด้านบน)</option>
+                  <option value="bytes" ${pluginConfig.compressionMode === 'bytes' ? 'selected' : ''}>ขนาดไฟล์เป้าหมาย</option>
+                  <option value="tokens" ${pluginConfig.compressionMode === 'tokens' ? 'selected' : ''}>จำนวนโทเคนภาพเป้าหมาย</option>
+                </select>
+                <label>ขนาดไฟล์เป้าหมาย (KB)
+                  <input type="number" id="${MODULE_NAME}_targetSizeKB" class="text_pole" min="10" max="20480" step="10" value="${pluginConfig.targetSizeKB}">
+                </label>
+                <label>โทเคนภาพเป้าหมาย
+                  <input type="number" id="${MODULE_NAME}_targetVisionTokens" class="text_pole" min="85" max="20000" step="1" value="${pluginConfig.targetVisionTokens}">
+                </label>
+                <select id="${MODULE_NAME}_visionTokenModel" class="text_pole">
+                  <option value="openai" ${pluginConfig.visionTokenModel === 'openai' ? 'selected' : ''}>นับโทเคนแบบ OpenAI (ช่อง 512 px)</option>
+                  <option value="claude" ${pluginConfig.visionTokenModel === 'claude' ? 'selected' : ''}>นับโทเคนแบบ Claude (พิกเซล / 750)</option>
+                  <option value="gemini" ${pluginConfig.visionTokenModel === 'gemini' ? 'selected' : ''}>นับโทเคนแบบ Gemini (ช่อง 768 px)</option>
+                </select>
+                <div class="settings-title-description">โหมดเป้าหมายจะค้นหาคุณภาพและสัดส่วนย่อที่ใหญ่ที่สุดที่ไม่เกินเป้า แล้วแจ้งคุณภาพ ขนาด และจำนวนรอบที่ใช้</div>
               </div>
-              <div class="toggle-switch">
-                <input type="checkbox" id="${MODULE_NAME}_enableDocumentProcessing" class="toggle-input" ${pluginConfig.enableDocumentProcessing ? 'checked' : ''} />
-                <label for="${MODULE_NAME}_enableDocumentProcessing" class="toggle-label"><span class="toggle-handle"></span></label>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">ภาพเคลื่อนไหวไม่เกิน <span id="${MODULE_NAME}_maxAnimatedSizeValue">${pluginConfig.maxAnimatedSize}</span> MB</div>
+                <div class="range-row">
+                  <input type="range" id="${MODULE_NAME}_maxAnimatedSize" min="1" max="50" step="1" value="${pluginConfig.maxAnimatedSize}">
+                </div>
+                <div class="settings-title-description">GIF / WebP / APNG เคลื่อนไหวที่ไม่เกินขนาดนี้จะบันทึกตามต้นฉบับ ถ้าใหญ่กว่าจะเหลือเฉพาะเฟรมแรก</div>
               </div>
             </div>
 
             <div class="extension-content-item box-container">
               <div class="flex flexFlowColumn">
-                <div class="settings-title-text">เปิดการอ่านเอกสารด้วย AI</div>
-                <div class="settings-title-description">เมื่ออัปโหลดแล้วจะส่งเนื้อหาเข้าสู่การสนทนาอัตโนมัติ</div>
+                <div class="settings-title-text">ลบข้อมูลตำแหน่งและอุปกรณ์ออกจากภาพ</div>
+                <div class="settings-title-description">ลบ EXIF (พิกัด GPS, รุ่นกล้อง) และ XMP ก่อนบันทึก ภาพจะถูกหมุนตาม EXIF เสมอ</div>
               </div>
               <div class="toggle-switch">
-                <input type="checkbox" id="${MODULE_NAME}_enableAIReading" class="toggle-input" ${pluginConfig.enableAIReading ? 'checked' : ''} />
-                <label for="${MODULE_NAME}_enableAIReading" class="toggle-label"><span class="toggle-handle"></span></label>
+                <input type="checkbox" id="${MODULE_NAME}_stripImageMetadata" class="toggle-input" ${pluginConfig.stripImageMetadata ? 'checked' : ''} />
+                <label for="${MODULE_NAME}_stripImageMetadata" class="toggle-label"><span class="toggle-handle"></span></label>
               </div>
             </div>
 
             <div class="extension-content-item box-container">
               <div class="flex flexFlowColumn">
-                <div class="settings-title-text">คุณภาพของภาพ <span id="${MODULE_NAME}_imageQualityValue">${pluginConfig.imageQuality}</span>%</div>
+                <div class="settings-title-text">จำกัดขนาดไฟล์ <span id="${MODULE_NAME}_maxFileSizeValue">${pluginConfig.maxFileSize}</span> MB</div>
                 <div class="range-row">
-                  <input type="range" id="${MODULE_NAME}_imageQuality" min="10" max="100" step="5" value="${pluginConfig.imageQuality}">
+                  <input type="range" id="${MODULE_NAME}_maxFileSize" min="1" max="100" step="1" value="${pluginConfig.maxFileSize}">
                 </div>
-                <div class="settings-title-description">ค่าคุณภาพยิ่งสูง ภาพยิ่งชัด แต่ไฟล์จะใหญ่ขึ้น</div>
+                <div class="settings-title-description">ขนาดไฟล์สูงสุดที่อนุญาตให้ประมวลผลได้</div>
               </div>
             </div>
 
             <div class="extension-content-item box-container">
               <div class="flex flexFlowColumn">
-                <div class="settings-title-text">ขนาดสูงสุดของภาพ <span id="${MODULE_NAME}_maxImageDimensionValue">${pluginConfig.maxImageDimension}</span> px</div>
+                <div class="settings-title-text">ประมวลผลพร้อมกัน <span id="${MODULE_NAME}_batchConcurrencyValue">${pluginConfig.batchConcurrency}</span> ไฟล์</div>
                 <div class="range-row">
-                  <input type="range" id="${MODULE_NAME}_maxImageDimension" min="512" max="4096" step="128" value="${pluginConfig.maxImageDimension}">
+                  <input type="range" id="${MODULE_NAME}_batchConcurrency" min="1" max="8" step="1" value="${pluginConfig.batchConcurrency}">
                 </div>
-                <div class="settings-title-description">จำกัดความกว้างหรือความสูงสูงสุดของภาพ (พิกเซล)</div>
+                <div class="settings-title-description">จำนวนไฟล์ที่ประมวลผลพร้อมกันเมื่ออัปโหลดหลายไฟล์</div>
               </div>
             </div>
 
             <div class="extension-content-item box-container">
               <div class="flex flexFlowColumn">
-                <div class="settings-title-text">จำกัดขนาดไฟล์ <span id="${MODULE_NAME}_maxFileSizeValue">${pluginConfig.maxFileSize}</span> MB</div>
+                <div class="settings-title-text">ไฟล์ zip สูงสุด <span id="${MODULE_NAME}_archiveMaxEntriesValue">${pluginConfig.archiveMaxEntries}</span> รายการ, ซ้อนได้ <span id="${MODULE_NAME}_archiveMaxDepthValue">${pluginConfig.archiveMaxDepth}</span> ชั้น</div>
                 <div class="range-row">
-                  <input type="range" id="${MODULE_NAME}_maxFileSize" min="1" max="100" step="1" value="${pluginConfig.maxFileSize}">
+                  <input type="range" id="${MODULE_NAME}_archiveMaxEntries" min="10" max="1000" step="10" value="${pluginConfig.archiveMaxEntries}">
                 </div>
-                <div class="settings-title-description">ขนาดไฟล์สูงสุดที่อนุญาตให้ประมวลผลได้</div>
+                <div class="range-row">
+                  <input type="range" id="${MODULE_NAME}_archiveMaxDepth" min="0" max="5" step="1" value="${pluginConfig.archiveMaxDepth}">
+                </div>
+                <input type="text" id="${MODULE_NAME}_archiveExclude" class="text_pole" value="${escapeHtml(pluginConfig.archiveExclude.join(', '))}" placeholder="__MACOSX/**, *.exe">
+                <div class="settings-title-description">ขนาดรวมหลังแตกไฟล์ต้องไม่เกินขนาดไฟล์สูงสุด ไฟล์ที่ตรงกับรูปแบบ (glob) ในช่องนี้จะถูกข้าม</div>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">วิธีส่งเอกสารยาว</div>
+                <select id="${MODULE_NAME}_documentDelivery" class="text_pole">
+                  <option value="sequential" ${pluginConfig.documentDelivery === 'sequential' ? 'selected' : ''}>ส่งทีละส่วนตามลำดับ</option>
+                  <option value="summary" ${pluginConfig.documentDelivery === 'summary' ? 'selected' : ''}>สรุปแต่ละส่วนแล้วรวมเป็นบทสรุปเดียว</option>
+                </select>
+                <div class="settings-title-description">ใช้เมื่อเอกสารยาวเกินงบโทเคนต่อส่วน เอกสารจะถูกแบ่งตามหัวข้อ ย่อหน้า แถว หรือบล็อกโค้ด</div>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">งบโทเคนต่อส่วน <span id="${MODULE_NAME}_chunkBudgetPercentValue">${pluginConfig.chunkBudgetPercent}</span>% ของ context</div>
+                <div class="range-row">
+                  <input type="range" id="${MODULE_NAME}_chunkBudgetPercent" min="10" max="80" step="5" value="${pluginConfig.chunkBudgetPercent}">
+                </div>
+                <div class="settings-title-description">คิดจากขนาด context ของโมเดลที่เลือกอยู่ เว้นที่ไว้ให้ประวัติแชทและคำตอบ</div>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">มุมมองไฟล์ข้อมูลและการตั้งค่า</div>
+                <select id="${MODULE_NAME}_structuredView" class="text_pole">
+                  <option value="auto" ${pluginConfig.structuredView === 'auto' ? 'selected' : ''}>อัตโนมัติ (จัดรูปแบบ JSON, ไฟล์อื่นคงเดิม)</option>
+                  <option value="raw" ${pluginConfig.structuredView === 'raw' ? 'selected' : ''}>ข้อความเดิม</option>
+                  <option value="pretty" ${pluginConfig.structuredView === 'pretty' ? 'selected' : ''}>JSON จัดรูปแบบ</option>
+                  <option value="flat" ${pluginConfig.structuredView === 'flat' ? 'selected' : ''}>รายการ key = value</option>
+                </select>
+                <div class="settings-title-description">ใช้กับ JSON, YAML, INI และ conf ที่ส่งให้โมเดล ไฟล์ที่แยกไม่ได้จะแจ้งบรรทัดและคอลัมน์ที่ผิด</div>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn smart-media-template-editor">
+                <div class="settings-title-text">แม่แบบข้อความเอกสาร</div>
+                <select id="${MODULE_NAME}_promptTemplateTarget" class="text_pole">${createPromptTemplateOptions('')}</select>
+                <textarea id="${MODULE_NAME}_promptTemplate" class="text_pole" rows="6">${escapeHtml(pluginConfig.promptTemplate)}</textarea>
+                <select id="${MODULE_NAME}_promptTemplatePreset" class="text_pole">
+                  <option value="">ใส่แม่แบบสำเร็จรูป…</option>
+                  <option value="document">เนื้อหาเอกสาร</option>
+                  <option value="table">วิเคราะห์ตาราง</option>
+                  <option value="code">รีวิวโค้ด</option>
+                  <option value="story">บันทึกความต่อเนื่องของเนื้อเรื่อง</option>
+                </select>
+                <div class="flex-container">
+                  <button type="button" id="${MODULE_NAME}_promptTemplateReset" class="menu_button">คืนค่าเริ่มต้น</button>
+                  <button type="button" id="${MODULE_NAME}_promptTemplateImport" class="menu_button">นำเข้า</button>
+                  <button type="button" id="${MODULE_NAME}_promptTemplateExport" class="menu_button">ส่งออก</button>
+                </div>
+                <div class="settings-title-description">macro: {{fileName}} {{ext}} {{content}} (เนื้อหาในบล็อกโค้ด) {{text}} (เนื้อหาล้วน) {{part}} {{rowCount}} {{sheetCount}} {{title}} {{char}} {{user}} — นามสกุลที่เว้นว่างไว้จะใช้แม่แบบเริ่มต้น</div>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">แทนค่า macro ในเอกสาร</div>
+                <div class="settings-title-description">ปิดไว้ = {{macro}} และคำสั่ง STscript ในไฟล์ถูกส่งเป็นข้อความตามตัวอักษร ไม่ถูกประมวลผล</div>
+              </div>
+              <div class="toggle-switch">
+                <input type="checkbox" id="${MODULE_NAME}_allowDocumentMacros" class="toggle-input" ${pluginConfig.allowDocumentMacros ? 'checked' : ''} />
+                <label for="${MODULE_NAME}_allowDocumentMacros" class="toggle-label"><span class="toggle-handle"></span></label>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn">
+                <div class="settings-title-text">ซ่อนข้อมูลอ่อนไหวก่อนส่ง</div>
+                <div class="settings-title-description">แทนคีย์ API, ค่าลับใน .env, เลขบัตรประชาชน, อีเมล, เบอร์โทร และ IP ด้วย [REDACTED:…] ก่อนส่งเข้าแชท</div>
+              </div>
+              <div class="toggle-switch">
+                <input type="checkbox" id="${MODULE_NAME}_enableRedaction" class="toggle-input" ${pluginConfig.enableRedaction ? 'checked' : ''} />
+                <label for="${MODULE_NAME}_enableRedaction" class="toggle-label"><span class="toggle-handle"></span></label>
+              </div>
+            </div>
+
+            <div class="extension-content-item box-container">
+              <div class="flex flexFlowColumn smart-media-template-editor">
+                <div class="settings-title-text">ตัวตรวจจับและกฎการซ่อน</div>
+                <div class="smart-media-redaction-detectors">
+                  ${REDACTION_DETECTORS.map(
+                    (detector) => `
+                  <label class="checkbox_label">
+                    <input type="checkbox" class="${MODULE_NAME}_redactionDetector" value="${detector.id}" ${pluginConfig.redactionDetectors.includes(detector.id) ? 'checked' : ''} />
+                    ${detector.label}
+                  </label>`,
+                  ).join('')}
+                </div>
+                <label class="checkbox_label">
+                  <input type="checkbox" id="${MODULE_NAME}_redactionPreview" ${pluginConfig.redactionPreview ? 'checked' : ''} />
+                  แสดงรายการที่จะซ่อนให้ยืนยันก่อนส่ง
+                </label>
+                <textarea id="${MODULE_NAME}_redactionRules" class="text_pole" rows="3" placeholder="รหัสพนักงาน: /EMP-\\d{6}/">${escapeHtml(
+                  Redactor.formatRules(pluginConfig.redactionRules),
+                )}</textarea>
+                <div class="settings-title-description">กฎเพิ่มเติมบรรทัดละหนึ่งกฎ รูปแบบ "ชื่อ: /regex/flags" ถ้ามีกลุ่ม (?&lt;secret&gt;…) จะซ่อนเฉพาะส่วนนั้น</div>
               </div>
             </div>
 
@@ -705,6 +8525,45 @@ function createSettingsHTML() {
   `;
 }
 
+/**
+ * ตัวเลือกของแม่แบบ: ค่าเริ่มต้นและนามสกุลเอกสารแต่ละแบบ (✎ = มีแม่แบบเฉพาะ)
+ */
+function createPromptTemplateOptions(selected) {
+  const overrides = pluginConfig.promptTemplateOverrides || {};
+  const extensions = [...new Set([...pluginConfig.supportedDocumentExtensions, ...Object.keys(overrides)])];
+  return [
+    `<option value="" ${selected === '' ? 'selected' : ''}>แม่แบบเริ่มต้น (ทุกนามสกุล)</option>`,
+    ...extensions.map(
+      (ext) =>
+        `<option value="${escapeHtml(ext)}" ${selected === ext ? 'selected' : ''}>.${escapeHtml(ext)}${overrides[ext] ? ' ✎' : ''}</option>`,
+    ),
+  ].join('');
+}
+
+/**
+ * แสดงแม่แบบของตัวเลือกปัจจุบันในช่องแก้ไข (นามสกุลที่ไม่มีแม่แบบเฉพาะแสดงแม่แบบเริ่มต้นเป็น placeholder)
+ */
+function refreshPromptTemplateEditor() {
+  const $target = $(`#${MODULE_NAME}_promptTemplateTarget`);
+  const extension = $target.val() || '';
+  $target.html(createPromptTemplateOptions(extension));
+  $(`#${MODULE_NAME}_promptTemplate`)
+    .val(extension ? pluginConfig.promptTemplateOverrides[extension] || '' : pluginConfig.promptTemplate)
+    .attr('placeholder', extension ? pluginConfig.promptTemplate : '');
+}
+
+/**
+ * ตัวเลือกคำสั่งบรรยายภาพสำเร็จรูป คำสั่งที่แก้เองแสดงเป็น "กำหนดเอง"
+ */
+function createCaptionPresetOptions() {
+  const labels = { brief: 'สั้น ๆ', detailed: 'ละเอียด', text: 'ถอดข้อความในภาพ', roleplay: 'สำหรับตัวละคร' };
+  const current = Object.keys(labels).find((key) => CAPTION_PROMPT_PRESETS[key] === pluginConfig.captionPrompt);
+  const options = Object.entries(labels).map(
+    ([key, label]) => `<option value="${key}" ${current === key ? 'selected' : ''}>${label}</option>`,
+  );
+  return [...options, `<option value="custom" ${current ? '' : 'selected'}>กำหนดเอง</option>`].join('');
+}
+
 /**
  * 绑定收缩栏事件
  */
@@ -803,6 +8662,49 @@ function bindEventListeners() {
     saveSettings();
   });
 
+  $(document).on('change', `#${MODULE_NAME}_imageOutputFormat`, function () {
+    pluginConfig.imageOutputFormat = $(this).val();
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_compressionMode`, function () {
+    pluginConfig.compressionMode = $(this).val();
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_targetSizeKB`, function () {
+    const value = parseInt($(this).val());
+    if (value > 0) {
+      pluginConfig.targetSizeKB = value;
+      saveSettings();
+    }
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_targetVisionTokens`, function () {
+    const value = parseInt($(this).val());
+    if (value > 0) {
+      pluginConfig.targetVisionTokens = value;
+      saveSettings();
+    }
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_visionTokenModel`, function () {
+    pluginConfig.visionTokenModel = $(this).val();
+    saveSettings();
+  });
+
+  $(document).on('input', `#${MODULE_NAME}_maxAnimatedSize`, function () {
+    const value = parseInt($(this).val());
+    pluginConfig.maxAnimatedSize = value;
+    $(`#${MODULE_NAME}_maxAnimatedSizeValue`).text(value);
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_stripImageMetadata`, function () {
+    pluginConfig.stripImageMetadata = $(this).prop('checked');
+    saveSettings();
+  });
+
   $(document).on('input', `#${MODULE_NAME}_maxFileSize`, function () {
     const value = parseInt($(this).val());
     pluginConfig.maxFileSize = value;
@@ -810,11 +8712,214 @@ function bindEventListeners() {
     saveSettings();
   });
 
+  $(document).on('input', `#${MODULE_NAME}_batchConcurrency`, function () {
+    const value = parseInt($(this).val());
+    pluginConfig.batchConcurrency = value;
+    $(`#${MODULE_NAME}_batchConcurrencyValue`).text(value);
+    saveSettings();
+  });
+
+  $(document).on('input', `#${MODULE_NAME}_archiveMaxEntries`, function () {
+    const value = parseInt($(this).val());
+    pluginConfig.archiveMaxEntries = value;
+    $(`#${MODULE_NAME}_archiveMaxEntriesValue`).text(value);
+    saveSettings();
+  });
+
+  $(document).on('input', `#${MODULE_NAME}_archiveMaxDepth`, function () {
+    const value = parseInt($(this).val());
+    pluginConfig.archiveMaxDepth = value;
+    $(`#${MODULE_NAME}_archiveMaxDepthValue`).text(value);
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_archiveExclude`, function () {
+    pluginConfig.archiveExclude = ArchiveProcessor.toPatterns($(this).val());
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_documentDelivery`, function () {
+    pluginConfig.documentDelivery = $(this).val();
+    saveSettings();
+  });
+
+  $(document).on('input', `#${MODULE_NAME}_chunkBudgetPercent`, function () {
+    const value = parseInt($(this).val());
+    pluginConfig.chunkBudgetPercent = value;
+    $(`#${MODULE_NAME}_chunkBudgetPercentValue`).text(value);
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_structuredView`, function () {
+    pluginConfig.structuredView = $(this).val();
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_promptTemplateTarget`, function () {
+    refreshPromptTemplateEditor();
+  });
+
+  $(document).on('input', `#${MODULE_NAME}_promptTemplate`, function () {
+    const extension = $(`#${MODULE_NAME}_promptTemplateTarget`).val();
+    const template = $(this).val();
+    const { [extension]: _previous, ...overrides } = pluginConfig.promptTemplateOverrides;
+    if (!extension) {
+      pluginConfig.promptTemplate = template;
+    } else {
+      pluginConfig.promptTemplateOverrides = template.trim() ? { ...overrides, [extension]: template } : overrides;
+      $(`#${MODULE_NAME}_promptTemplateTarget option:selected`).text(`.${extension}${template.trim() ? ' ✎' : ''}`);
+    }
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_promptTemplatePreset`, function () {
+    const preset = PROMPT_TEMPLATE_PRESETS[$(this).val()];
+    $(this).val('');
+    if (preset) {
+      // ส่งผ่าน handler ของช่องแก้ไข เพื่อบันทึกลงแม่แบบของตัวเลือกปัจจุบันแบบเดียวกับการพิมพ์เอง
+      $(`#${MODULE_NAME}_promptTemplate`).val(preset).trigger('input');
+    }
+  });
+
+  $(document).on('click', `#${MODULE_NAME}_promptTemplateReset`, function () {
+    const extension = $(`#${MODULE_NAME}_promptTemplateTarget`).val();
+    const { [extension]: _previous, ...overrides } = pluginConfig.promptTemplateOverrides;
+    const template = DEFAULT_PROMPT_TEMPLATE_OVERRIDES[extension];
+    if (!extension) {
+      pluginConfig.promptTemplate = DEFAULT_PROMPT_TEMPLATE;
+    } else {
+      pluginConfig.promptTemplateOverrides = template ? { ...overrides, [extension]: template } : overrides;
+    }
+    refreshPromptTemplateEditor();
+    saveSettings();
+  });
+
+  $(document).on('click', `#${MODULE_NAME}_promptTemplateExport`, function () {
+    const json = JSON.stringify(PromptTemplates.export(), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'popko-prompt-templates.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  });
+
+  $(document).on('click', `#${MODULE_NAME}_promptTemplateImport`, async function () {
+    const [file] = await pickFiles({ accept: '.json,application/json' });
+    if (!file) return;
+    try {
+      const count = PromptTemplates.import(await file.text());
+      refreshPromptTemplateEditor();
+      saveSettings();
+      toastr.success(`นำเข้าแม่แบบเฉพาะนามสกุล ${count} รายการ`, 'แม่แบบข้อความ');
+    } catch (error) {
+      toastr.error(`นำเข้าไม่สำเร็จ: ${error.message}`, 'แม่แบบข้อความ');
+    }
+  });
+
   $(document).on('change', `#${MODULE_NAME}_enableAIReading`, function () {
     pluginConfig.enableAIReading = $(this).prop('checked');
     saveSettings();
   });
 
+  $(document).on('change', `#${MODULE_NAME}_allowDocumentMacros`, function () {
+    pluginConfig.allowDocumentMacros = $(this).prop('checked');
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_enableRedaction`, function () {
+    pluginConfig.enableRedaction = $(this).prop('checked');
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_redactionPreview`, function () {
+    pluginConfig.redactionPreview = $(this).prop('checked');
+    saveSettings();
+  });
+
+  $(document).on('change', `.${MODULE_NAME}_redactionDetector`, function () {
+    pluginConfig.redactionDetectors = $(`.${MODULE_NAME}_redactionDetector:checked`)
+      .map((index, element) => element.value)
+      .get();
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_redactionRules`, function () {
+    const { rules, errors } = Redactor.parseRules($(this).val());
+    if (errors.length > 0) {
+      toastr.warning(errors.map((error) => escapeHtml(error)).join('<br>'), 'กฎการซ่อนข้อมูลไม่ถูกต้อง');
+    }
+    pluginConfig.redactionRules = rules;
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_enableChatAttachments`, function () {
+    pluginConfig.enableChatAttachments = $(this).prop('checked');
+    if (pluginConfig.enableChatAttachments) {
+      ChatAttachments.mount();
+    } else {
+      ChatAttachments.unmount();
+    }
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_enableLibrary`, function () {
+    pluginConfig.enableLibrary = $(this).prop('checked');
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_libraryKeepOriginals`, function () {
+    pluginConfig.libraryKeepOriginals = $(this).prop('checked');
+    saveSettings();
+  });
+
+  $(document).on('click', `#${MODULE_NAME}_openLibrary`, function () {
+    AttachmentLibrary.open();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_enableImageEditor`, function () {
+    pluginConfig.enableImageEditor = $(this).prop('checked');
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_useImageWorkers`, function () {
+    pluginConfig.useImageWorkers = $(this).prop('checked');
+    if (!pluginConfig.useImageWorkers) {
+      ImageWorkerPool.stop();
+    }
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_enableCaptioning`, function () {
+    pluginConfig.enableCaptioning = $(this).prop('checked');
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_captionSource`, function () {
+    pluginConfig.captionSource = $(this).val();
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_captionEndpoint`, function () {
+    pluginConfig.captionEndpoint = String($(this).val()).trim();
+    saveSettings();
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_captionPreset`, function () {
+    const preset = CAPTION_PROMPT_PRESETS[$(this).val()];
+    if (preset) {
+      pluginConfig.captionPrompt = preset;
+      $(`#${MODULE_NAME}_captionPrompt`).val(preset);
+      saveSettings();
+    }
+  });
+
+  $(document).on('change', `#${MODULE_NAME}_captionPrompt`, function () {
+    pluginConfig.captionPrompt = String($(this).val()).trim() || DEFAULT_CAPTION_PROMPT;
+    $(`#${MODULE_NAME}_captionPreset`).html(createCaptionPresetOptions());
+    saveSettings();
+  });
+
   $(document).on('change', `#${MODULE_NAME}_showProcessingInfo`, function () {
     pluginConfig.showProcessingInfo = $(this).prop('checked');
     saveSettings();
@@ -848,58 +8953,112 @@ $(document).ready(function () {
 
 // 导出模块（如果需要）
 // Smart Media Assistant: minimal global bridge
-function sanitizeForSlash(text) {
-  if (!text) return '';
-  return String(text).replaceAll('|', '¦');
-}
-async function loadSlashCommandsModule() {
-  const candidates = [
-    '/scripts/slash-commands.js',
-    '../../scripts/slash-commands.js',
-    '../../../scripts/slash-commands.js',
-    '../../../../scripts/slash-commands.js',
-  ];
-  for (const p of candidates) {
-    try {
-      const mod = await import(p);
-      if (mod && typeof mod.executeSlashCommandsWithOptions === 'function') {
-        return mod;
-      }
-    } catch (e) {}
-  }
-  return null;
-}
-async function sendTextToSillyTavern(content) {
-  const cmd = `/send ${content} | /trigger`;
-  try {
-    const mod = await loadSlashCommandsModule();
-    if (mod && typeof mod.executeSlashCommandsWithOptions === 'function') {
-      await mod.executeSlashCommandsWithOptions(cmd, {
-        handleParserErrors: true,
-        handleExecutionErrors: true,
-        source: MODULE_NAME,
-      });
-      return true;
-    }
-  } catch (e) {}
+// 直接写入聊天记录并调用生成接口，不再拼接 `/send … | /trigger` 命令字符串：
+// 文档中的 | 与 STscript 语法原样保留，{{宏}} 只在开启 allowDocumentMacros 时才替换
+async function sendTextToSillyTavern(content, trigger = true, extra = {}) {
   try {
-    if (typeof window.triggerSlash === 'function') {
-      window.triggerSlash(cmd);
-      return true;
+    await appendUserMessage(applyMacroPolicy(content), { type: 'document_upload', ...extra });
+    if (trigger) {
+      await getContext().generate('normal');
     }
-  } catch (e) {}
-  console.warn('[Smart Media Assistant] 无法找到 slash-commands 或 triggerSlash，发送失败');
-  return false;
+    return true;
+  } catch (e) {
+    console.warn('[Smart Media Assistant] 发送至聊天失败', e);
+    return false;
+  }
 }
-async function processTextBridge(text, options = {}) {
+/**
+ * 以用户身份写入一条消息：加入 chat、触发 MESSAGE_SENT / USER_MESSAGE_RENDERED、渲染并保存聊天
+ */
+async function appendUserMessage(mes, extra = {}) {
+  const context = getContext();
+  const message = {
+    name: context.name1 || 'User',
+    is_user: true,
+    is_system: false,
+    send_date: new Date().toISOString(),
+    mes,
+    extra,
+  };
+  context.chat.push(message);
+  const messageId = context.chat.length - 1;
+  await context.eventSource.emit(context.eventTypes.MESSAGE_SENT, messageId);
+  context.addOneMessage(message);
+  await context.eventSource.emit(context.eventTypes.USER_MESSAGE_RENDERED, messageId);
+  await context.saveChat();
+  return message;
+}
+/**
+ * 桥接：脱敏、分段后发送文本，返回 { success, chunkCount, chunks, delivery, redaction }
+ */
+async function processTextDetailed(text, options = {}) {
   const name = options?.name || '文本';
-  const header = options?.prompt || `请阅读并总结以下文件 ${name} 的关键信息：`;
-  const safe = sanitizeForSlash(text);
-  const content = `${header}\n\n${safe}`;
+  const documentType = options?.documentType || 'txt';
+  // prompt 参数本身也是模板；未包含 {{content}} / {{text}} 时把正文接在后面
+  const prompt = options?.prompt;
+  const template = prompt
+    ? /\{\{\s*(content|text)\s*\}\}/i.test(prompt)
+      ? prompt
+      : `${prompt}\n\n{{text}}`
+    : PromptTemplates.get(documentType);
+  // 发送前先脱敏（密钥、邮箱、电话、身份证号等），可弹窗预览
+  const redaction = await Redactor.process(String(text || ''), name, {
+    ...options,
+    preview: options?.redactionPreview ?? pluginConfig.redactionPreview,
+  });
+  const chunks = await DocumentChunker.chunk(redaction.text, documentType, options);
+  const delivery = options?.delivery || pluginConfig.documentDelivery;
+  const redacted = { total: redaction.total, counts: redaction.counts };
+  const boundaries = chunks.map(({ text: _text, ...boundary }) => boundary);
+  const values = {
+    ...PromptTemplates.buildValues(name, documentType, options),
+    icon: '📄',
+    language: documentType,
+    partCount: chunks.length,
+  };
   if (pluginConfig.enableLogging) {
-    console.log('[Smart Media Assistant] 发送文档至酒馆以生成总结', { name, size: options?.size });
+    console.log('[Smart Media Assistant] 发送文档至酒馆以生成总结', { name, size: options?.size, chunks: chunks.length });
+  }
+  // 超出预算时：summary 模式先逐段摘要再合并，sequential 模式逐段发送，最后一段才触发生成
+  if (chunks.length > 1 && delivery === 'summary') {
+    const summary = await DocumentChunker.summarize(chunks, name, options);
+    const part = ` (สรุปจาก ${chunks.length} ส่วน)`;
+    const message = PromptTemplates.render(template, { ...values, part, content: summary, text: summary });
+    const success = await sendTextToSillyTavern(message);
+    return { success, chunkCount: chunks.length, chunks: boundaries, delivery, redaction: redacted };
+  }
+  let success = true;
+  for (const chunk of chunks) {
+    const part = chunks.length > 1 ? ` (ส่วนที่ ${chunk.index + 1}/${chunks.length})` : '';
+    const content = PromptTemplates.render(template, {
+      ...values,
+      part,
+      partIndex: chunk.index + 1,
+      content: `\`\`\`${documentType}\n${chunk.text}\n\`\`\``,
+      text: chunk.text,
+    });
+    success = (await sendTextToSillyTavern(content, chunk.index === chunks.length - 1)) && success;
+    if (!success) break;
+  }
+  return {
+    success,
+    chunkCount: chunks.length,
+    chunks: boundaries,
+    delivery: chunks.length > 1 ? delivery : 'single',
+    redaction: redacted,
+  };
+}
+/**
+ * 旧桥接接口：保持只返回布尔值，失败（含用户取消脱敏预览）返回 false
+ */
+async function processTextBridge(text, options = {}) {
+  try {
+    const result = await processTextDetailed(text, options);
+    return result.success;
+  } catch (e) {
+    console.warn('[Smart Media Assistant] 桥接发送失败', e);
+    return false;
   }
-  return await sendTextToSillyTavern(content);
 }
 function exposeGlobalBridge() {
   try {
@@ -911,9 +9070,31 @@ function exposeGlobalBridge() {
         console.log('[Smart Media Assistant] 已暴露桥接: smartMediaAssistant.processText');
       }
     }
+    if (typeof target.smartMediaAssistant.processTextDetailed !== 'function') {
+      target.smartMediaAssistant.processTextDetailed = (text, options) => processTextDetailed(text, options);
+    }
   } catch (e) {
     console.warn('[Smart Media Assistant] 暴露全局桥接失败', e);
   }
 }
 try { exposeGlobalBridge(); } catch (e) {}
-export { DocumentProcessor, FileProcessor, FileTypeDetector, FileValidator, ImageProcessor };
+export {
+  CharacterCardParser,
+  CsvParser,
+  DocumentChunker,
+  DocumentProcessor,
+  FileProcessor,
+  FileTypeDetector,
+  FileValidator,
+  ImageProcessor,
+  ImageWorkerPool,
+  MarkupConverter,
+  OfficeDocumentConverter,
+  Redactor,
+  RtfConverter,
+  SpreadsheetConverter,
+  StructuredDataParser,
+  TextEncodingDetector,
+  ZipReader,
+  initConfig,
+};
@@ -0,0 +1,141 @@
+/**
+ * ตัวแทนโมดูลของ SillyTavern สำหรับหน้าทดสอบใน tests/ และ benchmark.html
+ * หน้าทดสอบใช้ import map ชี้ import ของ index.js มาที่ไฟล์นี้ จึงโหลด index.js ตัวจริงได้โดยไม่บูต SillyTavern ทั้งแอป
+ * การเรียกที่มีผลข้างเคียง (แทนค่า macro, สั่งสร้างข้อความ, รันคำสั่ง slash, popup)
+ * ถูกบันทึกไว้ใน calls ให้หน้าทดสอบตรวจ
+ */
+
+export const calls = {
+  substituteParams: [],
+  generate: [],
+  generateRaw: [],
+  slashCommands: [],
+  popups: [],
+  toasts: [],
+};
+
+const context = {
+  name1: 'User',
+  name2: 'Character',
+  chat: [],
+  characters: [],
+  extensionSettings: {},
+  maxContext: 8192,
+  eventSource: { emit: async () => {}, on: () => {} },
+  eventTypes: { MESSAGE_SENT: 'message_sent', USER_MESSAGE_RENDERED: 'user_message_rendered' },
+  substituteParams: (text) => {
+    calls.substituteParams.push(text);
+    return text;
+  },
+  addOneMessage: () => {},
+  saveChat: async () => {},
+  generate: async (type) => {
+    calls.generate.push(type);
+  },
+  generateRaw: async (options) => {
+    calls.generateRaw.push(options);
+    return '';
+  },
+  executeSlashCommands: async (command) => {
+    calls.slashCommands.push(command);
+  },
+  executeSlashCommandsWithOptions: async (command) => {
+    calls.slashCommands.push(command);
+  },
+};
+
+export function getContext() {
+  return context;
+}
+
+// ---------- script.js ----------
+
+export async function getCharacters() {}
+
+export function getRequestHeaders() {
+  return { 'Content-Type': 'application/json' };
+}
+
+export function saveSettingsDebounced() {}
+
+// ---------- popup.js ----------
+
+export const POPUP_TYPE = { TEXT: 1, CONFIRM: 2, INPUT: 3, DISPLAY: 4 };
+export const POPUP_RESULT = { AFFIRMATIVE: 1, NEGATIVE: 0, CANCELLED: null };
+
+export async function callGenericPopup(content, type) {
+  calls.popups.push({ content, type });
+  return POPUP_RESULT.AFFIRMATIVE;
+}
+
+// ---------- extensions/shared.js ----------
+
+export async function getMultimodalCaption() {
+  return '';
+}
+
+// ---------- slash-commands ----------
+
+export const ARGUMENT_TYPE = { STRING: 'string', NUMBER: 'number', BOOLEAN: 'bool', LIST: 'list' };
+
+export class SlashCommand {
+  static fromProps(props) {
+    return props;
+  }
+}
+
+export class SlashCommandArgument {
+  static fromProps(props) {
+    return props;
+  }
+}
+
+export class SlashCommandNamedArgument {
+  static fromProps(props) {
+    return props;
+  }
+}
+
+export const SlashCommandParser = {
+  commands: {},
+  addCommandObject(command) {
+    this.commands[command.name] = command;
+  },
+};
+
+// ---------- utils.js ----------
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+export function isTrueBoolean(value) {
+  return ['on', 'true', '1'].includes(String(value).trim().toLowerCase());
+}
+
+export async function copyText() {}
+
+export async function saveBase64AsFile(base64, path, name, extension) {
+  return `data:image/${extension};base64,${base64}`;
+}
+
+// ---------- globals ----------
+
+// เก็บข้อความแจ้งเตือนไว้ใน calls แทนการแสดงบนหน้า
+const toast = (type) => (message, title) => calls.toasts.push({ type, message, title });
+globalThis.toastr ??= {
+  info: toast('info'),
+  success: toast('success'),
+  warning: toast('warning'),
+  error: toast('error'),
+  clear: () => {},
+};
+
+// index.js เรียก $(document).ready(initPlugin) ตอนโหลด หน้าทดสอบไม่สร้างหน้าตั้งค่าจึงไม่ต้องใช้ jQuery จริง
+globalThis.$ ??= () => ({ ready: () => {}, on: () => {}, length: 0 });
+globalThis.jQuery ??= globalThis.$;